@@ -0,0 +1,85 @@
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const { assertTransition } = require('../utils/orderStatusMachine');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { autoAcceptOrder } = require('../utils/autoAcceptService');
+const {
+  getAdminTokens,
+  sendOrderStatusNotification,
+  sendScheduledOrderReleasedNotification
+} = require('../utils/notificationService');
+
+// Move scheduled orders whose release time has come into the normal order flow
+const releaseDueScheduledOrders = async (now = new Date()) => {
+  const dueOrders = await Order.find({
+    status: 'scheduled',
+    scheduledReleaseAt: { $lte: now }
+  }).select('_id');
+
+  let released = 0;
+
+  for (const { _id } of dueOrders) {
+    const order = await Order.findById(_id);
+    if (!order || order.status !== 'scheduled') continue;
+
+    assertTransition(order, 'pending', 'system');
+
+    // Claim the order atomically so only one instance releases it
+    const claimed = await Order.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        $set: { status: 'pending' },
+        $push: {
+          trackingUpdates: {
+            status: 'pending',
+            message: 'Scheduled order released to the kitchen',
+            updatedByRole: 'system',
+            timestamp: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) continue;
+    released += 1;
+
+    const update = claimed.trackingUpdates[claimed.trackingUpdates.length - 1];
+    await publishOrderEvent('order.status', claimed, { status: 'pending', previousStatus: 'scheduled' });
+    await publishOrderEvent('order.tracking', claimed, {
+      status: update.status,
+      message: update.message,
+      timestamp: update.timestamp
+    });
+
+    try {
+      await sendOrderStatusNotification(claimed.userId.toString(), claimed, 'pending', {
+        title: '👨‍🍳 Scheduled Order Started',
+        body: 'Your scheduled order has been sent to the kitchen.'
+      });
+      await sendScheduledOrderReleasedNotification(await getAdminTokens(), claimed);
+    } catch (error) {
+      console.error('❌ Error sending scheduled order notifications:', error);
+    }
+
+    await autoAcceptOrder(claimed);
+  }
+
+  return released;
+};
+
+const startScheduledOrderJob = () => cron.schedule('* * * * *', async () => {
+  try {
+    const released = await releaseDueScheduledOrders();
+    if (released > 0) {
+      console.log(`⏰ Released ${released} scheduled order(s) to the kitchen`);
+    }
+  } catch (error) {
+    console.error('❌ Scheduled order job failed:', error);
+  }
+}, { name: 'release-scheduled-orders', noOverlap: true });
+
+module.exports = {
+  releaseDueScheduledOrders,
+  startScheduledOrderJob
+};
@@ -0,0 +1,152 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const { assertTransition } = require('../utils/orderStatusMachine');
+const { cancelOrder, releaseCancelledOrder } = require('../utils/orderCancellationService');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const {
+  getAdminTokens,
+  sendOrderStatusNotification,
+  sendOrderTimedOutNotification
+} = require('../utils/notificationService');
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+// Cancel pending orders nobody confirmed within orderSettings.orderTimeout
+const cancelStaleOrders = async (now = new Date()) => {
+  const settings = await Setting.findOne().select('orderSettings.orderTimeout');
+  const timeoutMinutes = settings?.orderSettings?.orderTimeout || DEFAULT_TIMEOUT_MINUTES;
+  const cutoff = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+
+  // Released scheduled orders start their wait when they reach the kitchen
+  const staleQuery = {
+    status: 'pending',
+    $or: [
+      { scheduledReleaseAt: null, createdAt: { $lte: cutoff } },
+      { scheduledReleaseAt: { $lte: cutoff } }
+    ]
+  };
+
+  const staleOrders = await Order.find(staleQuery).select('_id');
+  const reason = `Not confirmed within ${timeoutMinutes} minutes`;
+
+  let cancelled = 0;
+
+  for (const { _id } of staleOrders) {
+    const order = await Order.findById(_id);
+    if (!order || order.status !== 'pending') continue;
+
+    assertTransition(order, 'cancelled', 'system');
+
+    // Claim the order atomically so only one instance cancels it, and only if still unconfirmed
+    const cancelledAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+      { _id, ...staleQuery },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellation: { reason, cancelledBy: 'system', cancelledAt, refundProcessed: false }
+        },
+        $push: {
+          trackingUpdates: {
+            status: 'cancelled',
+            message: `Order cancelled: ${reason}`,
+            updatedByRole: 'system',
+            timestamp: cancelledAt
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) continue;
+    cancelled += 1;
+
+    // Same give-back as any other cancellation: stock, payment, wallet, gift card, refund
+    await releaseCancelledOrder(claimed, { role: 'system' });
+
+    const update = claimed.trackingUpdates[claimed.trackingUpdates.length - 1];
+    await publishOrderEvent('order.status', claimed, { status: 'cancelled', previousStatus: 'pending' });
+    await publishOrderEvent('order.cancelled', claimed, { reason, cancelledBy: 'system' });
+    await publishOrderEvent('order.tracking', claimed, {
+      status: update.status,
+      message: update.message,
+      timestamp: update.timestamp
+    });
+
+    try {
+      await sendOrderStatusNotification(claimed.userId.toString(), claimed, 'cancelled', {
+        title: '❌ Order Cancelled',
+        body: 'Sorry, the restaurant could not confirm your order in time, so it has been cancelled.'
+      });
+      await sendOrderTimedOutNotification(await getAdminTokens(), claimed, timeoutMinutes);
+    } catch (error) {
+      console.error('❌ Error sending order timeout notifications:', error);
+    }
+  }
+
+  return cancelled;
+};
+
+// Cancel online orders whose payment never went through, giving their stock back
+const cancelUnpaidOrders = async (now = new Date()) => {
+  const settings = await Setting.findOne().select('orderSettings.orderTimeout');
+  const timeoutMinutes = settings?.orderSettings?.orderTimeout || DEFAULT_TIMEOUT_MINUTES;
+  const cutoff = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+
+  const unpaidOrders = await Order.find({
+    status: 'awaiting-payment',
+    createdAt: { $lte: cutoff }
+  }).select('_id');
+
+  let cancelled = 0;
+
+  for (const { _id } of unpaidOrders) {
+    const order = await Order.findById(_id);
+    if (!order || order.status !== 'awaiting-payment') continue;
+
+    // A payment confirmed meanwhile wins; the cancellation is dropped
+    order.increment();
+    try {
+      await cancelOrder(order, `Payment not completed within ${timeoutMinutes} minutes`, 'system');
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError) continue;
+      throw error;
+    }
+    cancelled += 1;
+
+    try {
+      await sendOrderStatusNotification(order.userId.toString(), order, 'cancelled', {
+        title: '❌ Order Cancelled',
+        body: 'We did not receive your payment in time, so your order has been cancelled.'
+      });
+    } catch (error) {
+      console.error('❌ Error sending unpaid order notification:', error);
+    }
+  }
+
+  return cancelled;
+};
+
+const startStaleOrderJob = () => cron.schedule('* * * * *', async () => {
+  try {
+    const cancelled = await cancelStaleOrders();
+    if (cancelled > 0) {
+      console.log(`⌛ Cancelled ${cancelled} unconfirmed order(s)`);
+    }
+
+    const unpaid = await cancelUnpaidOrders();
+    if (unpaid > 0) {
+      console.log(`⌛ Cancelled ${unpaid} unpaid order(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Stale order job failed:', error);
+  }
+}, { name: 'cancel-stale-orders', noOverlap: true });
+
+module.exports = {
+  cancelStaleOrders,
+  cancelUnpaidOrders,
+  startStaleOrderJob
+};
@@ -0,0 +1,17 @@
+const cron = require('node-cron');
+const { expireWalletCredits } = require('../utils/walletService');
+
+const startWalletExpiryJob = () => cron.schedule('0 * * * *', async () => {
+  try {
+    const expired = await expireWalletCredits();
+    if (expired > 0) {
+      console.log(`⌛ Expired credit in ${expired} wallet(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Wallet expiry job failed:', error);
+  }
+}, { name: 'expire-wallet-credits', noOverlap: true });
+
+module.exports = {
+  startWalletExpiryJob
+};
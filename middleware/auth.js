@@ -3,15 +3,13 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const asyncHandler = require('./asyncHandler');
 
-// Protect routes - authenticate token
-const auth = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
+// Event stream URLs carry their token, so they get a short-lived one of their own
+const STREAM_TOKEN_SCOPE = 'order-events';
+const DEFAULT_STREAM_TOKEN_TTL_SECONDS = 5 * 60;
 
+// Load the active user a token belongs to, or answer 401
+// Session tokens have no scope; a scoped token only opens what it was issued for
+const authenticate = async (req, res, next, token, scope) => {
   // Make sure token exists
   if (!token) {
     return res.status(401).json({
@@ -24,6 +22,10 @@ const auth = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.scope !== scope) {
+      throw new Error('Token scope does not match');
+    }
+
     // Check if user still exists
     const user = await User.findById(decoded.id);
     
@@ -50,8 +52,38 @@ const auth = asyncHandler(async (req, res, next) => {
       message: 'Not authorized to access this route'
     });
   }
+};
+
+// Protect routes - authenticate token
+const auth = asyncHandler(async (req, res, next) => {
+  let token;
+
+  // Check for token in headers
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  return authenticate(req, res, next, token);
 });
 
+// Authenticate event streams - EventSource cannot send headers, so browsers pass
+// ?token= instead, which must be a stream token: URLs end up in access logs
+const streamAuth = asyncHandler(async (req, res, next) => {
+  if (req.headers.authorization) {
+    return auth(req, res, next);
+  }
+  return authenticate(req, res, next, req.query.token, STREAM_TOKEN_SCOPE);
+});
+
+// Token that can only open the user's order event streams
+const issueStreamToken = (user) => {
+  const expiresIn = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS, 10) || DEFAULT_STREAM_TOKEN_TTL_SECONDS;
+  return {
+    token: jwt.sign({ id: user._id, scope: STREAM_TOKEN_SCOPE }, process.env.JWT_SECRET, { expiresIn }),
+    expiresIn
+  };
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -76,7 +108,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const user = decoded.scope ? null : await User.findById(decoded.id);
       
       if (user && user.isActive) {
         req.user = user;
@@ -91,6 +123,8 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
 module.exports = {
   auth,
+  streamAuth,
+  issueStreamToken,
   authorize,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const rateLimit = require('express-rate-limit');
+
+// Codes cannot be guessed in bulk: unknown codes count per IP, whether they were
+// tried at the balance check or at checkout, against one shared window
+const giftCardCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.GIFT_CARD_FAILED_CHECKS_PER_WINDOW, 10) || 10,
+  // Checkouts without a gift card are none of its business
+  skip: (req) => !(req.body?.code || req.body?.giftCardCode),
+  // Only a code that matched no card is a failed guess
+  requestWasSuccessful: (req, res) => res.statusCode !== 404,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many gift card checks, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  giftCardCodeLimiter
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const asyncHandler = require('./asyncHandler');
+
+const DEFAULT_TTL_HOURS = 24;
+
+// JSON with sorted keys so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(stableStringify({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body || {} }))
+  .digest('hex');
+
+// Copy of a response body without the dotted paths that must not be stored
+const redactBody = (body, paths = []) => {
+  const copy = JSON.parse(JSON.stringify(body));
+  paths.forEach(path => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => current?.[key], copy);
+    if (parent && typeof parent === 'object') delete parent[last];
+  });
+  return copy;
+};
+
+/**
+ * Honour the Idempotency-Key header on a route
+ * The first request with a key is processed and its response stored; repeats
+ * get the stored response back, and reusing the key with a different payload
+ * is rejected. Must run after auth so keys are scoped per user.
+ * A handler that creates something calls req.idempotency.bind(id) once it
+ * exists: from then on the key is never given up, even if the handler fails.
+ * Secrets in the response (redact) are sent once and left out of the stored copy,
+ * so a replay answers without them.
+ * @param {Object} options - { ttlHours, redact } ttlHours overrides IDEMPOTENCY_KEY_TTL_HOURS;
+ *   redact lists dotted response paths never written to the database
+ */
+const idempotency = (options = {}) => asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  const ttlHours = options.ttlHours || parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  const scope = {
+    key,
+    userId: req.user?._id,
+    method: req.method,
+    path: req.baseUrl + req.route.path
+  };
+  const requestHash = hashRequest(req);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne(scope);
+
+    // Expired but not yet swept by MongoDB: treat as a fresh key
+    if (!existing || existing.expiresAt < new Date()) {
+      if (existing) await existing.deleteOne();
+      return idempotency(options)(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+        ...(existing.resourceId && { resourceId: existing.resourceId })
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  let resourceId = null;
+  req.idempotency = {
+    bind: async (id) => {
+      resourceId = id.toString();
+      await IdempotencyKey.updateOne({ _id: record._id }, { resourceId });
+    }
+  };
+
+  // Store the response once the handler sends it
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    let finish;
+    if (res.statusCode >= 500 && !resourceId) {
+      // Nothing was created, so the client may retry with the same key
+      finish = record.deleteOne();
+    } else {
+      // A retry after a late failure gets this answer back, pointing at what was created
+      const responseBody = resourceId && res.statusCode >= 400 ? { ...body, resourceId } : body;
+      finish = IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: redactBody(responseBody, options.redact)
+        }
+      );
+    }
+
+    finish.catch(error => console.error('Error storing idempotent response:', error));
+    return originalJson(body);
+  };
+
+  next();
+});
+
+module.exports = {
+  idempotency
+};
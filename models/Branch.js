@@ -22,6 +22,20 @@ const branchSchema = new mongoose.Schema({
     default: '+34932112072',
     unique: true,
     index: true
+  },
+  // Short prefix staff call out with order numbers, e.g. BCN1
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[A-Z0-9]{2,6}$/, 'Branch code must be 2-6 letters or digits']
+  },
+  // Restart the order sequence every day (BCN1-260427-023) or keep one running sequence (BCN1-1523)
+  resetOrderNumbersDaily: {
+    type: Boolean,
+    default: true
   }
 }, { timestamps: true });
 
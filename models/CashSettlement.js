@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A driver handing in the cash collected on a shift, as counted by a manager
+const cashSettlementSchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cash orders covered; each order is settled once
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  // What the driver recorded collecting
+  expectedAmount: {
+    type: Number,
+    required: true
+  },
+  countedAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Counted amount cannot be negative']
+  },
+  // Counted minus expected: negative when cash is missing
+  discrepancy: {
+    type: Number,
+    required: true
+  },
+  note: String,
+  // First collection covered, i.e. when the shift's takings started
+  periodStart: Date,
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+cashSettlementSchema.index({ driverId: 1, createdAt: -1 });
+cashSettlementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CashSettlement', cashSettlementSchema);
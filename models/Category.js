@@ -248,6 +248,12 @@ const foodItemSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Only items with tracking switched on are limited by stockQuantity at checkout;
+  // items created before stock tracking existed stay orderable
+  trackStock: {
+    type: Boolean,
+    default: false
+  },
   stockQuantity: {
     type: Number,
     default: 0
@@ -373,6 +379,7 @@ foodItemSchema.methods.getLocalized = function (lang = 'en') {
     weight: this.weight,
     sku: this.sku,
     barcode: this.barcode,
+    trackStock: this.trackStock,
     stockQuantity: this.stockQuantity,
     lowStockAlert: this.lowStockAlert,
     totalSold: this.totalSold,
@@ -402,6 +409,7 @@ foodItemSchema.virtual('availabilityStatus').get(function() {
   const now = new Date();
   if (this.availableFrom && now < this.availableFrom) return 'upcoming';
   if (this.availableUntil && now > this.availableUntil) return 'expired';
+  if (!this.trackStock) return 'available';
   if (this.stockQuantity <= 0) return 'out-of-stock';
   if (this.stockQuantity <= this.lowStockAlert) return 'low-stock';
   return 'available';
@@ -439,18 +447,6 @@ foodItemSchema.methods.addReview = function(userId, rating, comment) {
   return this.save();
 };
 
-foodItemSchema.methods.updateStock = function(quantity, operation = 'subtract') {
-  if (operation === 'subtract') {
-    this.stockQuantity -= quantity;
-    this.totalSold += quantity;
-  } else {
-    this.stockQuantity += quantity;
-  }
-  
-  if (this.stockQuantity < 0) this.stockQuantity = 0;
-  return this.save();
-};
-
 const FoodItem = mongoose.model('FoodItem', foodItemSchema);
 
 module.exports = { FoodItem, Category };
\ No newline at end of file
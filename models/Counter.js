@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named atomic sequences (order numbers, invoice series, ...)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Increment and return the next value of a sequence, creating it on first use
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
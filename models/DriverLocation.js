@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Raw GPS pings from drivers, kept out of the order document and expired after a while
+const driverLocationSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  accuracy: Number, // in meters
+  heading: Number,  // in degrees
+  speed: Number,    // in km/h
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+driverLocationSchema.index({ order: 1, recordedAt: -1 });
+driverLocationSchema.index({ recordedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DriverLocation', driverLocationSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// One movement of a card's balance. Appended in the same update that changes
+// the balance, so the history always adds up.
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'purchase', 'redeem', 'release'],
+    required: true
+  },
+  // Positive when the balance grows, negative when it is spent
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // The same redemption or release applied twice never lands twice
+  key: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const giftCardSchema = new mongoose.Schema({
+  // Only a hash of the code is kept; the code itself is shown once, when the card is created
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Shown to staff and customers to tell cards apart
+  last4: {
+    type: String,
+    required: true
+  },
+  initialBalance: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Initial balance must be greater than zero']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Gift card balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a valid 3-letter code']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Bought cards stay pending until their payment goes through
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'disabled'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'purchase'],
+    required: true
+  },
+  // Cards issued together share a batch
+  batchId: String,
+  note: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purchasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payment: {
+    paymentGateway: String,
+    intentId: String,
+    paidAt: Date
+  },
+  disabled: {
+    reason: String,
+    disabledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    disabledAt: Date
+  },
+  transactions: [giftCardTransactionSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+giftCardSchema.index({ status: 1, createdAt: -1 });
+giftCardSchema.index({ batchId: 1 });
+giftCardSchema.index({ purchasedBy: 1, createdAt: -1 });
+giftCardSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+
+giftCardSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// What a card can be used for right now
+giftCardSchema.virtual('state').get(function() {
+  if (this.status === 'active' && this.isExpired) return 'expired';
+  return this.status;
+});
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
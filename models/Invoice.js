@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+  // Cart line of the order this line bills, when it bills one
+  itemId: mongoose.Schema.Types.ObjectId,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceTaxSchema = new mongoose.Schema({
+  name: String,
+  rate: Number,
+  inclusive: Boolean,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Invoices are append-only: once issued they are corrected by a rectifying
+// invoice, never edited, and each one carries the hash of its predecessor.
+const invoiceSchema = new mongoose.Schema({
+  invoiceType: {
+    type: String,
+    enum: ['simplified', 'rectifying'],
+    required: true
+  },
+  // One gap-free series per branch, year and type, e.g. F-BCN1-2026
+  series: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuer: {
+    legalName: String,
+    taxId: String,
+    address: String
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: [invoiceLineSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  taxes: [invoiceTaxSchema],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  // Negative on rectifying invoices
+  total: {
+    type: Number,
+    required: true
+  },
+  rectifies: {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    },
+    number: String
+  },
+  rectification: {
+    reason: String,
+    reasonCode: String,
+    // Refund ledger entry the rectification accounts for
+    refundId: mongoose.Schema.Types.ObjectId
+  },
+  previousHash: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, { timestamps: true });
+
+invoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+// An order is billed by a single simplified invoice
+invoiceSchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { invoiceType: 'simplified' } });
+invoiceSchema.index({ branchId: 1, year: 1, issuedAt: 1 });
+invoiceSchema.index({ 'rectifies.invoiceId': 1 });
+
+const immutableError = () => new Error('Invoices cannot be changed; issue a rectifying invoice instead');
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+// Hash of the fields an auditor checks, chained to the previous invoice of the series
+invoiceSchema.methods.computeHash = function() {
+  const fields = [
+    this.issuer?.taxId || '',
+    this.number,
+    this.invoiceType,
+    this.issuedAt.toISOString(),
+    this.currency,
+    this.total.toFixed(2),
+    this.taxTotal.toFixed(2),
+    this.rectifies?.number || '',
+    this.previousHash || ''
+  ];
+
+  return crypto.createHash('sha256').update(fields.join('|')).digest('hex');
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { assertTransition, getAllowedTransitions, OrderStatusError } = require('../utils/orderStatusMachine');
+const { releaseOrderStock } = require('../utils/stockService');
+const { generateOrderNumber } = require('../utils/orderNumber');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { calculateDistance, estimateTravelMinutes } = require('../utils/locationUtils');
+const { roundCurrency } = require('../utils/pricingService');
+const { getZonedParts } = require('../utils/timeUtils');
+
+// Orders whose items count as sold in the analytics
+const SOLD_STATUSES = ['delivered', 'confirmed', 'preparing', 'ready', 'out-for-delivery'];
+
+// Order fields a sales time series can be split by
+const SPLIT_FIELDS = {
+  branch: 'branchId',
+  deliveryType: 'deliveryType',
+  paymentMethod: 'paymentMethod'
+};
+
+// Bucket labels in the restaurant timezone; weeks are named after their Monday
+const BUCKET_LABEL_FORMATS = {
+  hour: ({ year, month, day, time }) => `${year}-${month}-${day} ${time}`,
+  day: ({ year, month, day }) => `${year}-${month}-${day}`,
+  week: ({ year, month, day }) => `${year}-${month}-${day}`,
+  month: ({ year, month }) => `${year}-${month}`
+};
 
 const cartItemSchema = new mongoose.Schema({
   foodItem: {
@@ -36,9 +61,113 @@ const cartItemSchema = new mongoose.Schema({
   totalPrice: {
     type: Number,
     required: true
+  },
+  // Kitchen progress of this line, driven from the KDS
+  prepStatus: {
+    type: String,
+    enum: ['pending', 'preparing', 'done'],
+    default: 'pending'
+  },
+  prepStartedAt: Date,
+  prepCompletedAt: Date,
+  preparedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
+// One entry of the refund ledger; an order can be refunded several times
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than zero']
+  },
+  // Cart lines this refund covers; empty for a free-form amount
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    foodItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FoodItem'
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    amount: Number
+  }],
+  reasonCode: {
+    type: String,
+    enum: [
+      'missing-item',
+      'wrong-item',
+      'quality-issue',
+      'late-delivery',
+      'order-cancelled',
+      'duplicate-charge',
+      'goodwill',
+      'other'
+    ],
+    required: true
+  },
+  note: String,
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  gatewayRef: String,
+  // Part of the amount credited to the customer's wallet instead of the original payment
+  walletAmount: {
+    type: Number,
+    default: 0
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Customer edit of a confirmed order, waiting for staff to approve it
+const changeRequestSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  items: [cartItemSchema],
+  deliveryAddress: mongoose.Schema.Types.Mixed,
+  specialInstructions: String,
+  // Totals the order would have if the request were approved now
+  subtotal: Number,
+  deliveryFee: Number,
+  tax: Number,
+  discount: Number,
+  total: Number,
+  summary: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+});
+
 const deliveryAddressSchema = new mongoose.Schema({
   type: {
     type: String,
@@ -67,6 +196,12 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The customer as they were at checkout; receipts still name them once the account is gone
+  customerContact: {
+    name: String,
+    email: String,
+    phone: String
+  },
   items: [cartItemSchema],
   subtotal: {
     type: Number,
@@ -97,6 +232,8 @@ const orderSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: [
+      'awaiting-payment',
+      'scheduled',
       'pending',
       'confirmed',
       'preparing',
@@ -112,7 +249,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cash-on-delivery','cashOnDelivery', 'card','shop', 'paypal', 'stripe', 'wallet'],
+    enum: ['cash-on-delivery','cashOnDelivery', 'card','shop', 'paypal', 'stripe', 'wallet', 'gift-card'],
     required: true
   },
   
@@ -121,6 +258,22 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'failed', 'refunded', 'partially-refunded'],
     default: 'pending'
   },
+  // Part of the total paid from the customer's wallet; the rest goes through paymentMethod
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Part of the total paid with a gift card
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  giftCardAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Add this to your Order schema
 codPaymentType: {
   type: String,
@@ -129,11 +282,51 @@ codPaymentType: {
     return this.paymentMethod === 'cashOnDelivery' || this.paymentMethod === 'cash-on-delivery';
   }
 },
+  // Cash on delivery: what was taken at the door, and whether it reached the till.
+  // Unset until the handover is recorded.
+  codCollection: {
+    status: {
+      type: String,
+      enum: ['collected', 'not-collected', 'settled']
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'card']
+    },
+    expectedAmount: Number,
+    collectedAmount: {
+      type: Number,
+      min: 0
+    },
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: Date,
+    note: String,
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CashSettlement'
+    }
+  },
   paymentDetails: {
     transactionId: String,
     paymentGateway: String,
+    // Online payments: the provider's intent and its last known status
+    intentId: String,
+    intentStatus: {
+      type: String,
+      enum: ['requires-confirmation', 'requires-capture', 'succeeded', 'failed', 'voided']
+    },
     paidAt: Date,
-    failureReason: String
+    failureReason: String,
+    // Chargeback opened by the customer's bank, reported by the provider
+    dispute: {
+      disputeId: String,
+      amount: Number,
+      reason: String,
+      openedAt: Date
+    }
   },
   deliveryType: {
     type: String,
@@ -151,7 +344,12 @@ codPaymentType: {
     ref: 'Branch',
     required: true
   },
+  // Orders for a future slot wait in 'scheduled' until scheduledReleaseAt
+  scheduledFor: Date,
+  scheduledReleaseAt: Date,
   estimatedDeliveryTime: Date,
+  // The first estimate given to the customer; estimatedDeliveryTime moves with the driver
+  promisedDeliveryTime: Date,
   actualDeliveryTime: Date,
   preparationTime: {
     type: Number, // in minutes
@@ -187,6 +385,27 @@ codPaymentType: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  deliveryAssignment: {
+    status: {
+      type: String,
+      enum: ['assigned', 'accepted', 'rejected']
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    respondedAt: Date,
+    rejectionReason: String,
+    pickedUpAt: Date
+  },
+  // Latest driver position only; the full ping history lives in DriverLocation
+  driverLocation: {
+    latitude: Number,
+    longitude: Number,
+    recordedAt: Date,
+    distanceRemaining: Number // in kilometers
+  },
   trackingUpdates: [{
     status: String,
     message: String,
@@ -197,14 +416,42 @@ codPaymentType: {
     location: {
       latitude: Number,
       longitude: Number
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedByRole: {
+      type: String,
+      enum: ['user', 'admin', 'manager', 'driver', 'system']
     }
   }],
+  // Outcome of auto-accept mode; absent when the mode was off
+  autoAcceptance: {
+    decision: {
+      type: String,
+      enum: ['accepted', 'held']
+    },
+    reasons: [String],
+    decidedAt: Date
+  },
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['reserved', 'released']
+    },
+    reservedAt: Date,
+    releasedAt: Date
+  },
+  // Single refund kept by older orders; new refunds go to the ledger below
   refund: {
     amount: Number,
     reason: String,
     processedAt: Date,
     refundId: String
   },
+  refunds: [refundSchema],
+  changeRequests: [changeRequestSchema],
   cancellation: {
     reason: String,
     cancelledBy: {
@@ -223,21 +470,81 @@ codPaymentType: {
   toObject: { virtuals: true }
 });
 
-// Generate order number before saving
+// Generate order number before validation; existing orders keep theirs
+orderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber && this.branchId) {
+    this.orderNumber = await generateOrderNumber(this.branchId);
+  }
+  next();
+});
+
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `FK${String(count + 1).padStart(6, '0')}`;
-    
+    const totalTime = this.preparationTime + (this.deliveryType === 'delivery' ? this.deliveryTime : 0);
+
+    // Scheduled orders are promised for their slot and released to the kitchen in time for it
+    if (this.scheduledFor) {
+      this.estimatedDeliveryTime = this.estimatedDeliveryTime || this.scheduledFor;
+      this.scheduledReleaseAt = new Date(this.scheduledFor.getTime() - totalTime * 60 * 1000);
+    }
+
     // Set estimated delivery time if not provided
     if (!this.estimatedDeliveryTime) {
-      const totalTime = this.preparationTime + (this.deliveryType === 'delivery' ? this.deliveryTime : 0);
       this.estimatedDeliveryTime = new Date(Date.now() + totalTime * 60 * 1000);
     }
+
+    this.promisedDeliveryTime = this.estimatedDeliveryTime;
   }
   next();
 });
 
+// Remember the loaded status so change events can report where the order came from
+orderSchema.post('init', function() {
+  this.$locals.previousStatus = this.status;
+});
+
+// Collect live events for the change being saved
+orderSchema.pre('save', function(next) {
+  const events = [];
+
+  if (this.isNew) {
+    events.push(['order.created', {
+      status: this.status,
+      total: this.total,
+      deliveryType: this.deliveryType,
+      scheduledFor: this.scheduledFor
+    }]);
+  } else {
+    if (this.isModified('status')) {
+      events.push(['order.status', { status: this.status, previousStatus: this.$locals.previousStatus }]);
+      if (this.status === 'cancelled') {
+        events.push(['order.cancelled', { reason: this.cancellation?.reason, cancelledBy: this.cancellation?.cancelledBy }]);
+      }
+    }
+    if (this.isModified('estimatedDeliveryTime')) {
+      events.push(['order.eta', {
+        estimatedDeliveryTime: this.estimatedDeliveryTime,
+        estimatedTimeRemaining: this.estimatedTimeRemaining
+      }]);
+    }
+  }
+
+  this.$locals.pendingEvents = events;
+  next();
+});
+
+orderSchema.post('save', function(doc) {
+  const events = doc.$locals.pendingEvents || [];
+  doc.$locals.pendingEvents = [];
+  doc.$locals.previousStatus = doc.status;
+
+  // Published in the background; the save itself has already succeeded
+  events.reduce(
+    (chain, [type, data]) => chain.then(() => publishOrderEvent(type, doc, data)),
+    Promise.resolve()
+  );
+});
+
 // Indexes for better performance
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
@@ -246,10 +553,18 @@ orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ deliveryType: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, scheduledReleaseAt: 1 });
+orderSchema.index({ 'autoAcceptance.decision': 1, createdAt: -1 });
+orderSchema.index({ status: 1, actualDeliveryTime: -1 });
+orderSchema.index({ 'paymentDetails.intentId': 1 }, { sparse: true });
+orderSchema.index({ deliveryAgent: 1, 'codCollection.status': 1 });
+orderSchema.index({ 'codCollection.settlementId': 1 }, { sparse: true });
 
 // Virtual for status display
 orderSchema.virtual('statusDisplay').get(function() {
   const statusMap = {
+    'awaiting-payment': 'Awaiting Payment',
+    'scheduled': 'Scheduled',
     'pending': 'Order Placed',
     'confirmed': 'Order Confirmed',
     'preparing': 'Preparing',
@@ -262,6 +577,12 @@ orderSchema.virtual('statusDisplay').get(function() {
   return statusMap[this.status] || this.status;
 });
 
+// Virtual for the amount refunded so far
+orderSchema.virtual('refundedTotal').get(function() {
+  if (!this.refunds || this.refunds.length === 0) return this.refund?.amount || 0;
+  return Math.round(this.refunds.reduce((sum, refund) => sum + refund.amount, 0) * 100) / 100;
+});
+
 // Virtual for estimated delivery remaining time
 orderSchema.virtual('estimatedTimeRemaining').get(function() {
   if (!this.estimatedDeliveryTime) return null;
@@ -275,11 +596,21 @@ orderSchema.virtual('estimatedTimeRemaining').get(function() {
 });
 
 // Method to add tracking update
-orderSchema.methods.addTrackingUpdate = function(status, message, location) {
+// actor: { userId, role } of whoever makes the change; defaults to the system
+orderSchema.methods.addTrackingUpdate = async function(status, message, location, actor = {}) {
+  const role = actor.role || 'system';
+
+  // Status changes must follow the declared transition graph
+  if (status && status !== this.status) {
+    assertTransition(this, status, role);
+  }
+
   this.trackingUpdates.push({
     status,
     message,
     location,
+    updatedBy: actor.userId,
+    updatedByRole: role,
     timestamp: new Date()
   });
   
@@ -287,12 +618,138 @@ orderSchema.methods.addTrackingUpdate = function(status, message, location) {
   if (status) {
     this.status = status;
   }
+
+  if (status === 'delivered' && !this.actualDeliveryTime) {
+    this.actualDeliveryTime = new Date();
+  }
   
+  await this.save();
+
+  const update = this.trackingUpdates[this.trackingUpdates.length - 1];
+  publishOrderEvent('order.tracking', this, {
+    status: update.status,
+    message: update.message,
+    location: update.location,
+    timestamp: update.timestamp
+  });
+
+  return this;
+};
+
+// Method to assign (or reassign) a delivery driver
+orderSchema.methods.assignDriver = function(driver, actor = {}) {
+  this.deliveryAgent = driver._id;
+  this.deliveryAssignment = {
+    status: 'assigned',
+    assignedBy: actor.userId,
+    assignedAt: new Date()
+  };
+
+  return this.addTrackingUpdate(this.status, `Assigned to driver ${driver.firstName} ${driver.lastName}`, undefined, actor);
+};
+
+// Method for the assigned driver to accept or reject the delivery
+orderSchema.methods.respondToAssignment = function(accepted, reason, actor = {}) {
+  this.deliveryAssignment.status = accepted ? 'accepted' : 'rejected';
+  this.deliveryAssignment.respondedAt = new Date();
+
+  if (!accepted) {
+    // Hand the order back so staff can reassign it
+    this.deliveryAssignment.rejectionReason = reason;
+    this.deliveryAgent = undefined;
+  }
+
+  const message = accepted ? 'Driver accepted the delivery' : `Driver rejected the delivery${reason ? `: ${reason}` : ''}`;
+  return this.addTrackingUpdate(this.status, message, undefined, actor);
+};
+
+// Method to record the driver's latest position and recompute the ETA from it
+orderSchema.methods.recordDriverLocation = function({ latitude, longitude, recordedAt = new Date() }) {
+  const destination = this.deliveryAddress || {};
+  let distanceRemaining;
+
+  if (typeof destination.latitude === 'number' && typeof destination.longitude === 'number') {
+    distanceRemaining = Math.round(calculateDistance(latitude, longitude, destination.latitude, destination.longitude) * 100) / 100;
+
+    // Only once the driver is on the way does their position say when the order arrives
+    if (this.status === 'out-for-delivery') {
+      const speed = parseFloat(process.env.DRIVER_AVERAGE_SPEED_KMH) || 20;
+      const handoverMinutes = 2;
+      const eta = new Date(recordedAt.getTime() + (estimateTravelMinutes(distanceRemaining, speed) + handoverMinutes) * 60 * 1000);
+
+      // Ignore jitter below a minute so the customer's ETA does not flicker
+      if (!this.estimatedDeliveryTime || Math.abs(eta - this.estimatedDeliveryTime) >= 60 * 1000) {
+        this.estimatedDeliveryTime = eta;
+      }
+    }
+  }
+
+  this.driverLocation = { latitude, longitude, recordedAt, distanceRemaining };
   return this.save();
 };
 
+// Method for the kitchen to start or finish a single cart item
+// The order moves to 'preparing' with its first item and to 'ready' once every item is done.
+// A retry after a lost save race may find its item already moved; that counts as done.
+orderSchema.methods.updateItemPrep = async function(itemId, action, actor = {}, { retrying = false } = {}) {
+  const item = this.items.id(itemId);
+
+  if (!item) {
+    throw new OrderStatusError('Item not found in this order', 404);
+  }
+
+  const alreadyApplied = retrying &&
+    (item.prepStatus === 'done' || (action === 'start' && item.prepStatus === 'preparing'));
+
+  if (!alreadyApplied) {
+    if (!['confirmed', 'preparing'].includes(this.status)) {
+      throw new OrderStatusError(`Items cannot be prepared while the order is '${this.status}'`, 409, { status: this.status });
+    }
+
+    if ((action === 'start' && item.prepStatus !== 'pending') || item.prepStatus === 'done') {
+      throw new OrderStatusError(`Item is already ${item.prepStatus}`, 409, { prepStatus: item.prepStatus });
+    }
+
+    const now = new Date();
+    item.prepStartedAt = item.prepStartedAt || now;
+    item.prepStatus = action === 'start' ? 'preparing' : 'done';
+    if (action === 'done') {
+      item.prepCompletedAt = now;
+    }
+    item.preparedBy = actor.userId;
+
+    // Several cooks work on one order; a save based on a stale copy must fail, not overwrite
+    this.increment();
+
+    if (this.status === 'confirmed') {
+      await this.addTrackingUpdate('preparing', 'Kitchen started preparing the order', undefined, actor);
+    } else {
+      await this.save();
+    }
+
+    publishOrderEvent('order.item', this, {
+      itemId: item._id,
+      prepStatus: item.prepStatus,
+      prepStartedAt: item.prepStartedAt,
+      prepCompletedAt: item.prepCompletedAt
+    });
+  }
+
+  // Also reached when the item saved but the move to 'ready' lost a race
+  if (this.status === 'preparing' && this.items.every(line => line.prepStatus === 'done')) {
+    await this.addTrackingUpdate('ready', 'All items are ready', undefined, actor);
+  }
+
+  return this;
+};
+
+// Statuses the given role may move this order to next
+orderSchema.methods.getAllowedTransitions = function(role) {
+  return getAllowedTransitions(this, role);
+};
+
 // Method to update payment status
-orderSchema.methods.updatePaymentStatus = function(status, details = {}) {
+orderSchema.methods.updatePaymentStatus = async function(status, details = {}) {
   this.paymentStatus = status;
   
   if (details.transactionId) {
@@ -309,39 +766,31 @@ orderSchema.methods.updatePaymentStatus = function(status, details = {}) {
     this.paymentDetails.failureReason = details.failureReason;
   }
   
-  return this.save();
+  await this.save();
+
+  // A failed payment gives the reserved stock back
+  if (status === 'failed') {
+    await releaseOrderStock(this);
+  }
+
+  return this;
 };
 
 // Method to cancel order
-orderSchema.methods.cancelOrder = function(reason, cancelledBy = 'customer') {
-  this.status = 'cancelled';
+orderSchema.methods.cancelOrder = async function(reason, cancelledBy = 'customer', actor = {}) {
+  const role = actor.role || (cancelledBy === 'customer' ? 'user' : cancelledBy);
+  assertTransition(this, 'cancelled', role);
+
   this.cancellation = {
     reason,
     cancelledBy,
     cancelledAt: new Date()
   };
   
-  this.addTrackingUpdate('cancelled', `Order cancelled: ${reason}`);
-  
-  return this.save();
-};
+  await this.addTrackingUpdate('cancelled', `Order cancelled: ${reason}`, undefined, { ...actor, role });
 
-// Method to process refund
-orderSchema.methods.processRefund = function(amount, reason, refundId) {
-  this.refund = {
-    amount: amount || this.total,
-    reason,
-    processedAt: new Date(),
-    refundId
-  };
-  
-  this.paymentStatus = amount >= this.total ? 'refunded' : 'partially-refunded';
-  
-  if (this.cancellation) {
-    this.cancellation.refundProcessed = true;
-  }
-  
-  return this.save();
+  // Stock, payments and refunds are given back by orderCancellationService
+  return this;
 };
 
 // Method to add rating
@@ -403,14 +852,18 @@ orderSchema.statics.getOrderStats = async function(startDate, endDate) {
   }}
 
 // Static method to get popular items
-orderSchema.statics.getPopularItems = async function(limit = 10, startDate, endDate) {
+orderSchema.statics.getPopularItems = async function(limit = 10, startDate, endDate, options = {}) {
   const matchConditions = {
-    status: { $in: ['delivered', 'confirmed', 'preparing', 'ready', 'out-for-delivery'] }
+    status: { $in: SOLD_STATUSES }
   };
   
   if (startDate && endDate) {
     matchConditions.createdAt = { $gte: startDate, $lte: endDate };
   }
+
+  if (options.branchId) {
+    matchConditions.branchId = new mongoose.Types.ObjectId(options.branchId);
+  }
   
   return this.aggregate([
     { $match: matchConditions },
@@ -437,4 +890,158 @@ orderSchema.statics.getPopularItems = async function(limit = 10, startDate, endD
   ]);
 };
 
+// Static method to get best-selling categories, by quantity sold
+orderSchema.statics.getPopularCategories = async function(limit = 10, startDate, endDate, options = {}) {
+  const matchConditions = {
+    status: { $in: SOLD_STATUSES },
+    createdAt: { $gte: startDate, $lte: endDate }
+  };
+
+  if (options.branchId) {
+    matchConditions.branchId = new mongoose.Types.ObjectId(options.branchId);
+  }
+
+  return this.aggregate([
+    { $match: matchConditions },
+    { $unwind: '$items' },
+    {
+      $lookup: {
+        from: 'fooditems',
+        localField: 'items.foodItem',
+        foreignField: '_id',
+        pipeline: [{ $project: { category: 1 } }],
+        as: 'foodItem'
+      }
+    },
+    { $unwind: '$foodItem' },
+    {
+      $group: {
+        _id: '$foodItem.category',
+        totalQuantity: { $sum: '$items.quantity' },
+        totalRevenue: { $sum: '$items.totalPrice' },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    { $sort: { totalQuantity: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, imageUrl: 1 } }],
+        as: 'category'
+      }
+    },
+    { $unwind: '$category' },
+    {
+      $project: {
+        totalQuantity: 1,
+        totalRevenue: 1,
+        orderCount: { $size: '$orders' },
+        category: 1
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to get sales figures bucketed over time
+ * Buckets start at local hour/day/week (Monday)/month boundaries of the given
+ * timezone; buckets without orders are left out.
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {Object} options - { interval: hour|day|week|month, timezone, branchId, splitBy: branch|deliveryType|paymentMethod }
+ * @returns {Promise<Object>} { totals, timeline, byBranch, byDeliveryType, byPaymentMethod }
+ */
+orderSchema.statics.getSalesTimeSeries = async function(startDate, endDate, options = {}) {
+  const { interval = 'day', timezone = 'UTC', branchId, splitBy } = options;
+
+  const matchConditions = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    // Scheduled and unpaid orders have not been placed with the kitchen yet
+    status: { $nin: ['scheduled', 'awaiting-payment'] }
+  };
+
+  if (branchId) {
+    matchConditions.branchId = new mongoose.Types.ObjectId(branchId);
+  }
+
+  const salesFigures = {
+    orders: { $sum: 1 },
+    cancelledOrders: { $sum: { $cond: ['$cancelled', 1, 0] } },
+    revenue: { $sum: { $cond: ['$cancelled', 0, '$total'] } },
+    refunded: { $sum: '$refunded' }
+  };
+
+  const groupedBy = (key) => [
+    { $group: { _id: key, ...salesFigures } },
+    { $sort: { revenue: -1 } }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: matchConditions },
+    {
+      $project: {
+        createdAt: 1,
+        total: 1,
+        branchId: 1,
+        deliveryType: 1,
+        paymentMethod: 1,
+        cancelled: { $eq: ['$status', 'cancelled'] },
+        refunded: { $sum: '$refunds.amount' }
+      }
+    },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...salesFigures } }],
+        timeline: [
+          {
+            $group: {
+              _id: {
+                start: {
+                  $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' }
+                },
+                ...(splitBy ? { split: `$${SPLIT_FIELDS[splitBy]}` } : {})
+              },
+              ...salesFigures
+            }
+          },
+          { $sort: { '_id.start': 1 } }
+        ],
+        byBranch: groupedBy('$branchId'),
+        byDeliveryType: groupedBy('$deliveryType'),
+        byPaymentMethod: groupedBy('$paymentMethod')
+      }
+    }
+  ]);
+
+  const label = (date) => BUCKET_LABEL_FORMATS[interval](getZonedParts(date, timezone));
+
+  const withRates = ({ _id, ...figures }) => {
+    const completed = figures.orders - figures.cancelledOrders;
+    return {
+      ...figures,
+      revenue: roundCurrency(figures.revenue),
+      refunded: roundCurrency(figures.refunded),
+      netRevenue: roundCurrency(figures.revenue - figures.refunded),
+      averageTicket: completed > 0 ? roundCurrency(figures.revenue / completed) : 0,
+      cancellationRate: figures.orders > 0 ? Math.round((figures.cancelledOrders / figures.orders) * 1000) / 10 : 0
+    };
+  };
+
+  return {
+    totals: withRates(result.totals[0] || { orders: 0, cancelledOrders: 0, revenue: 0, refunded: 0 }),
+    timeline: result.timeline.map(bucket => ({
+      start: bucket._id.start,
+      label: label(bucket._id.start),
+      ...(splitBy ? { [splitBy]: bucket._id.split } : {}),
+      ...withRates(bucket)
+    })),
+    byBranch: result.byBranch.map(entry => ({ branchId: entry._id, ...withRates(entry) })),
+    byDeliveryType: result.byDeliveryType.map(entry => ({ deliveryType: entry._id, ...withRates(entry) })),
+    byPaymentMethod: result.byPaymentMethod.map(entry => ({ paymentMethod: entry._id, ...withRates(entry) }))
+  };
+};
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
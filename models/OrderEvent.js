@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Append-only log of order events pushed to live clients.
+// seq doubles as the SSE event id so reconnecting clients can resume.
+const orderEventSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Who receives the event: the order's owner, branch staff, or both
+  audience: [{
+    type: String,
+    enum: ['owner', 'staff']
+  }],
+  data: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+orderEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+orderEventSchema.index({ userId: 1, seq: 1 });
+
+module.exports = mongoose.model('OrderEvent', orderEventSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Webhook events received from payment providers.
+// The unique provider + eventId pair is what makes redelivered events harmless.
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  intentId: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Normalized event as verified, see paymentService
+  data: mongoose.Schema.Types.Mixed,
+  signedAt: Date,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // What processing did to the order, or why it did nothing
+  result: String,
+  lastError: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date
+}, { timestamps: true });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ orderId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
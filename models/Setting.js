@@ -1,6 +1,7 @@
 
 // models/Setting.js
 const mongoose = require('mongoose');
+const { getZonedParts } = require('../utils/timeUtils');
 
 const operatingHoursSchema = new mongoose.Schema({
   day: {
@@ -44,20 +45,21 @@ const socialMediaSchema = new mongoose.Schema({
 const paymentGatewaySchema = new mongoose.Schema({
   provider: {
     type: String,
-    enum: ['stripe', 'paypal', 'square', 'razorpay'],
+    enum: ['stripe', 'paypal', 'square', 'razorpay', 'mock'],
     required: true
   },
   isActive: {
     type: Boolean,
     default: false
   },
+  // The local mock provider runs without keys
   apiKey: {
     type: String,
-    required: function() { return this.isActive; }
+    required: function() { return this.isActive && this.provider !== 'mock'; }
   },
   secretKey: {
     type: String,
-    required: function() { return this.isActive; },
+    required: function() { return this.isActive && this.provider !== 'mock'; },
     select: false // Don't include in queries by default
   },
   webhookSecret: {
@@ -67,6 +69,12 @@ const paymentGatewaySchema = new mongoose.Schema({
   testMode: {
     type: Boolean,
     default: true
+  },
+  // 'manual' only authorizes at checkout; staff capture the payment later
+  captureMethod: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
   }
 });
 
@@ -246,10 +254,29 @@ const settingSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Orders breaking any of these rules are held for manual review instead
+    autoAcceptRules: {
+      maxOrderTotal: {
+        type: Number,
+        min: [0, 'Maximum auto-accept total cannot be negative']
+      },
+      allowCashOnDelivery: {
+        type: Boolean,
+        default: true
+      },
+      maxCashOnDeliveryTotal: {
+        type: Number,
+        min: [0, 'Maximum cash on delivery total cannot be negative']
+      }
+    },
     allowScheduledOrders: {
       type: Boolean,
       default: true
     },
+    emailReceiptOnDelivery: {
+      type: Boolean,
+      default: false
+    },
     maxScheduleDays: {
       type: Number,
       default: 7,
@@ -416,6 +443,27 @@ const settingSchema = new mongoose.Schema({
     }
   },
   
+  // Issuer details printed on invoices
+  invoicing: {
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Legal name cannot exceed 150 characters']
+    },
+    // NIF/CIF of the issuer
+    taxId: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9]{8,12}$/, 'Please provide a valid tax ID']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Invoice address cannot exceed 300 characters']
+    }
+  },
+
   // Privacy & Terms
   legal: {
     termsOfService: String,
@@ -453,16 +501,86 @@ settingSchema.virtual('fullAddress').get(function() {
 
 // Virtual for current operating status
 settingSchema.virtual('isCurrentlyOpen').get(function() {
-  const now = new Date();
-  const currentDay = now.toLocaleLowerCase();
-  const currentTime = now.toTimeString().slice(0, 5);
+  return this.isOpenAt(new Date());
+});
+
+// Method to check operating hours at a given moment, in the restaurant timezone
+settingSchema.methods.isOpenAt = function(date) {
+  const { weekday, time } = getZonedParts(date, this.timezone);
   
-  const todayHours = this.operatingHours.find(hours => hours.day === currentDay);
+  const dayHours = this.operatingHours.find(hours => hours.day === weekday);
   
-  if (!todayHours || !todayHours.isOpen) return false;
+  if (!dayHours || !dayHours.isOpen) return false;
   
-  return currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime;
-});
+  // Stored times may be H:MM; pad so they compare as strings
+  const openTime = dayHours.openTime.padStart(5, '0');
+  const closeTime = dayHours.closeTime.padStart(5, '0');
+  
+  // Hours such as 18:00-02:00 run past midnight
+  if (closeTime <= openTime) {
+    return time >= openTime || time <= closeTime;
+  }
+  
+  return time >= openTime && time <= closeTime;
+};
+
+// Method to decide whether a new order may be confirmed without staff
+// Returns the reasons it must be held; an empty list means accept.
+settingSchema.methods.getAutoAcceptHoldReasons = function(order, now = new Date()) {
+  const rules = this.orderSettings?.autoAcceptRules || {};
+  const reasons = [];
+  
+  if (this.maintenanceMode?.isEnabled) {
+    reasons.push('Restaurant is in maintenance mode');
+  }
+  
+  if (!this.isOpenAt(now)) {
+    reasons.push('Restaurant is closed');
+  }
+  
+  if (rules.maxOrderTotal != null && order.total > rules.maxOrderTotal) {
+    reasons.push(`Order total ${order.total.toFixed(2)} exceeds the auto-accept limit of ${rules.maxOrderTotal.toFixed(2)}`);
+  }
+  
+  if (['cash-on-delivery', 'cashOnDelivery'].includes(order.paymentMethod)) {
+    if (rules.allowCashOnDelivery === false) {
+      reasons.push('Cash on delivery orders need manual review');
+    } else if (rules.maxCashOnDeliveryTotal != null && order.total > rules.maxCashOnDeliveryTotal) {
+      reasons.push(`Cash on delivery total ${order.total.toFixed(2)} exceeds the limit of ${rules.maxCashOnDeliveryTotal.toFixed(2)}`);
+    }
+  }
+  
+  return reasons;
+};
+
+// Method to check a requested time for a scheduled order
+settingSchema.methods.checkScheduledTime = function(scheduledFor, deliveryType, now = new Date()) {
+  const { allowScheduledOrders, maxScheduleDays } = this.orderSettings || {};
+  
+  if (allowScheduledOrders === false) {
+    return { valid: false, reason: 'Scheduled orders are not available' };
+  }
+  
+  // The slot must leave time to prepare (and deliver) the order
+  const leadMinutes = deliveryType === 'delivery'
+    ? this.deliverySettings?.estimatedDeliveryTime || 45
+    : this.pickupSettings?.estimatedPickupTime || 20;
+  
+  if (scheduledFor < new Date(now.getTime() + leadMinutes * 60 * 1000)) {
+    return { valid: false, reason: `Scheduled time must be at least ${leadMinutes} minutes from now` };
+  }
+  
+  const maxDays = maxScheduleDays || 7;
+  if (scheduledFor > new Date(now.getTime() + maxDays * 24 * 60 * 60 * 1000)) {
+    return { valid: false, reason: `Orders can be scheduled at most ${maxDays} days ahead` };
+  }
+  
+  if (!this.isOpenAt(scheduledFor)) {
+    return { valid: false, reason: 'The restaurant is closed at the selected time' };
+  }
+  
+  return { valid: true };
+};
 
 // Method to get active payment gateway
 settingSchema.methods.getActivePaymentGateway = function() {
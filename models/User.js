@@ -63,9 +63,14 @@ const userSchema = new mongoose.Schema({
   addresses: [addressSchema],
   role: {
     type: String,
-    enum: ['user', 'admin', 'manager'],
+    enum: ['user', 'admin', 'manager', 'driver'],
     default: 'user'
   },
+  // Branch a manager runs; their live order events are limited to it
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -94,6 +99,11 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Language for receipts and emails; requests can still ask for another
+  preferredLanguage: {
+    type: String,
+    enum: ['en', 'es', 'ca', 'ar']
+  },
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Unspent part of a credit that expires, consumed soonest-expiring first
+const expiringCreditSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    required: true
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// A customer's store credit. The balance is a running total of the
+// WalletTransaction ledger, kept here so spends can be guarded atomically.
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  expiringCredits: [expiringCreditSchema],
+  // Bumped on every change; debits only apply to the revision they were computed from
+  revision: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+walletSchema.index({ 'expiringCredits.expiresAt': 1 });
+
+module.exports = mongoose.model('Wallet', walletSchema);
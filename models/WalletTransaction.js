@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of wallet movements; corrections are new entries.
+// Credits are positive amounts and debits negative.
+const walletTransactionSchema = new mongoose.Schema({
+  walletId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['top-up', 'spend', 'refund', 'adjustment', 'expiry'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Payment intent of a top-up, or the refund ledger entry it came from
+  reference: String,
+  note: String,
+  // Credits that lapse when unspent
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The same operation retried never lands twice
+  idempotencyKey: String
+}, { timestamps: true });
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ orderId: 1 });
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+const immutableError = () => new Error('Wallet transactions cannot be changed; record a new transaction instead');
+
+walletTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
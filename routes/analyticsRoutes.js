@@ -0,0 +1,247 @@
+const express = require('express');
+const { query, validationResult, matchedData } = require('express-validator');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { parseLocalDate } = require('../utils/timeUtils');
+const { localizedText } = require('../utils/receiptService');
+const { getDeliveryPerformance } = require('../utils/deliveryPerformance');
+
+const router = express.Router();
+
+router.use(auth, authorize('admin', 'manager'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+// Hourly buckets over longer periods are too many to chart
+const MAX_HOURLY_PERIOD_DAYS = 31;
+
+const periodValidation = [
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID')
+];
+
+// Calendar days are whole days in the restaurant timezone; `to` includes its day
+const resolvePeriod = ({ from, to }, timeZone) => {
+  const endDate = to ? parseLocalDate(to, timeZone, { endOfDay: true }) : new Date();
+  const startDate = from
+    ? parseLocalDate(from, timeZone)
+    : new Date(endDate.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+
+  return { startDate, endDate };
+};
+
+const validatePeriod = ({ startDate, endDate }, interval) => {
+  const days = (endDate - startDate) / DAY_MS;
+  if (days <= 0) return 'From must be before to';
+  if (days > MAX_PERIOD_DAYS) return `The period cannot be longer than ${MAX_PERIOD_DAYS} days`;
+  if (interval === 'hour' && days > MAX_HOURLY_PERIOD_DAYS) {
+    return `Hourly figures cover at most ${MAX_HOURLY_PERIOD_DAYS} days`;
+  }
+  return null;
+};
+
+// Percentage change from the previous period; null when there is nothing to compare with
+const percentChange = (current, previous) =>
+  (previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null);
+
+// @desc    Sales over time, split by branch, delivery type and payment method
+// @route   GET /api/v1/analytics/sales?from&to&interval=hour|day|week|month&branchId&splitBy&compare
+// @access  Private (Admin/Manager only)
+router.get('/sales', [
+  ...periodValidation,
+  query('interval').optional().isIn(['hour', 'day', 'week', 'month']).withMessage('Interval must be hour, day, week or month'),
+  query('splitBy').optional().isIn(['branch', 'deliveryType', 'paymentMethod']).withMessage('splitBy must be branch, deliveryType or paymentMethod'),
+  query('compare').optional().isBoolean().withMessage('Compare must be true or false').toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const params = matchedData(req, { locations: ['query'] });
+  const { interval = 'day', branchId, splitBy, compare = true } = params;
+
+  const settings = await Setting.findOne().select('timezone currency');
+  const timezone = settings?.timezone || 'UTC';
+  const period = resolvePeriod(params, timezone);
+
+  const periodError = validatePeriod(period, interval);
+  if (periodError) {
+    return res.status(400).json({
+      success: false,
+      message: periodError
+    });
+  }
+
+  const options = { interval, timezone, branchId, splitBy };
+  const sales = await Order.getSalesTimeSeries(period.startDate, period.endDate, options);
+
+  // Name the branches in the breakdown
+  const branchIds = sales.byBranch.map(entry => entry.branchId).filter(Boolean);
+  const branches = await Branch.find({ _id: { $in: branchIds } }).select('name code');
+  const branchNames = new Map(branches.map(branch => [branch._id.toString(), branch]));
+  sales.byBranch = sales.byBranch.map(entry => ({
+    ...entry,
+    branch: branchNames.get(entry.branchId?.toString()) || null
+  }));
+
+  let comparison = null;
+  if (compare) {
+    // The same length of time, right before the requested period
+    const length = period.endDate - period.startDate;
+    const previous = {
+      startDate: new Date(period.startDate.getTime() - length - 1),
+      endDate: new Date(period.startDate.getTime() - 1)
+    };
+    const { totals } = await Order.getSalesTimeSeries(previous.startDate, previous.endDate, options);
+
+    comparison = {
+      from: previous.startDate,
+      to: previous.endDate,
+      totals,
+      change: {
+        revenue: percentChange(sales.totals.revenue, totals.revenue),
+        netRevenue: percentChange(sales.totals.netRevenue, totals.netRevenue),
+        orders: percentChange(sales.totals.orders, totals.orders),
+        averageTicket: percentChange(sales.totals.averageTicket, totals.averageTicket),
+        // Percentage points, as both figures already are rates
+        cancellationRate: Math.round((sales.totals.cancellationRate - totals.cancellationRate) * 10) / 10
+      }
+    };
+  }
+
+  res.json({
+    success: true,
+    from: period.startDate,
+    to: period.endDate,
+    interval,
+    timezone,
+    currency: settings?.currency,
+    ...sales,
+    comparison
+  });
+}));
+
+// @desc    Best-selling items and categories
+// @route   GET /api/v1/analytics/top-items?from&to&branchId&limit
+// @access  Private (Admin/Manager only)
+router.get('/top-items', [
+  ...periodValidation,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const params = matchedData(req, { locations: ['query'] });
+  const { branchId, limit = 10 } = params;
+
+  const settings = await Setting.findOne().select('timezone');
+  const period = resolvePeriod(params, settings?.timezone || 'UTC');
+
+  const periodError = validatePeriod(period);
+  if (periodError) {
+    return res.status(400).json({
+      success: false,
+      message: periodError
+    });
+  }
+
+  const [items, categories] = await Promise.all([
+    Order.getPopularItems(limit, period.startDate, period.endDate, { branchId }),
+    Order.getPopularCategories(limit, period.startDate, period.endDate, { branchId })
+  ]);
+
+  res.json({
+    success: true,
+    from: period.startDate,
+    to: period.endDate,
+    items: items.map(entry => ({
+      foodItem: {
+        id: entry.foodItem._id,
+        name: localizedText(entry.foodItem.name, req.language),
+        imageUrl: entry.foodItem.imageUrl
+      },
+      quantity: entry.totalQuantity,
+      revenue: Math.round(entry.totalRevenue * 100) / 100,
+      orderCount: entry.orderCount
+    })),
+    categories: categories.map(entry => ({
+      category: {
+        id: entry.category._id,
+        name: localizedText(entry.category.name, req.language),
+        imageUrl: entry.category.imageUrl
+      },
+      quantity: entry.totalQuantity,
+      revenue: Math.round(entry.totalRevenue * 100) / 100,
+      orderCount: entry.orderCount
+    }))
+  });
+}));
+
+// @desc    Delivery performance: time in status, lateness against the promise and on-time rate
+// @route   GET /api/v1/analytics/delivery?from&to&branchId&deliveryType&graceMinutes&limit
+// @access  Private (Admin/Manager only)
+router.get('/delivery', [
+  ...periodValidation,
+  query('deliveryType').optional().isIn(['delivery', 'pickup']).withMessage('Invalid delivery type'),
+  query('graceMinutes').optional().isInt({ min: 0, max: 60 }).withMessage('Grace minutes must be between 0 and 60').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const params = matchedData(req, { locations: ['query'] });
+  const { branchId, deliveryType, graceMinutes = 5, limit = 10 } = params;
+
+  const settings = await Setting.findOne().select('timezone deliveryZones');
+  const timezone = settings?.timezone || 'UTC';
+  const period = resolvePeriod(params, timezone);
+
+  const periodError = validatePeriod(period);
+  if (periodError) {
+    return res.status(400).json({
+      success: false,
+      message: periodError
+    });
+  }
+
+  const performance = await getDeliveryPerformance(period.startDate, period.endDate, {
+    timezone,
+    branchId,
+    deliveryType,
+    graceMinutes,
+    zones: settings?.deliveryZones || [],
+    worstLimit: limit
+  });
+
+  res.json({
+    success: true,
+    from: period.startDate,
+    to: period.endDate,
+    timezone,
+    ...performance
+  });
+}));
+
+module.exports = router;
@@ -384,7 +384,11 @@ router.patch('/profile', [
   body('phone')
     .optional()
     .matches(/^\+?[\d\s-()]+$/)
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  body('preferredLanguage')
+    .optional()
+    .isIn(['en', 'es', 'ca', 'ar'])
+    .withMessage('Language must be en, es, ca or ar')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -395,7 +399,7 @@ router.patch('/profile', [
     });
   }
 
-  const { firstName, lastName, phone } = req.body;
+  const { firstName, lastName, phone, preferredLanguage } = req.body;
 
   if (phone) {
     const existingUser = await User.findOne({ 
@@ -415,6 +419,7 @@ router.patch('/profile', [
   if (firstName) updateData.firstName = firstName;
   if (lastName) updateData.lastName = lastName;
   if (phone) updateData.phone = phone;
+  if (preferredLanguage) updateData.preferredLanguage = preferredLanguage;
 
   const user = await User.findByIdAndUpdate(
     req.user.id,
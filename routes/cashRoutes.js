@@ -0,0 +1,322 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult, matchedData } = require('express-validator');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const CashSettlement = require('../models/CashSettlement');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getZonedParts, parseLocalDate } = require('../utils/timeUtils');
+const {
+  CashCollectionError,
+  recordCollection,
+  getDriverCashBalance,
+  getDriverCashBalances,
+  settleDriverCash,
+  getDailyCodReport
+} = require('../utils/cashCollectionService');
+const { issueInvoiceIfDue } = require('../utils/invoiceService');
+
+const router = express.Router();
+
+router.use(auth, authorize('admin', 'manager'));
+
+const sendCashError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+const findDriver = async (req, res) => {
+  const driver = await User.findById(req.params.driverId).select('firstName lastName phone role');
+
+  if (!driver || driver.role !== 'driver') {
+    res.status(404).json({
+      success: false,
+      message: 'Driver not found'
+    });
+    return null;
+  }
+
+  return driver;
+};
+
+// @desc    List drivers carrying cash that has not been settled
+// @route   GET /api/v1/cash/drivers
+// @access  Private (Admin/Manager only)
+router.get('/drivers', asyncHandler(async (req, res) => {
+  const drivers = await getDriverCashBalances();
+
+  res.json({
+    success: true,
+    count: drivers.length,
+    drivers
+  });
+}));
+
+// @desc    Get a driver's cash balance, the orders it came from and their latest settlements
+// @route   GET /api/v1/cash/drivers/:driverId
+// @access  Private (Admin/Manager only)
+router.get('/drivers/:driverId', [
+  param('driverId').isMongoId().withMessage('Invalid driver ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const driver = await findDriver(req, res);
+  if (!driver) return;
+
+  const [{ balance, orders }, settlements] = await Promise.all([
+    getDriverCashBalance(driver._id),
+    CashSettlement.find({ driverId: driver._id })
+      .select('-orders')
+      .populate('settledBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(10)
+  ]);
+
+  res.json({
+    success: true,
+    driver,
+    balance,
+    orders,
+    settlements
+  });
+}));
+
+// @desc    Settle a driver's cash at the end of a shift against the amount counted
+// @route   POST /api/v1/cash/drivers/:driverId/settlements
+// @access  Private (Admin/Manager only)
+router.post('/drivers/:driverId/settlements', [
+  param('driverId').isMongoId().withMessage('Invalid driver ID'),
+  body('countedAmount').isFloat({ min: 0 }).withMessage('Counted amount must be zero or more').toFloat(),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const driver = await findDriver(req, res);
+  if (!driver) return;
+
+  let settlement;
+  try {
+    settlement = await settleDriverCash(driver._id, {
+      countedAmount: req.body.countedAmount,
+      note: req.body.note
+    }, { userId: req.user._id });
+  } catch (error) {
+    if (error instanceof CashCollectionError) {
+      return sendCashError(res, error);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: settlement.discrepancy === 0
+      ? 'Cash settled'
+      : `Cash settled with a discrepancy of ${settlement.discrepancy.toFixed(2)}`,
+    settlement
+  });
+}));
+
+// @desc    List cash settlements
+// @route   GET /api/v1/cash/settlements?driverId&from&to&discrepancyOnly&page&limit
+// @access  Private (Admin/Manager only)
+router.get('/settlements', [
+  query('driverId').optional().isMongoId().withMessage('Invalid driver ID'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('discrepancyOnly').optional().isBoolean().withMessage('discrepancyOnly must be true or false').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { driverId, from, to, discrepancyOnly } = matchedData(req, { locations: ['query'] });
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = {};
+  if (driverId) filter.driverId = driverId;
+  if (discrepancyOnly) filter.discrepancy = { $ne: 0 };
+  if (from || to) {
+    const settings = await Setting.findOne().select('timezone');
+    const timezone = settings?.timezone || 'UTC';
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseLocalDate(from, timezone);
+    if (to) filter.createdAt.$lte = parseLocalDate(to, timezone, { endOfDay: true });
+  }
+
+  const [settlements, total] = await Promise.all([
+    CashSettlement.find(filter)
+      .select('-orders')
+      .populate('driverId settledBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CashSettlement.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: settlements.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    settlements
+  });
+}));
+
+// @desc    Get a settlement with the orders it covered
+// @route   GET /api/v1/cash/settlements/:id
+// @access  Private (Admin/Manager only)
+router.get('/settlements/:id', [
+  param('id').isMongoId().withMessage('Invalid settlement ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settlement = await CashSettlement.findById(req.params.id)
+    .populate('driverId settledBy', 'firstName lastName')
+    .populate('orders', 'orderNumber branchId total codCollection actualDeliveryTime');
+
+  if (!settlement) {
+    return res.status(404).json({
+      success: false,
+      message: 'Settlement not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    settlement
+  });
+}));
+
+// @desc    Record or correct what was collected for a cash-on-delivery order
+// @route   PATCH /api/v1/cash/orders/:id/collection
+// @access  Private (Admin/Manager only)
+router.patch('/orders/:id/collection', [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('collectedAmount').isFloat({ min: 0 }).withMessage('Collected amount must be zero or more').toFloat(),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.status !== 'delivered') {
+    return res.status(409).json({
+      success: false,
+      message: 'Collections are recorded once the order has been delivered',
+      status: order.status
+    });
+  }
+
+  try {
+    recordCollection(order, { amount: req.body.collectedAmount, note: req.body.note }, { userId: req.user._id });
+    // A driver settling at the same moment must not lose this change, nor this one theirs
+    order.increment();
+    await order.save();
+  } catch (error) {
+    if (error instanceof CashCollectionError) {
+      return sendCashError(res, error);
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order was changed by someone else, please try again'
+      });
+    }
+    throw error;
+  }
+
+  // A corrected collection may now cover everything due
+  issueInvoiceIfDue(order);
+
+  res.json({
+    success: true,
+    message: 'Collection recorded',
+    order: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      codCollection: order.codCollection
+    }
+  });
+}));
+
+// @desc    Expected vs collected cash-on-delivery takings per branch for a day
+// @route   GET /api/v1/cash/reports/daily?date&branchId
+// @access  Private (Admin/Manager only)
+router.get('/reports/daily', [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { date, branchId } = matchedData(req, { locations: ['query'] });
+  const settings = await Setting.findOne().select('timezone currency');
+  const timezone = settings?.timezone || 'UTC';
+
+  // Today in the restaurant timezone unless asked otherwise
+  const { year, month, day } = getZonedParts(new Date(), timezone);
+  const report = await getDailyCodReport(date || `${year}-${month}-${day}`, { timezone, branchId });
+
+  res.json({
+    success: true,
+    timezone,
+    currency: settings?.currency,
+    ...report
+  });
+}));
+
+module.exports = router;
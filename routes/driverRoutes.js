@@ -0,0 +1,378 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const Order = require('../models/Order');
+const DriverLocation = require('../models/DriverLocation');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { OrderStatusError } = require('../utils/orderStatusMachine');
+const { validateCoordinates } = require('../utils/locationUtils');
+const {
+  CashCollectionError,
+  isCashOnDelivery,
+  getCodDueAmount,
+  recordCollection,
+  getDriverCashBalance
+} = require('../utils/cashCollectionService');
+const CashSettlement = require('../models/CashSettlement');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { issueInvoiceIfDue } = require('../utils/invoiceService');
+const { emailReceiptOnDelivery } = require('../utils/receiptService');
+const {
+  getAdminTokens,
+  sendOrderStatusNotification,
+  sendDeliveryRejectedNotification
+} = require('../utils/notificationService');
+
+const router = express.Router();
+
+// Every driver route needs an authenticated driver
+router.use(auth, authorize('driver'));
+
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery'];
+
+// Apps ping every few seconds; anything faster is dropped per driver
+const locationLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.DRIVER_LOCATION_PINGS_PER_MINUTE, 10) || 12,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: { success: false, message: 'Too many location updates, slow down' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Load an order assigned to the requesting driver, or answer 400/404 and return null
+const findAssignedOrder = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const order = await Order.findOne({ _id: req.params.id, deliveryAgent: req.user._id });
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found or not assigned to you'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+const sendStatusError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// @desc    Get orders assigned to the driver
+// @route   GET /api/v1/driver/orders
+// @access  Private (Driver only)
+router.get('/orders', [
+  query('status').optional().isIn([...ACTIVE_STATUSES, 'delivered', 'cancelled']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {
+    deliveryAgent: req.user._id,
+    status: status || { $in: ACTIVE_STATUSES }
+  };
+
+  const orders = await Order.find(query)
+    .populate([
+      { path: 'userId', select: 'firstName lastName phone' },
+      { path: 'items.foodItem', select: 'name imageUrl' },
+      { path: 'branchId', select: 'name address phone' }
+    ])
+    .sort({ estimatedDeliveryTime: 1, createdAt: 1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const totalOrders = await Order.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: orders.length,
+    totalOrders,
+    totalPages: Math.ceil(totalOrders / limit),
+    currentPage: parseInt(page),
+    orders
+  });
+}));
+
+// @desc    Accept an assigned delivery
+// @route   PATCH /api/v1/driver/orders/:id/accept
+// @access  Private (Driver only)
+router.patch('/orders/:id/accept', [
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (order.deliveryAssignment?.status !== 'assigned') {
+    return res.status(409).json({
+      success: false,
+      message: `Assignment has already been ${order.deliveryAssignment?.status}`
+    });
+  }
+
+  await order.respondToAssignment(true, null, { userId: req.user._id, role: req.user.role });
+
+  res.json({
+    success: true,
+    message: 'Delivery accepted',
+    order: {
+      id: order._id,
+      status: order.status,
+      deliveryAssignment: order.deliveryAssignment
+    }
+  });
+}));
+
+// @desc    Reject an assigned delivery
+// @route   PATCH /api/v1/driver/orders/:id/reject
+// @access  Private (Driver only)
+router.patch('/orders/:id/reject', [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (order.deliveryAssignment?.status !== 'assigned') {
+    return res.status(409).json({
+      success: false,
+      message: `Assignment has already been ${order.deliveryAssignment?.status}`
+    });
+  }
+
+  await order.respondToAssignment(false, req.body.reason, { userId: req.user._id, role: req.user.role });
+
+  await sendDeliveryRejectedNotification(await getAdminTokens(), order, req.user, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Delivery rejected',
+    order: {
+      id: order._id,
+      status: order.status,
+      deliveryAssignment: order.deliveryAssignment
+    }
+  });
+}));
+
+// @desc    Mark an order as picked up from the restaurant
+// @route   PATCH /api/v1/driver/orders/:id/picked-up
+// @access  Private (Driver only)
+router.patch('/orders/:id/picked-up', [
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (order.deliveryAssignment?.status !== 'accepted') {
+    return res.status(409).json({
+      success: false,
+      message: 'Accept the delivery before picking it up'
+    });
+  }
+
+  order.deliveryAssignment.pickedUpAt = new Date();
+
+  try {
+    await order.addTrackingUpdate(
+      'out-for-delivery',
+      'Driver picked up the order',
+      null,
+      { userId: req.user._id, role: req.user.role }
+    );
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
+    }
+    throw error;
+  }
+
+  await sendOrderStatusNotification(order.userId.toString(), order, 'out-for-delivery');
+
+  res.json({
+    success: true,
+    message: 'Order marked as picked up',
+    order: {
+      id: order._id,
+      status: order.status,
+      estimatedTimeRemaining: order.estimatedTimeRemaining
+    }
+  });
+}));
+
+// @desc    Mark an order as delivered, with what was collected for cash on delivery
+// @route   PATCH /api/v1/driver/orders/:id/delivered
+// @access  Private (Driver only)
+router.patch('/orders/:id/delivered', [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('collectedAmount').optional().isFloat({ min: 0 }).withMessage('Collected amount cannot be negative').toFloat(),
+  body('collectionNote').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (isCashOnDelivery(order)) {
+    // Card payments at the door go through for the full amount; cash has to be declared
+    if (req.body.collectedAmount === undefined && order.codPaymentType === 'cash') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter the cash collected from the customer',
+        amountDue: getCodDueAmount(order)
+      });
+    }
+
+    try {
+      recordCollection(order, {
+        amount: req.body.collectedAmount ?? getCodDueAmount(order),
+        note: req.body.collectionNote
+      }, { userId: req.user._id });
+    } catch (error) {
+      if (error instanceof CashCollectionError) {
+        return sendStatusError(res, error);
+      }
+      throw error;
+    }
+  }
+
+  try {
+    await order.addTrackingUpdate(
+      'delivered',
+      'Order delivered by driver',
+      null,
+      { userId: req.user._id, role: req.user.role }
+    );
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
+    }
+    throw error;
+  }
+
+  // Cash taken at the door can be invoiced straight away
+  issueInvoiceIfDue(order);
+  emailReceiptOnDelivery(order);
+
+  await sendOrderStatusNotification(order.userId.toString(), order, 'delivered');
+
+  res.json({
+    success: true,
+    message: 'Order marked as delivered',
+    order: {
+      id: order._id,
+      status: order.status,
+      actualDeliveryTime: order.actualDeliveryTime,
+      codCollection: order.codCollection?.status ? order.codCollection : undefined
+    }
+  });
+}));
+
+// @desc    Get the cash the driver is carrying and their latest settlements
+// @route   GET /api/v1/driver/cash
+// @access  Private (Driver only)
+router.get('/cash', asyncHandler(async (req, res) => {
+  const [{ balance, orders }, settlements] = await Promise.all([
+    getDriverCashBalance(req.user._id),
+    CashSettlement.find({ driverId: req.user._id })
+      .select('-orders')
+      .sort({ createdAt: -1 })
+      .limit(5)
+  ]);
+
+  res.json({
+    success: true,
+    balance,
+    orders,
+    settlements
+  });
+}));
+
+// @desc    Report the driver's current location for an order
+// @route   POST /api/v1/driver/orders/:id/location
+// @access  Private (Driver only)
+router.post('/orders/:id/location', [
+  locationLimiter,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
+  body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360'),
+  body('speed').optional().isFloat({ min: 0 }).withMessage('Speed must be a positive number')
+], asyncHandler(async (req, res) => {
+  const order = await findAssignedOrder(req, res);
+  if (!order) return;
+
+  if (order.deliveryAssignment?.status !== 'accepted' || !['ready', 'out-for-delivery'].includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Location can only be reported for an accepted delivery in progress'
+    });
+  }
+
+  const latitude = parseFloat(req.body.latitude);
+  const longitude = parseFloat(req.body.longitude);
+
+  if (!validateCoordinates(latitude, longitude)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid coordinates'
+    });
+  }
+
+  const recordedAt = new Date();
+
+  await DriverLocation.create({
+    driver: req.user._id,
+    order: order._id,
+    latitude,
+    longitude,
+    accuracy: req.body.accuracy,
+    heading: req.body.heading,
+    speed: req.body.speed,
+    recordedAt
+  });
+
+  await order.recordDriverLocation({ latitude, longitude, recordedAt });
+
+  publishOrderEvent('order.location', order, {
+    latitude,
+    longitude,
+    heading: req.body.heading,
+    recordedAt,
+    distanceRemaining: order.driverLocation.distanceRemaining,
+    estimatedDeliveryTime: order.estimatedDeliveryTime
+  });
+
+  res.json({
+    success: true,
+    distanceRemaining: order.driverLocation.distanceRemaining,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    estimatedTimeRemaining: order.estimatedTimeRemaining
+  });
+}));
+
+module.exports = router;
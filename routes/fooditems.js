@@ -3,6 +3,7 @@ const { query, body, param, validationResult } = require('express-validator');
 const { FoodItem, Category } = require('../models/Category');
 const { auth, authorize, optionalAuth } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { StockError, changeStockLevel } = require('../utils/stockService');
 const { detectLanguage, localizeResponse } = require('../middleware/languageMiddleware');
 
 const router = express.Router();
@@ -561,22 +562,34 @@ router.patch('/:id/stock', [
   }
 
   const { quantity, operation } = req.body;
+  const change = operation === 'subtract' ? -Math.abs(quantity) : Math.abs(quantity);
+
+  // Checkouts reserve stock concurrently, so the level is only ever moved, never written
+  let stockQuantity;
+  try {
+    stockQuantity = await changeStockLevel(req.params.id, change);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    throw error;
+  }
 
-  const item = await FoodItem.findById(req.params.id);
-
-  if (!item) {
+  if (stockQuantity === null) {
     return res.status(404).json({
       success: false,
       message: 'Food item not found'
     });
   }
 
-  await item.updateStock(Math.abs(quantity), operation);
-
   res.json({
     success: true,
     message: 'Stock updated successfully',
-    stockQuantity: item.stockQuantity
+    stockQuantity
   });
 }));
 
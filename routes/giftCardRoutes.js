@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const GiftCard = require('../models/GiftCard');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { giftCardCodeLimiter } = require('../middleware/giftCardCodeLimiter');
+const { PaymentError } = require('../utils/paymentService');
+const {
+  DEFAULT_VALIDITY_DAYS,
+  PURCHASE_LIMITS,
+  MAX_BATCH_SIZE,
+  GiftCardError,
+  issueGiftCards,
+  findCardByCode,
+  startGiftCardPurchase,
+  confirmGiftCardPurchase,
+  disableGiftCard
+} = require('../utils/giftCardService');
+
+const router = express.Router();
+
+const STATUSES = GiftCard.schema.path('status').enumValues;
+const SOURCES = GiftCard.schema.path('source').enumValues;
+
+const sendGiftCardError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+const handleGiftCardError = (res, error) => {
+  if (error instanceof GiftCardError || error instanceof PaymentError) {
+    return sendGiftCardError(res, error);
+  }
+  throw error;
+};
+
+// What the holder of a code may see
+const publicCard = (card) => ({
+  last4: card.last4,
+  state: card.state,
+  balance: card.balance,
+  initialBalance: card.initialBalance,
+  currency: card.currency,
+  expiresAt: card.expiresAt,
+  usage: card.transactions.map(entry => ({
+    type: entry.type,
+    amount: entry.amount,
+    balanceAfter: entry.balanceAfter,
+    createdAt: entry.createdAt
+  }))
+});
+
+// @desc    Check a gift card's balance and usage by its code
+// @route   POST /api/v1/gift-cards/balance
+// @access  Public (rate limited)
+router.post('/balance', giftCardCodeLimiter, [
+  body('code').isString().trim().isLength({ min: 1, max: 40 }).withMessage('Gift card code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let card;
+  try {
+    card = await findCardByCode(req.body.code);
+  } catch (error) {
+    return handleGiftCardError(res, error);
+  }
+
+  res.json({
+    success: true,
+    giftCard: publicCard(card)
+  });
+}));
+
+router.use(auth);
+
+// @desc    Get the gift cards the current user bought
+// @route   GET /api/v1/gift-cards/mine
+// @access  Private
+router.get('/mine', asyncHandler(async (req, res) => {
+  const cards = await GiftCard.find({ purchasedBy: req.user.id, status: { $ne: 'pending' } })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: cards.length,
+    giftCards: cards.map(card => ({ id: card._id, ...publicCard(card) }))
+  });
+}));
+
+// @desc    Buy a gift card; the code works once the payment goes through
+// @route   POST /api/v1/gift-cards/purchases
+// @access  Private
+router.post('/purchases', [
+  // The code is a bearer secret; only its hash is ever stored
+  idempotency({ redact: ['giftCard.code'] }),
+  body('amount')
+    .isFloat({ min: PURCHASE_LIMITS.min, max: PURCHASE_LIMITS.max })
+    .withMessage(`Amount must be between ${PURCHASE_LIMITS.min} and ${PURCHASE_LIMITS.max}`)
+    .toFloat()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let purchase;
+  try {
+    purchase = await startGiftCardPurchase(req.user.id, req.body.amount);
+  } catch (error) {
+    return handleGiftCardError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Gift card created, waiting for payment',
+    // The code is only ever shown here
+    giftCard: { id: purchase.card._id, code: purchase.code, ...publicCard(purchase.card) },
+    payment: {
+      provider: purchase.gateway.provider,
+      intentId: purchase.intent.id,
+      status: purchase.intent.status,
+      amount: purchase.intent.amount,
+      currency: purchase.intent.currency,
+      clientSecret: purchase.intent.clientSecret
+    }
+  });
+}));
+
+// @desc    Pay for a gift card and activate it
+// @route   POST /api/v1/gift-cards/purchases/:id/confirm
+// @access  Private (buyer)
+router.post('/purchases/:id/confirm', [
+  idempotency(),
+  param('id').isMongoId().withMessage('Invalid gift card ID'),
+  body('paymentToken').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Invalid payment token')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let result;
+  try {
+    result = await confirmGiftCardPurchase(req.user.id, req.params.id, { paymentToken: req.body.paymentToken });
+  } catch (error) {
+    return handleGiftCardError(res, error);
+  }
+
+  if (result.card.status === 'pending') {
+    return res.status(402).json({
+      success: false,
+      message: result.intent?.failureReason || 'Payment failed',
+      status: result.intent?.status
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Gift card activated',
+    giftCard: { id: result.card._id, ...publicCard(result.card) }
+  });
+}));
+
+// @desc    List gift cards
+// @route   GET /api/v1/gift-cards?status&source&batchId&page&limit
+// @access  Private (Admin/Manager only)
+router.get('/', [
+  authorize('admin', 'manager'),
+  query('status').optional().isIn(STATUSES).withMessage('Invalid status'),
+  query('source').optional().isIn(SOURCES).withMessage('Invalid source'),
+  query('batchId').optional().isMongoId().withMessage('Invalid batch ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status, source, batchId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (source) filter.source = source;
+  if (batchId) filter.batchId = batchId;
+
+  const [giftCards, total] = await Promise.all([
+    GiftCard.find(filter)
+      .select('-transactions')
+      .populate('purchasedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    GiftCard.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: giftCards.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    giftCards
+  });
+}));
+
+// @desc    Get a gift card with its usage history
+// @route   GET /api/v1/gift-cards/:id
+// @access  Private (Admin/Manager only)
+router.get('/:id', [
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid gift card ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const giftCard = await GiftCard.findById(req.params.id)
+    .populate('purchasedBy issuedBy disabled.disabledBy', 'firstName lastName email')
+    .populate('transactions.orderId', 'orderNumber');
+
+  if (!giftCard) {
+    return res.status(404).json({
+      success: false,
+      message: 'Gift card not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    giftCard
+  });
+}));
+
+// @desc    Issue gift cards in bulk; the codes are only returned in this response
+// @route   POST /api/v1/gift-cards
+// @access  Private (Admin only)
+router.post('/', [
+  authorize('admin'),
+  body('count').optional().isInt({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`Count must be between 1 and ${MAX_BATCH_SIZE}`).toInt(),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero').toFloat(),
+  body('currency').optional().isISO4217().withMessage('Currency must be a valid 3-letter code').toUpperCase(),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { count = 1, amount, currency, note } = req.body;
+  const expiresAt = req.body.expiresAt
+    ? new Date(req.body.expiresAt)
+    : new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+  let issued;
+  try {
+    issued = await issueGiftCards({ count, amount, currency, expiresAt, note }, { userId: req.user._id });
+  } catch (error) {
+    return handleGiftCardError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${issued.cards.length} gift card(s) issued`,
+    batchId: issued.batchId,
+    giftCards: issued.cards.map(({ card, code }) => ({
+      id: card._id,
+      code,
+      balance: card.balance,
+      currency: card.currency,
+      expiresAt: card.expiresAt
+    }))
+  });
+}));
+
+// @desc    Disable a lost or stolen gift card
+// @route   POST /api/v1/gift-cards/:id/disable
+// @access  Private (Admin only)
+router.post('/:id/disable', [
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid gift card ID'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let giftCard;
+  try {
+    giftCard = await disableGiftCard(req.params.id, req.body.reason, { userId: req.user._id });
+  } catch (error) {
+    return handleGiftCardError(res, error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Gift card disabled',
+    giftCard
+  });
+}));
+
+module.exports = router;
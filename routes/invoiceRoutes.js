@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { toCsv } = require('../utils/csv');
+const {
+  InvoiceError,
+  issueInvoice,
+  issueRectifyingInvoice,
+  getRectifiableAmount,
+  verifySeries
+} = require('../utils/invoiceService');
+
+const router = express.Router();
+
+router.use(auth);
+
+// How each record's hash is built, for auditors recomputing the chain
+const HASH_DESCRIPTION = 'SHA-256 (hex) of issuer.taxId|number|invoiceType|issuedAt (ISO 8601)|currency|total|taxTotal|rectifies.number|previousHash, ' +
+  'amounts with two decimals and empty strings for missing values';
+
+const EXPORT_COLUMNS = [
+  { header: 'number', value: invoice => invoice.number },
+  { header: 'series', value: invoice => invoice.series },
+  { header: 'sequence', value: invoice => invoice.sequence },
+  { header: 'invoiceType', value: invoice => invoice.invoiceType },
+  { header: 'issuedAt', value: invoice => invoice.issuedAt },
+  { header: 'orderNumber', value: invoice => invoice.orderNumber },
+  { header: 'issuerName', value: invoice => invoice.issuer?.legalName },
+  { header: 'issuerTaxId', value: invoice => invoice.issuer?.taxId },
+  { header: 'currency', value: invoice => invoice.currency },
+  { header: 'subtotal', value: invoice => invoice.subtotal },
+  { header: 'discount', value: invoice => invoice.discount },
+  { header: 'deliveryFee', value: invoice => invoice.deliveryFee },
+  { header: 'taxTotal', value: invoice => invoice.taxTotal },
+  { header: 'total', value: invoice => invoice.total },
+  { header: 'rectifiesNumber', value: invoice => invoice.rectifies?.number },
+  { header: 'rectificationReason', value: invoice => invoice.rectification?.reason },
+  { header: 'previousHash', value: invoice => invoice.previousHash },
+  { header: 'hash', value: invoice => invoice.hash }
+];
+
+const sendInvoiceError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// @desc    List issued invoices
+// @route   GET /api/v1/invoices
+// @access  Private (Admin/Manager only)
+router.get('/', [
+  authorize('admin', 'manager'),
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
+  query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+  query('invoiceType').optional().isIn(['simplified', 'rectifying']).withMessage('Invalid invoice type'),
+  query('series').optional().trim().isLength({ max: 30 }).withMessage('Invalid series'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { branchId, orderId, year, invoiceType, series, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (branchId) filter.branchId = branchId;
+  if (orderId) filter.orderId = orderId;
+  if (year) filter.year = parseInt(year);
+  if (invoiceType) filter.invoiceType = invoiceType;
+  if (series) filter.series = series;
+
+  const [invoices, totalInvoices] = await Promise.all([
+    Invoice.find(filter)
+      .select('-lines -taxes')
+      .sort({ issuedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip),
+    Invoice.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: invoices.length,
+    totalInvoices,
+    totalPages: Math.ceil(totalInvoices / limit),
+    currentPage: parseInt(page),
+    invoices
+  });
+}));
+
+// @desc    Export a year of invoice records for an auditor
+// @route   GET /api/v1/invoices/export?year=2026&branchId=&format=json|csv
+// @access  Private (Admin only)
+router.get('/export', [
+  authorize('admin'),
+  query('year').isInt({ min: 2000, max: 2100 }).withMessage('Year is required'),
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { branchId, format = 'json' } = req.query;
+  const year = parseInt(req.query.year);
+
+  const filter = { year };
+  if (branchId) filter.branchId = branchId;
+
+  const invoices = await Invoice.find(filter).sort({ series: 1, sequence: 1 }).lean();
+
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="invoices-${year}.csv"`);
+    return res.type('text/csv').send(toCsv(EXPORT_COLUMNS, invoices));
+  }
+
+  const seriesNames = [...new Set(invoices.map(invoice => invoice.series))];
+  const series = await Promise.all(seriesNames.map(verifySeries));
+
+  res.json({
+    success: true,
+    year,
+    exportedAt: new Date(),
+    hashAlgorithm: HASH_DESCRIPTION,
+    series,
+    count: invoices.length,
+    invoices
+  });
+}));
+
+// @desc    Check a series for gaps and broken hash links
+// @route   GET /api/v1/invoices/verify?series=F-BCN1-2026
+// @access  Private (Admin only)
+router.get('/verify', [
+  authorize('admin'),
+  query('series').trim().notEmpty().withMessage('Series is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  res.json({
+    success: true,
+    ...(await verifySeries(req.query.series))
+  });
+}));
+
+// @desc    Get an invoice
+// @route   GET /api/v1/invoices/:id
+// @access  Private (Admin/Manager only)
+router.get('/:id', [
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid invoice ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  const rectifications = invoice.invoiceType === 'simplified'
+    ? await Invoice.find({ 'rectifies.invoiceId': invoice._id }).sort({ issuedAt: 1 })
+    : [];
+
+  res.json({
+    success: true,
+    invoice,
+    rectifications,
+    rectifiable: invoice.invoiceType === 'simplified' ? await getRectifiableAmount(invoice) : null
+  });
+}));
+
+// @desc    Issue the invoice of a paid order that has none yet
+// @route   POST /api/v1/invoices
+// @access  Private (Admin/Manager only)
+router.post('/', [
+  authorize('admin', 'manager'),
+  body('orderId').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.body.orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  try {
+    const invoice = await issueInvoice(order, { userId: req.user._id });
+    res.status(201).json({
+      success: true,
+      invoice
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return sendInvoiceError(res, error);
+    }
+    throw error;
+  }
+}));
+
+// @desc    Correct an invoice with a rectifying invoice
+// @route   POST /api/v1/invoices/:id/rectify
+// @access  Private (Admin only)
+router.post('/:id/rectify', [
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero').toFloat(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+  }
+
+  try {
+    const rectifying = await issueRectifyingInvoice(invoice, {
+      amount: req.body.amount,
+      reason: req.body.reason
+    }, { userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      invoice: rectifying,
+      rectifiable: await getRectifiableAmount(invoice)
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return sendInvoiceError(res, error);
+    }
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { OrderStatusError } = require('../utils/orderStatusMachine');
+
+const router = express.Router();
+
+// The KDS is run by kitchen staff
+router.use(auth, authorize('admin', 'manager'));
+
+const KITCHEN_STATUSES = ['pending', 'confirmed', 'preparing', 'ready'];
+// Attempts at an item update when another cook saved the order in between
+const MAX_ITEM_UPDATE_ATTEMPTS = 3;
+
+const minutesSince = (date, now) => (date ? Math.floor((now - date) / (60 * 1000)) : null);
+
+// When the order entered its current status, from its tracking history
+const statusSince = (order) => {
+  const update = [...order.trackingUpdates].reverse().find(entry => entry.status === order.status);
+  return update ? update.timestamp : order.updatedAt;
+};
+
+const toTicket = (order, now) => {
+  // Scheduled orders only reach the kitchen once released
+  const startedAt = order.scheduledReleaseAt || order.createdAt;
+  const promisedAt = order.estimatedDeliveryTime;
+
+  return {
+    id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    deliveryType: order.deliveryType,
+    customer: order.userId
+      ? { firstName: order.userId.firstName, lastName: order.userId.lastName }
+      : null,
+    specialInstructions: order.specialInstructions,
+    scheduledFor: order.scheduledFor,
+    promisedAt,
+    elapsedMinutes: minutesSince(startedAt, now),
+    inStatusMinutes: minutesSince(statusSince(order), now),
+    minutesToPromise: promisedAt ? Math.ceil((promisedAt - now) / (60 * 1000)) : null,
+    overdue: Boolean(promisedAt && promisedAt < now),
+    items: order.items.map(item => ({
+      id: item._id,
+      name: item.foodItem?.name,
+      quantity: item.quantity,
+      selectedMealSize: item.selectedMealSize,
+      selectedExtras: item.selectedExtras,
+      selectedAddons: item.selectedAddons,
+      specialInstructions: item.specialInstructions,
+      prepStatus: item.prepStatus,
+      prepStartedAt: item.prepStartedAt,
+      prepCompletedAt: item.prepCompletedAt,
+      elapsedMinutes: item.prepStatus === 'preparing' ? minutesSince(item.prepStartedAt, now) : null,
+      prepMinutes: item.prepStatus === 'done' ? minutesSince(item.prepStartedAt, item.prepCompletedAt) : null
+    }))
+  };
+};
+
+// @desc    Get active kitchen orders for a branch, grouped by status
+// @route   GET /api/v1/kds/branches/:branchId/orders
+// @access  Private (Admin/Manager)
+router.get('/branches/:branchId/orders', [
+  param('branchId').isMongoId().withMessage('Invalid branch ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const branch = await Branch.findById(req.params.branchId).select('name code');
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  const orders = await Order.find({
+    branchId: branch._id,
+    status: { $in: KITCHEN_STATUSES }
+  })
+    .populate([
+      { path: 'userId', select: 'firstName lastName' },
+      { path: 'items.foodItem', select: 'name' }
+    ])
+    .sort({ estimatedDeliveryTime: 1, createdAt: 1 });
+
+  const now = new Date();
+  const groups = Object.fromEntries(KITCHEN_STATUSES.map(status => [status, []]));
+
+  orders.forEach(order => groups[order.status].push(toTicket(order, now)));
+
+  res.json({
+    success: true,
+    branch,
+    generatedAt: now,
+    counts: Object.fromEntries(KITCHEN_STATUSES.map(status => [status, groups[status].length])),
+    orders: groups
+  });
+}));
+
+// @desc    Mark a cart item as started or done
+// @route   PATCH /api/v1/kds/orders/:id/items/:itemId
+// @access  Private (Admin/Manager)
+router.patch('/orders/:id/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('action').isIn(['start', 'done']).withMessage('Action must be start or done')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const actor = { userId: req.user._id, role: req.user.role };
+
+  for (let attempt = 1; ; attempt++) {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    try {
+      await order.updateItemPrep(req.params.itemId, req.body.action, actor, { retrying: attempt > 1 });
+
+      const item = order.items.id(req.params.itemId);
+      return res.json({
+        success: true,
+        message: req.body.action === 'start' ? 'Item started' : 'Item done',
+        order: {
+          id: order._id,
+          status: order.status,
+          item: {
+            id: item._id,
+            prepStatus: item.prepStatus,
+            prepStartedAt: item.prepStartedAt,
+            prepCompletedAt: item.prepCompletedAt
+          }
+        }
+      });
+    } catch (error) {
+      if (error instanceof OrderStatusError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+      // Another cook updated the order first; retry on a fresh copy
+      if (error instanceof mongoose.Error.VersionError && attempt < MAX_ITEM_UPDATE_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}));
+
+module.exports = router;
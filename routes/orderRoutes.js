@@ -1,36 +1,176 @@
 const express = require('express');
-const { body, param, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult, matchedData } = require('express-validator');
 const Order = require('../models/Order');
+const Offer = require('../models/offer');
 
 const { FoodItem } = require('../models/Category');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Invoice = require('../models/Invoice');
 
-const { auth, authorize } = require('../middleware/auth');
+const { auth, streamAuth, issueStreamToken, authorize } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { giftCardCodeLimiter } = require('../middleware/giftCardCodeLimiter');
 const asyncHandler = require('../middleware/asyncHandler');
 const Branch =require('../models/Branch');
 const router = express.Router();
-const { sendOrderStatusNotification, sendNewOrderNotification } = require('../utils/notificationService');
+const {
+  sendOrderStatusNotification,
+  sendNewOrderNotification,
+  sendDeliveryAssignmentNotification,
+  getAdminTokens
+} = require('../utils/notificationService');
+const { priceCart, buildReorderCart, diffClientTotals, roundCurrency, PricingError } = require('../utils/pricingService');
+const { OrderStatusError } = require('../utils/orderStatusMachine');
+const { reserveStock, releaseStock, StockError } = require('../utils/stockService');
+const { OrderEventError, staffStreamBranch, streamOrderEvents } = require('../utils/orderEvents');
+const { autoAcceptOrder } = require('../utils/autoAcceptService');
+const { cancelOrder } = require('../utils/orderCancellationService');
+const {
+  SUPPORTED_LANGUAGES,
+  emailReceiptOnDelivery,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  canRenderPdf
+} = require('../utils/receiptService');
+const { issueInvoiceIfDue } = require('../utils/invoiceService');
+const {
+  OrderModificationError,
+  modifyOrder,
+  reviewChangeRequest
+} = require('../utils/orderModificationService');
+const {
+  REFUND_REASON_CODES,
+  RefundError,
+  createRefund,
+  getPaidAmount,
+  getRefundableAmount
+} = require('../utils/refundService');
+const {
+  SORT_FIELDS,
+  OrderSearchError,
+  toList,
+  buildOrderFilter,
+  parseSort,
+  toMongoSort,
+  encodeCursor,
+  cursorFilter
+} = require('../utils/orderSearch');
+const { ORDER_NUMBER_MAX_LENGTH } = require('../utils/orderNumber');
+const { csvHeader, csvRow } = require('../utils/csv');
+const {
+  ONLINE_PAYMENT_METHODS,
+  PaymentError,
+  startOrderPayment,
+  describePayment
+} = require('../utils/paymentService');
+const { WalletError, creditWallet, debitWallet } = require('../utils/walletService');
+const {
+  GiftCardError,
+  findCardByCode,
+  redeemGiftCard,
+  releaseGiftCardAmount
+} = require('../utils/giftCardService');
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const PAYMENT_METHODS = Order.schema.path('paymentMethod').enumValues;
+const PAYMENT_STATUSES = Order.schema.path('paymentStatus').enumValues;
+
+// Columns of the accounting export of an order search
+const ORDER_EXPORT_COLUMNS = [
+  { header: 'orderNumber', value: order => order.orderNumber },
+  { header: 'createdAt', value: order => order.createdAt },
+  { header: 'branch', value: order => order.branchId?.name },
+  { header: 'status', value: order => order.status },
+  { header: 'customer', value: order => (order.userId?.firstName ? `${order.userId.firstName} ${order.userId.lastName}` : '') },
+  { header: 'email', value: order => order.userId?.email },
+  { header: 'phone', value: order => order.userId?.phone },
+  { header: 'deliveryType', value: order => order.deliveryType },
+  { header: 'paymentMethod', value: order => order.paymentMethod },
+  { header: 'paymentStatus', value: order => order.paymentStatus },
+  { header: 'couponCode', value: order => order.couponCode },
+  { header: 'subtotal', value: order => order.subtotal },
+  { header: 'discount', value: order => order.discount },
+  { header: 'deliveryFee', value: order => order.deliveryFee },
+  { header: 'tax', value: order => order.tax },
+  { header: 'total', value: order => order.total },
+  { header: 'refunded', value: order => order.refundedTotal }
+];
+
+const sendStatusError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// Owner of an order whether or not userId is populated; populate leaves null once the account is gone
+const orderOwnerId = (order) => String(order.userId?._id || order.populated('userId') || order.userId);
+
+const cartValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
+  body('items.*.foodItem.id').isMongoId().withMessage('Invalid food item ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('deliveryType').isIn(['delivery', 'pickup']).withMessage('Invalid delivery type'),
+  body('couponCode').optional({ values: 'null' }).isString().withMessage('Coupon code must be text')
+];
 
-// @desc    Create new order
-// @route   POST /api/v1/orders
+// @desc    Price a cart without placing an order
+// @route   POST /api/v1/orders/quote
 // @access  Private
-// Update your POST /api/v1/orders route
-// Update your POST /api/v1/orders route validation
+router.post('/quote', [
+  auth,
+  ...cartValidation,
+  body('branchId').optional().isMongoId().withMessage('Invalid branch ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const pricing = await priceCart(req.body, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      pricing,
+      differences: diffClientTotals(pricing, req.body)
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    throw error;
+  }
+}));
+
 // @desc    Create new order
 // @route   POST /api/v1/orders
 // @access  Private
 router.post('/', [
   auth,
-  body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
-  body('items.*.foodItem.id').isMongoId().withMessage('Invalid food item ID'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('deliveryType').isIn(['delivery', 'pickup']).withMessage('Invalid delivery type'),
-  body('paymentMethod').isIn(['cash-on-delivery','cashOnDelivery', 'card','shop', 'paypal', 'stripe']).withMessage('Invalid payment method'),
+  giftCardCodeLimiter,
+  idempotency(),
+  ...cartValidation,
+  body('paymentMethod').isIn(['cash-on-delivery','cashOnDelivery', 'card','shop', 'paypal', 'stripe', 'wallet', 'gift-card']).withMessage('Invalid payment method'),
   body('codPaymentType').optional().isIn(['cash', 'card']).withMessage('Invalid COD payment type'),
+  body('walletAmount').optional().isFloat({ min: 0.01 }).withMessage('Wallet amount must be greater than zero').toFloat(),
+  body('giftCardCode').optional().isString().trim().isLength({ min: 1, max: 40 }).withMessage('Invalid gift card code'),
+  body('giftCardAmount').optional().isFloat({ min: 0.01 }).withMessage('Gift card amount must be greater than zero').toFloat(),
   body('branchId').isMongoId().withMessage('Invalid branch ID'),
+  body('scheduledFor').optional().isISO8601().withMessage('Scheduled time must be a valid date'),
   body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Delivery fee must be a positive number'),
-  body('subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
-  body('total').isFloat({ min: 0 }).withMessage('Total must be a positive number'),
+  body('subtotal').optional().isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
+  body('total').optional().isFloat({ min: 0 }).withMessage('Total must be a positive number'),
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -48,12 +188,7 @@ router.post('/', [
     codPaymentType,
     branchId,
     deliveryAddress,
-    specialInstructions,
-    couponCode,
-    deliveryFee: clientDeliveryFee,
-    subtotal: clientSubtotal,
-    tax: clientTax,
-    total: clientTotal
+    specialInstructions
   } = req.body;
 
   // Validate COD payment type for cash-on-delivery orders
@@ -72,74 +207,246 @@ router.post('/', [
     });
   }
 
-  // Process cart items - TRUST frontend calculations, only validate food items exist
-  let processedItems = [];
-  let calculatedSubtotal = 0;
+  // Scheduled orders must fall inside the scheduling window and opening hours
+  let scheduledFor;
+  if (req.body.scheduledFor) {
+    scheduledFor = new Date(req.body.scheduledFor);
+    const settings = await Setting.findOne();
+    const schedule = settings
+      ? settings.checkScheduledTime(scheduledFor, deliveryType)
+      : { valid: false, reason: 'Scheduled orders are not available' };
 
-  for (const item of items) {
-    const foodItemId = item.foodItem?.id || item.foodItem;
-    const foodItem = await FoodItem.findById(foodItemId);
-
-    if (!foodItem || !foodItem.isActive) {
+    if (!schedule.valid) {
       return res.status(400).json({
         success: false,
-        message: `Food item ${foodItemId} is not available`
+        message: schedule.reason
       });
     }
+  }
 
-    // IMPORTANT: Use unitPrice and totalPrice from frontend
-    // Frontend already calculated these including meal size, extras, addons
-    const unitPrice = item.unitPrice;
-    const totalPrice = item.totalPrice;
+  // Price the cart from the menu; client totals are only checked, never trusted
+  let pricing;
+  try {
+    pricing = await priceCart(req.body, { userId: req.user.id });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    throw error;
+  }
 
-    processedItems.push({
-      foodItem: foodItem._id,
-      quantity: item.quantity,
-      selectedMealSize: item.selectedMealSize,
-      selectedExtras: item.selectedExtras || [],
-      selectedAddons: item.selectedAddons || [],
-      specialInstructions: item.specialInstructions,
-      unitPrice,
-      totalPrice
+  const differences = diffClientTotals(pricing, req.body);
+  if (differences.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: 'Order totals do not match current prices',
+      differences,
+      pricing
     });
+  }
 
-    calculatedSubtotal += totalPrice;
-    await foodItem.updateStock(item.quantity, "subtract");
+  // Paying with the wallet covers the whole total; another method can take part of it from the wallet
+  const walletAmount = paymentMethod === 'wallet' ? pricing.total : roundCurrency(req.body.walletAmount || 0);
+  if (paymentMethod !== 'wallet' && walletAmount > 0 && walletAmount >= pricing.total) {
+    return res.status(400).json({
+      success: false,
+      message: 'Wallet amount must be less than the order total; pay with the wallet instead',
+      total: pricing.total
+    });
   }
 
-  const deliveryFee = clientDeliveryFee !== undefined ? clientDeliveryFee : 0.0;
-  const tax = clientTax !== undefined ? clientTax : 0.0;
-  const discount = clientTax !== undefined ? clientTax : 0.0; // Changed from clientTax to correct variable if needed
-  
-  // Use frontend's total since all calculations are done there
-  const total = clientTotal !== undefined ? clientTotal : (calculatedSubtotal + deliveryFee + tax - discount);
+  // A gift card pays what the wallet does not; paying with 'gift-card' means it covers all of that
+  let giftCard;
+  let giftCardAmount = 0;
+  if (paymentMethod === 'gift-card' || req.body.giftCardCode) {
+    const remaining = roundCurrency(pricing.total - walletAmount);
+
+    if (!req.body.giftCardCode || paymentMethod === 'wallet') {
+      return res.status(400).json({
+        success: false,
+        message: paymentMethod === 'wallet'
+          ? 'A gift card cannot be used when the wallet pays the whole order'
+          : 'A gift card code is required to pay with a gift card'
+      });
+    }
+
+    try {
+      giftCard = await findCardByCode(req.body.giftCardCode);
+    } catch (error) {
+      if (error instanceof GiftCardError) {
+        return sendStatusError(res, error);
+      }
+      throw error;
+    }
+
+    giftCardAmount = paymentMethod === 'gift-card'
+      ? remaining
+      : roundCurrency(Math.min(req.body.giftCardAmount ?? giftCard.balance, remaining));
+
+    if (paymentMethod !== 'gift-card' && giftCardAmount >= remaining) {
+      return res.status(400).json({
+        success: false,
+        message: 'The gift card covers the rest of the order; pay with the gift card instead',
+        remaining
+      });
+    }
+  }
+
+  // Reserve stock for all lines at once; nothing is taken if any line is short
+  try {
+    await reserveStock(pricing.items);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    throw error;
+  }
+
+  const orderId = new mongoose.Types.ObjectId();
+
+  // The wallet is charged before the order exists, so two checkouts cannot spend the same balance
+  let walletSpend;
+  if (walletAmount > 0) {
+    try {
+      walletSpend = await debitWallet(req.user.id, walletAmount, {
+        type: 'spend',
+        orderId,
+        idempotencyKey: `order:${orderId}:spend`
+      });
+    } catch (error) {
+      await releaseStock(pricing.items);
+      if (error instanceof WalletError) {
+        return sendStatusError(res, error);
+      }
+      throw error;
+    }
+  }
 
-  const orderNumber = "ORD" + Date.now();
+  // Give back the stock, the wallet spend and the gift card amount when checkout does not complete
+  let giftCardRedeemed = false;
+  const abandonCheckout = async () => {
+    await releaseStock(pricing.items);
+    if (walletSpend) {
+      await creditWallet(req.user.id, walletAmount, {
+        type: 'refund',
+        orderId,
+        note: 'Checkout did not complete',
+        idempotencyKey: `order:${orderId}:release`
+      });
+    }
+    if (giftCardRedeemed) {
+      await releaseGiftCardAmount(giftCard._id, giftCardAmount, { orderId, key: `order:${orderId}:release` });
+    }
+  };
+
+  if (giftCardAmount > 0) {
+    try {
+      await redeemGiftCard(giftCard, giftCardAmount, { orderId, key: `order:${orderId}:redeem` });
+      giftCardRedeemed = true;
+    } catch (error) {
+      await abandonCheckout();
+      if (error instanceof GiftCardError) {
+        return sendStatusError(res, error);
+      }
+      throw error;
+    }
+  }
 
-  // Create order with frontend-calculated totals
   const orderData = {
-    orderNumber,
+    _id: orderId,
     userId: req.user.id,
-    items: processedItems,
-    subtotal: clientSubtotal || calculatedSubtotal,
-    deliveryFee,
-    tax,
-    discount,
-    couponCode,
-    total,
+    customerContact: {
+      name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+      email: req.user.email,
+      phone: req.user.phone
+    },
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    deliveryFee: pricing.deliveryFee,
+    tax: pricing.tax,
+    discount: pricing.discount,
+    couponCode: pricing.couponCode,
+    total: pricing.total,
     paymentMethod,
+    walletAmount,
+    giftCardId: giftCard?._id,
+    giftCardAmount,
     deliveryType,
     deliveryAddress,
     branchId,
-    specialInstructions
+    specialInstructions,
+    stockReservation: { status: 'reserved', reservedAt: new Date() }
   };
 
+  if (scheduledFor) {
+    orderData.status = 'scheduled';
+    orderData.scheduledFor = scheduledFor;
+  }
+
   // Add COD payment type if applicable
   if (codPaymentType) {
     orderData.codPaymentType = codPaymentType;
   }
 
-  const order = await Order.create(orderData);
+  // Online payments get an intent up front; the order waits for it before reaching the kitchen
+  let payment;
+  if (ONLINE_PAYMENT_METHODS.includes(paymentMethod)) {
+    try {
+      payment = await startOrderPayment({
+        orderId,
+        amount: roundCurrency(pricing.total - walletAmount - giftCardAmount)
+      });
+    } catch (error) {
+      await abandonCheckout();
+      if (error instanceof PaymentError) {
+        return sendStatusError(res, error);
+      }
+      throw error;
+    }
+
+    orderData.status = 'awaiting-payment';
+    orderData.paymentDetails = {
+      paymentGateway: payment.gateway.provider,
+      intentId: payment.intent.id,
+      intentStatus: payment.intent.status
+    };
+  }
+
+  let order;
+  try {
+    order = await Order.create(orderData);
+  } catch (error) {
+    // The intent is left unconfirmed; its client secret never reached the customer
+    await abandonCheckout();
+    throw error;
+  }
+
+  // From here on a retry with the same key must not place a second order
+  await req.idempotency?.bind(order._id);
+
+  // Wallet and gift card payments are taken in full at checkout
+  if (paymentMethod === 'wallet' || paymentMethod === 'gift-card') {
+    await order.updatePaymentStatus('paid', {
+      paymentGateway: paymentMethod,
+      transactionId: paymentMethod === 'wallet' ? walletSpend?._id.toString() : giftCard._id.toString()
+    });
+    issueInvoiceIfDue(order);
+  }
+
+  if (pricing.offerId) {
+    const offer = await Offer.findById(pricing.offerId);
+    if (offer) {
+      await offer.applyToUser(req.user.id, order._id, pricing.discount);
+    }
+  }
 
   // Populate order details
   await order.populate([
@@ -148,6 +455,16 @@ router.post('/', [
     { path: 'branchId', select: 'name address phone' }
   ]);
 
+  // Staff and the customer hear about it once the payment goes through
+  if (payment) {
+    return res.status(201).json({
+      success: true,
+      message: 'Order created, waiting for payment',
+      order,
+      payment: describePayment(order, payment.intent, { includeSecret: true })
+    });
+  }
+
   const orderUserId = order.userId._id ? order.userId._id.toString() : order.userId.toString();
 
   try {
@@ -156,52 +473,32 @@ router.post('/', [
       await sendOrderStatusNotification(
         orderUserId,
         order,
-        'pending'
+        order.status
       );
       console.log('✅ Customer notification sent');
     }
 
     // 2. Send notification to ALL admins and managers
-    const adminUsers = await User.find({ 
-      role: { $in: ['admin', 'manager', 'superadmin'] },
-      isActive: true,
-      fcmToken: { $exists: true, $ne: null }
-    }).select('firstName lastName email fcmToken fcmTokens');
-
-    if (adminUsers.length > 0) {
-      const adminTokens = [];
-      adminUsers.forEach(admin => {
-        if (admin.fcmToken) {
-          adminTokens.push(admin.fcmToken);
-        }
-        if (admin.fcmTokens && Array.isArray(admin.fcmTokens)) {
-          admin.fcmTokens.forEach(tokenObj => {
-            if (tokenObj.token && !adminTokens.includes(tokenObj.token)) {
-              adminTokens.push(tokenObj.token);
-            }
-          });
-        }
-      });
-
-      const uniqueAdminTokens = [...new Set(adminTokens)];
+    const uniqueAdminTokens = await getAdminTokens();
 
-      if (uniqueAdminTokens.length > 0) {
-        const notificationResult = await sendNewOrderNotification(
-          uniqueAdminTokens, 
-          order
-        );
+    if (uniqueAdminTokens.length > 0) {
+      const notificationResult = await sendNewOrderNotification(
+        uniqueAdminTokens, 
+        order
+      );
 
-        if (notificationResult.success) {
-          console.log('✅ Admin notifications sent successfully');
-        } else {
-          console.error('❌ Failed to send admin notifications:', notificationResult.error);
-        }
+      if (notificationResult.success) {
+        console.log('✅ Admin notifications sent successfully');
+      } else {
+        console.error('❌ Failed to send admin notifications:', notificationResult.error);
       }
     }
   } catch (notificationError) {
     console.error('❌ Error sending notifications:', notificationError);
   }
 
+  await autoAcceptOrder(order);
+
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
@@ -211,11 +508,31 @@ router.post('/', [
 
 
 
+// @desc    Search all orders (admin), as JSON pages or a CSV export
+// @route   GET /api/v1/orders/getall?from&to&branchId&status&paymentMethod&paymentStatus&deliveryType&minTotal&maxTotal&customer&orderNumber&sort&cursor&limit&format=json|csv
+// @access  Private (Admin/Manager only)
 router.get('/getall', [
   auth,
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status')
+  authorize('admin', 'manager'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
+  query('status').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(status => ORDER_STATUSES.includes(status))).withMessage('Invalid status'),
+  query('paymentMethod').optional().customSanitizer(toList)
+    .custom(methods => methods.every(method => PAYMENT_METHODS.includes(method))).withMessage('Invalid payment method'),
+  query('paymentStatus').optional().customSanitizer(toList)
+    .custom(statuses => statuses.every(status => PAYMENT_STATUSES.includes(status))).withMessage('Invalid payment status'),
+  query('deliveryType').optional().isIn(['delivery', 'pickup']).withMessage('Invalid delivery type'),
+  query('minTotal').optional().isFloat({ min: 0 }).withMessage('Minimum total cannot be negative').toFloat(),
+  query('maxTotal').optional().isFloat({ min: 0 }).withMessage('Maximum total cannot be negative').toFloat(),
+  query('customer').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Customer search must be 2-100 characters'),
+  query('orderNumber').optional().trim().isLength({ min: 1, max: ORDER_NUMBER_MAX_LENGTH }).withMessage('Order number is too long'),
+  query('sort').optional().isIn(SORT_FIELDS.flatMap(field => [field, `-${field}`])).withMessage('Invalid sort'),
+  query('cursor').optional().isString(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -226,35 +543,74 @@ router.get('/getall', [
     });
   }
 
-  const { page = 1, limit = 10, status } = req.query;
-  const skip = (page - 1) * limit;
-
-  let query = { userId: req.user.id || req.user._id || req.user.userId };
-  if (status) query.status = status;
-
+  // Sanitized values (lists, numbers) only survive in matchedData; req.query is re-parsed on every read
+  const params = matchedData(req, { locations: ['query'] });
+  const { cursor, page = 1, limit = 20, format = 'json' } = params;
+  const sort = parseSort(params.sort);
 
+  let filter;
+  let pageFilter;
+  try {
+    const settings = await Setting.findOne().select('timezone');
+    filter = await buildOrderFilter(params, { timeZone: settings?.timezone });
+    pageFilter = cursor ? { $and: [filter, cursorFilter(cursor, sort)] } : filter;
+  } catch (error) {
+    if (error instanceof OrderSearchError) {
+      return sendStatusError(res, error);
+    }
+    throw error;
+  }
 
-  const orders = await Order.find()
-    .populate([
-      { path: 'items.foodItem', select: 'name imageUrl price' },
-      { path: 'branchId', select: 'name address phone' },
-{ path: 'userId', select: 'firstName lastName phone email', options: { virtuals: true } }
+  // The export holds the whole result set, ignoring pagination
+  if (format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.type('text/csv');
+    res.write(`${csvHeader(ORDER_EXPORT_COLUMNS)}\r\n`);
+
+    const exportCursor = Order.find(filter)
+      .select('-items -trackingUpdates -changeRequests')
+      .populate([
+        { path: 'branchId', select: 'name' },
+        { path: 'userId', select: 'firstName lastName phone email' }
+      ])
+      .sort(toMongoSort(sort))
+      .cursor();
+
+    for await (const order of exportCursor) {
+      res.write(`${csvRow(ORDER_EXPORT_COLUMNS, order)}\r\n`);
+    }
+    return res.end();
+  }
 
-    ])
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .skip(skip);
+  // Without a cursor, ?page is still honoured for older admin clients
+  const skip = cursor ? 0 : (page - 1) * limit;
+
+  const [orders, totalOrders] = await Promise.all([
+    Order.find(pageFilter)
+      .populate([
+        { path: 'items.foodItem', select: 'name imageUrl price' },
+        { path: 'branchId', select: 'name address phone' },
+        { path: 'userId', select: 'firstName lastName phone email', options: { virtuals: true } }
+      ])
+      .sort(toMongoSort(sort))
+      .skip(skip)
+      .limit(limit + 1),
+    Order.countDocuments(filter)
+  ]);
 
-  const totalOrders = await Order.countDocuments(query);
-  const totalPages = Math.ceil(totalOrders / limit);
+  // One extra order was read to know whether another page follows
+  const hasMore = orders.length > limit;
+  if (hasMore) orders.pop();
 
   res.json({
     success: true,
     count: orders.length,
     totalOrders,
-    totalPages,
-    currentPage: parseInt(page),
-  orders:orders
+    totalPages: Math.ceil(totalOrders / limit),
+    currentPage: cursor ? null : page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], sort) : null,
+    orders
   });
 }));
 
@@ -280,6 +636,164 @@ router.get('/stats', [
     stats
   });
 }));
+// @desc    Get orders decided by auto-accept mode, with the reasons held ones were not accepted
+// @route   GET /api/v1/orders/auto-acceptance
+// @access  Private (Admin/Manager only)
+router.get('/auto-acceptance', [
+  auth,
+  authorize('admin', 'manager'),
+  query('decision').optional().isIn(['accepted', 'held']).withMessage('Decision must be accepted or held'),
+  query('awaitingReview').optional().isBoolean().withMessage('awaitingReview must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { decision, awaitingReview, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = decision
+    ? { 'autoAcceptance.decision': decision }
+    : { 'autoAcceptance.decision': { $exists: true } };
+
+  // Held orders nobody has confirmed or cancelled yet
+  if (awaitingReview === 'true') {
+    query['autoAcceptance.decision'] = 'held';
+    query.status = 'pending';
+  }
+
+  const orders = await Order.find(query)
+    .select('orderNumber status total paymentMethod deliveryType branchId userId autoAcceptance createdAt')
+    .populate([
+      { path: 'userId', select: 'firstName lastName phone email' },
+      { path: 'branchId', select: 'name' }
+    ])
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const [totalOrders, summary] = await Promise.all([
+    Order.countDocuments(query),
+    Order.aggregate([
+      { $match: { 'autoAcceptance.decision': { $exists: true } } },
+      { $group: { _id: '$autoAcceptance.decision', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    count: orders.length,
+    totalOrders,
+    totalPages: Math.ceil(totalOrders / limit),
+    currentPage: parseInt(page),
+    summary: Object.fromEntries(summary.map(entry => [entry._id, entry.count])),
+    orders
+  });
+}));
+
+// @desc    Get orders with customer change requests
+// @route   GET /api/v1/orders/change-requests
+// @access  Private (Admin/Manager only)
+router.get('/change-requests', [
+  auth,
+  authorize('admin', 'manager'),
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid change request status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+  const query = { 'changeRequests.status': status };
+
+  const orders = await Order.find(query)
+    .select('orderNumber status total paymentStatus branchId userId changeRequests createdAt')
+    .populate([
+      { path: 'userId', select: 'firstName lastName phone' },
+      { path: 'branchId', select: 'name' }
+    ])
+    .sort({ 'changeRequests.requestedAt': -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const totalOrders = await Order.countDocuments(query);
+
+  res.json({
+    success: true,
+    count: orders.length,
+    totalOrders,
+    totalPages: Math.ceil(totalOrders / limit),
+    currentPage: parseInt(page),
+    orders
+  });
+}));
+
+// @desc    Get a short-lived token for opening an event stream with ?token=
+// @route   POST /api/v1/orders/events/token
+// @access  Private
+router.post('/events/token', auth, (req, res) => {
+  res.json({
+    success: true,
+    ...issueStreamToken(req.user)
+  });
+});
+
+// @desc    Stream live order events (Server-Sent Events)
+// @route   GET /api/v1/orders/events
+// @access  Private - customers get their own orders, managers their branch's, admins any branch
+router.get('/events', [
+  streamAuth,
+  query('branchId').optional().isMongoId().withMessage('Invalid branch ID'),
+  query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+  query('lastEventId').optional().isInt({ min: 0 }).withMessage('Last event ID must be a positive integer')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // EventSource resends the last id it saw in this header when reconnecting
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const isStaff = ['admin', 'manager'].includes(req.user.role);
+
+  let branchId;
+  try {
+    branchId = isStaff ? staffStreamBranch(req.user, req.query.branchId) : undefined;
+  } catch (error) {
+    if (error instanceof OrderEventError) {
+      return sendStatusError(res, error);
+    }
+    throw error;
+  }
+
+  await streamOrderEvents(req, res, {
+    userId: req.user._id.toString(),
+    isStaff,
+    branchId,
+    orderId: req.query.orderId,
+    lastEventId
+  });
+}));
+
 // @desc    Get user orders
 // @route   GET /api/v1/orders
 // @access  Private
@@ -287,7 +801,7 @@ router.get('/', [
   auth,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status')
+  query('status').optional().isIn(['awaiting-payment', 'scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -360,12 +874,16 @@ router.get('/:id', [
     });
   }
 
-  const orderUserId = order.userId._id ? order.userId._id.toString() : order.userId.toString();
+  const orderUserId = orderOwnerId(order);
 
 
   
+const isAssignedDriver = req.user.role === 'driver' &&
+  order.deliveryAgent?._id?.toString() === req.user.id;
+
 if (
   orderUserId !== req.user.id &&
+  !isAssignedDriver &&
   !['admin', 'manager'].includes(req.user.role)
 ) {
   return res.status(403).json({
@@ -381,15 +899,14 @@ if (
   });
 }));
 
-// @desc    Update order status
-// @route   PATCH /api/v1/orders/:id/status
-// @access  Private (Admin/Manager only)
-router.patch('/:id/status', [
+// @desc    Get an order receipt as printable HTML or PDF
+// @route   GET /api/v1/orders/:id/receipt?format=html|pdf&lang=en|es|ca|ar
+// @access  Private
+router.get('/:id/receipt', [
   auth,
-  authorize('admin', 'manager'),
   param('id').isMongoId().withMessage('Invalid order ID'),
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'pickup', 'ready','shop', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('message').optional().trim()
+  query('format').optional().isIn(['html', 'pdf']).withMessage('Format must be html or pdf'),
+  query('lang').optional().isIn(SUPPORTED_LANGUAGES).withMessage('Unsupported language')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -400,9 +917,10 @@ router.patch('/:id/status', [
     });
   }
 
-  const { status, message } = req.body;
-
-  const order = await Order.findById(req.params.id);
+  const order = await Order.findById(req.params.id).populate([
+    { path: 'userId', select: 'firstName lastName preferredLanguage' },
+    { path: 'items.foodItem', select: 'name' }
+  ]);
 
   if (!order) {
     return res.status(404).json({
@@ -411,26 +929,318 @@ router.patch('/:id/status', [
     });
   }
 
-  // Add tracking update
-  await order.addTrackingUpdate(
-    status,
-    message || `Order status updated to ${status}`,
-    null
-  );
+  if (orderOwnerId(order) !== req.user.id && !['admin', 'manager'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this order'
+    });
+  }
 
-  // Set actual delivery time if delivered
-  if (status === 'delivered' && !order.actualDeliveryTime) {
-    order.actualDeliveryTime = new Date();
-    await order.save();
+  const [settings, invoice] = await Promise.all([
+    Setting.findOne(),
+    Invoice.findOne({ orderId: order._id, invoiceType: 'simplified' }).select('number')
+  ]);
+  // An explicit ?lang wins, then the customer's own language, then the request's
+  const lang = req.query.lang || order.userId?.preferredLanguage || req.language;
+  const receiptOptions = { invoiceNumber: invoice?.number };
+  let receipt = buildReceipt(order, settings, lang, receiptOptions);
+
+  if (req.query.format !== 'pdf') {
+    res.set('Content-Language', receipt.language);
+    return res.type('html').send(renderReceiptHtml(receipt));
   }
-      const orderUserId = order.userId._id ? order.userId._id.toString() : order.userId.toString();
 
-  await sendOrderStatusNotification(
-  orderUserId,
-    order,
-    status,
-    message ? { title: '📦 Order Update', body: message } : null
-  );
+  // Without a font covering the script the PDF falls back to English
+  if (!canRenderPdf(receipt)) {
+    receipt = buildReceipt(order, settings, 'en', receiptOptions);
+  }
+
+  const pdf = await renderReceiptPdf(receipt);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="receipt-${order.orderNumber}.pdf"`,
+    'Content-Language': receipt.language
+  });
+  res.send(pdf);
+}));
+
+// @desc    Get live delivery tracking (driver position and ETA)
+// @route   GET /api/v1/orders/:id/tracking
+// @access  Private
+router.get('/:id/tracking', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id)
+    .select('userId status deliveryType deliveryAddress deliveryAgent driverLocation estimatedDeliveryTime actualDeliveryTime')
+    .populate({ path: 'deliveryAgent', select: 'firstName lastName phone' });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const isAssignedDriver = order.deliveryAgent?._id?.toString() === req.user.id;
+  if (order.userId.toString() !== req.user.id && !isAssignedDriver && !['admin', 'manager'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this order'
+    });
+  }
+
+  res.json({
+    success: true,
+    tracking: {
+      orderId: order._id,
+      status: order.status,
+      deliveryAgent: order.deliveryAgent,
+      driverLocation: order.status === 'out-for-delivery' ? order.driverLocation : null,
+      destination: order.deliveryAddress
+        ? { latitude: order.deliveryAddress.latitude, longitude: order.deliveryAddress.longitude }
+        : null,
+      estimatedDeliveryTime: order.estimatedDeliveryTime,
+      estimatedTimeRemaining: order.estimatedTimeRemaining,
+      actualDeliveryTime: order.actualDeliveryTime
+    }
+  });
+}));
+
+// @desc    Change an order's items, delivery address or instructions
+//          Applied directly until the order is confirmed, then filed as a change request
+// @route   PATCH /api/v1/orders/:id
+// @access  Private (order owner)
+router.patch('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Order must contain at least one item'),
+  body('items.*.foodItem.id').isMongoId().withMessage('Invalid food item ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('deliveryAddress').optional().isObject().withMessage('Invalid delivery address'),
+  body('deliveryAddress.address').if(body('deliveryAddress').exists()).trim().notEmpty().withMessage('Address is required'),
+  body('deliveryAddress.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('deliveryAddress.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('specialInstructions').optional().trim().isLength({ max: 500 }).withMessage('Special instructions cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { items, deliveryAddress, specialInstructions } = req.body;
+
+  if (!items && !deliveryAddress && specialInstructions === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Nothing to change'
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.userId.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to change this order'
+    });
+  }
+
+  if (deliveryAddress && order.deliveryType !== 'delivery') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only delivery orders have a delivery address'
+    });
+  }
+
+  let result;
+  try {
+    result = await modifyOrder(order, { items, deliveryAddress, specialInstructions }, { userId: req.user._id, role: req.user.role });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof StockError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    if (error instanceof OrderModificationError || error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order was updated by the restaurant, please review it and try again'
+      });
+    }
+    throw error;
+  }
+
+  if (!result.applied) {
+    return res.status(202).json({
+      success: true,
+      message: 'Your change has been sent to the restaurant for approval',
+      changeRequest: result.changeRequest
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Order updated successfully',
+    order
+  });
+}));
+
+// @desc    Approve or reject a customer's change request
+// @route   PATCH /api/v1/orders/:id/change-requests/:requestId
+// @access  Private (Admin/Manager only)
+router.patch('/:id/change-requests/:requestId', [
+  auth,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('requestId').isMongoId().withMessage('Invalid change request ID'),
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const approve = req.body.decision === 'approve';
+
+  let changeRequest;
+  try {
+    changeRequest = await reviewChangeRequest(order, req.params.requestId, approve, req.body.reason, {
+      userId: req.user._id,
+      role: req.user.role
+    });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof StockError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    if (error instanceof OrderModificationError || error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order was changed by someone else, please try again'
+      });
+    }
+    throw error;
+  }
+
+  await sendOrderStatusNotification(order.userId.toString(), order, order.status, approve
+    ? { title: '✏️ Change Approved', body: `Your change to order #${order.orderNumber} has been applied.` }
+    : { title: '✏️ Change Not Possible', body: `The restaurant could not apply your change${req.body.reason ? `: ${req.body.reason}` : '.'}` });
+
+  res.json({
+    success: true,
+    message: approve ? 'Change request approved' : 'Change request rejected',
+    changeRequest,
+    order
+  });
+}));
+
+// @desc    Update order status
+// @route   PATCH /api/v1/orders/:id/status
+// @access  Private (Admin/Manager only)
+router.patch('/:id/status', [
+  auth,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('status').isIn(['pending', 'confirmed', 'preparing', 'pickup', 'ready','shop', 'out-for-delivery', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('message').optional().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status, message } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const actor = { userId: req.user._id, role: req.user.role };
+
+  try {
+    if (status === 'cancelled') {
+      await cancelOrder(order, message || 'Cancelled by staff', 'admin', actor);
+    } else {
+      await order.addTrackingUpdate(
+        status,
+        message || `Order status updated to ${status}`,
+        null,
+        actor
+      );
+      if (status === 'delivered') {
+        emailReceiptOnDelivery(order);
+      }
+    }
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
+    }
+    throw error;
+  }
+
+      const orderUserId = order.userId._id ? order.userId._id.toString() : order.userId.toString();
+
+  await sendOrderStatusNotification(
+  orderUserId,
+    order,
+    status,
+    message ? { title: '📦 Order Update', body: message } : null
+  );
 
   res.json({
     success: true,
@@ -438,7 +1248,75 @@ router.patch('/:id/status', [
     order: {
       id: order._id,
       status: order.status,
-      estimatedTimeRemaining: order.estimatedTimeRemaining
+      estimatedTimeRemaining: order.estimatedTimeRemaining,
+      allowedTransitions: order.getAllowedTransitions(req.user.role)
+    }
+  });
+}));
+
+// @desc    Assign or reassign a delivery driver
+// @route   PATCH /api/v1/orders/:id/assign-driver
+// @access  Private (Admin/Manager only)
+router.patch('/:id/assign-driver', [
+  auth,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('driverId').isMongoId().withMessage('Invalid driver ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.deliveryType !== 'delivery') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only delivery orders can be assigned to a driver'
+    });
+  }
+
+  // Once the driver has picked the order up it can no longer be reassigned
+  if (!['pending', 'confirmed', 'preparing', 'ready'].includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot assign a driver to an order that is ${order.status}`
+    });
+  }
+
+  const driver = await User.findOne({ _id: req.body.driverId, role: 'driver', isActive: true });
+
+  if (!driver) {
+    return res.status(404).json({
+      success: false,
+      message: 'Driver not found'
+    });
+  }
+
+  await order.assignDriver(driver, { userId: req.user._id, role: req.user.role });
+
+  await sendDeliveryAssignmentNotification(driver, order);
+
+  res.json({
+    success: true,
+    message: 'Driver assigned successfully',
+    order: {
+      id: order._id,
+      status: order.status,
+      deliveryAgent: order.deliveryAgent,
+      deliveryAssignment: order.deliveryAssignment
     }
   });
 }));
@@ -479,23 +1357,16 @@ router.patch('/:id/cancel', [
     });
   }
 
-  // Check if order can be cancelled
-  if (['delivered', 'cancelled', 'refunded'].includes(order.status)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Order cannot be cancelled'
-    });
-  }
-
   const cancelledBy = req.user.role === 'admin' || req.user.role === 'manager' ? 'admin' : 'customer';
-  await order.cancelOrder(reason, cancelledBy);
 
-  // Restore stock for cancelled items
-  for (const item of order.items) {
-    const foodItem = await FoodItem.findById(item.foodItem);
-    if (foodItem) {
-      await foodItem.updateStock(item.quantity, 'add');
+  // Same transition guard as status updates decides whether the order can be cancelled
+  try {
+    await cancelOrder(order, reason, cancelledBy, { userId: req.user._id, role: req.user.role });
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return sendStatusError(res, error);
     }
+    throw error;
   }
 
   res.json({
@@ -504,6 +1375,7 @@ router.patch('/:id/cancel', [
     order: {
       id: order._id,
       status: order.status,
+      paymentStatus: order.paymentStatus,
       cancellation: order.cancellation
     }
   });
@@ -570,6 +1442,174 @@ router.post('/:id/rating', [
   });
 }));
 
+// @desc    Get an order's refund ledger
+// @route   GET /api/v1/orders/:id/refunds
+// @access  Private (Admin/Manager only)
+router.get('/:id/refunds', [
+  auth,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id)
+    .select('orderNumber total paymentStatus items refund refunds')
+    .populate({ path: 'refunds.processedBy', select: 'firstName lastName email' });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    orderNumber: order.orderNumber,
+    paymentStatus: order.paymentStatus,
+    paid: getPaidAmount(order),
+    refunded: order.refundedTotal,
+    refundable: getRefundableAmount(order),
+    refunds: order.refunds
+  });
+}));
+
+// @desc    Refund part or all of an order
+// @route   POST /api/v1/orders/:id/refunds
+// @access  Private (Admin/Manager only)
+router.post('/:id/refunds', [
+  auth,
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid item ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero').toFloat(),
+  body('amount').custom((amount, { req }) => {
+    if ((amount === undefined) === (req.body.items === undefined)) {
+      throw new Error('Provide either items or an amount');
+    }
+    return true;
+  }),
+  body('reasonCode').isIn(REFUND_REASON_CODES).withMessage('Invalid reason code'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('restock').optional().isBoolean().withMessage('Restock must be true or false').toBoolean(),
+  body('gatewayRef').optional().trim().isLength({ max: 200 }).withMessage('Gateway reference is too long'),
+  body('toWallet').optional().isBoolean().withMessage('toWallet must be true or false').toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  let refund;
+  try {
+    refund = await createRefund(order, req.body, { userId: req.user._id });
+  } catch (error) {
+    if (error instanceof RefundError || error instanceof PaymentError || error instanceof WalletError) {
+      return sendStatusError(res, error);
+    }
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order was changed by someone else, please try again'
+      });
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund recorded',
+    refund,
+    paymentStatus: order.paymentStatus,
+    refunded: order.refundedTotal,
+    refundable: getRefundableAmount(order)
+  });
+}));
+
+// @desc    Rebuild a past order as a cart at today's menu and prices
+// @route   POST /api/v1/orders/:id/reorder
+// @access  Private
+router.post('/:id/reorder', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.userId.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to reorder this order'
+    });
+  }
+
+  let result;
+  try {
+    result = await buildReorderCart(order, { userId: req.user.id, lang: req.language });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+    throw error;
+  }
+
+  if (!result.cart) {
+    return res.status(409).json({
+      success: false,
+      message: 'None of the items in this order can be ordered anymore',
+      changes: result.changes
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.changes.length > 0 ? 'Cart rebuilt with changes' : 'Cart rebuilt',
+    cart: result.cart,
+    changes: result.changes
+  });
+}));
+
 // @desc    Get order statistics (Admin/Manager only)
 // @route   GET /api/v1/orders/stats
 // @access  Private (Admin/Manager only)
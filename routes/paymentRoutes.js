@@ -0,0 +1,384 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const PaymentEvent = require('../models/PaymentEvent');
+const { auth, authorize } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const asyncHandler = require('../middleware/asyncHandler');
+const { OrderStatusError } = require('../utils/orderStatusMachine');
+const {
+  PaymentError,
+  confirmOrderPayment,
+  captureOrderPayment,
+  voidOrderPayment,
+  syncOrderPayment,
+  verifyWebhookEvent,
+  describePayment
+} = require('../utils/paymentService');
+const { receivePaymentEvent, retryPaymentEvent } = require('../utils/paymentWebhookService');
+const { cancelOrder } = require('../utils/orderCancellationService');
+
+const router = express.Router();
+
+const PROVIDERS = Setting.schema.path('paymentGateways').schema.path('provider').enumValues;
+
+const isStaff = (user) => ['admin', 'manager'].includes(user.role);
+
+const sendPaymentError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// Provider and status-machine errors carry their own status; a concurrent save is a conflict
+const handlePaymentError = (res, error) => {
+  if (error instanceof PaymentError || error instanceof OrderStatusError) {
+    return sendPaymentError(res, error);
+  }
+  if (error instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({
+      success: false,
+      message: 'The order was changed by someone else, please try again'
+    });
+  }
+  throw error;
+};
+
+const findOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+
+  if (order.userId.toString() !== req.user.id && !isStaff(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this order'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+const orderSummary = (order) => ({
+  id: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  paymentStatus: order.paymentStatus
+});
+
+// @desc    Receive a signed event from a payment provider
+// @route   POST /api/v1/payments/webhook/:provider
+// @access  Public (signed with the gateway's webhook secret)
+router.post('/webhook/:provider', [
+  param('provider').isIn(PROVIDERS).withMessage('Unknown payment provider')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.rawBody) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook body must be JSON'
+    });
+  }
+
+  let event;
+  try {
+    event = await verifyWebhookEvent(req.params.provider, req.rawBody, req.headers);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return sendPaymentError(res, error);
+    }
+    throw error;
+  }
+
+  const { paymentEvent, duplicate } = await receivePaymentEvent(req.params.provider, event);
+
+  // A failure is answered with an error so the provider delivers the event again
+  if (paymentEvent.status === 'failed') {
+    return res.status(500).json({
+      success: false,
+      message: 'Event could not be processed',
+      eventId: paymentEvent.eventId
+    });
+  }
+
+  res.json({
+    success: true,
+    received: true,
+    duplicate,
+    status: paymentEvent.status
+  });
+}));
+
+router.use(auth);
+
+// @desc    List payment webhook events, by default those that failed processing
+// @route   GET /api/v1/payments/events?status&provider&type&orderId&page&limit
+// @access  Private (Admin only)
+router.get('/events', [
+  authorize('admin'),
+  query('status').optional().isIn(PaymentEvent.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('provider').optional().isIn(PROVIDERS).withMessage('Unknown payment provider'),
+  query('type').optional().trim().isLength({ max: 100 }).withMessage('Invalid event type'),
+  query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { status = 'failed', provider, type, orderId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = { status };
+  if (provider) filter.provider = provider;
+  if (type) filter.type = type;
+  if (orderId) filter.orderId = orderId;
+
+  const [events, total] = await Promise.all([
+    PaymentEvent.find(filter)
+      .populate('orderId', 'orderNumber status paymentStatus total')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PaymentEvent.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: events.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    events
+  });
+}));
+
+// @desc    Process a failed payment webhook event again
+// @route   POST /api/v1/payments/events/:id/retry
+// @access  Private (Admin only)
+router.post('/events/:id/retry', [
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid event ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let paymentEvent;
+  try {
+    paymentEvent = await retryPaymentEvent(req.params.id);
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  res.status(paymentEvent.status === 'failed' ? 422 : 200).json({
+    success: paymentEvent.status !== 'failed',
+    message: paymentEvent.status === 'failed' ? paymentEvent.lastError : paymentEvent.result,
+    event: paymentEvent
+  });
+}));
+
+// @desc    Get an order's payment, refreshed from the provider
+// @route   GET /api/v1/payments/orders/:id
+// @access  Private
+router.get('/orders/:id', [
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await findOrder(req, res);
+  if (!order) return;
+
+  let intent;
+  try {
+    intent = await syncOrderPayment(order);
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  res.json({
+    success: true,
+    order: orderSummary(order),
+    payment: describePayment(order, intent, { includeSecret: order.userId.toString() === req.user.id })
+  });
+}));
+
+// @desc    Confirm an order's payment with the customer's payment token
+// @route   POST /api/v1/payments/orders/:id/confirm
+// @access  Private (order owner)
+router.post('/orders/:id/confirm', [
+  idempotency(),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('paymentToken').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Invalid payment token')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await findOrder(req, res);
+  if (!order) return;
+
+  if (order.userId.toString() !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the customer can pay for this order'
+    });
+  }
+
+  let intent;
+  try {
+    intent = await confirmOrderPayment(order, { paymentToken: req.body.paymentToken });
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  if (intent.status === 'failed') {
+    return res.status(402).json({
+      success: false,
+      message: intent.failureReason || 'Payment failed',
+      order: orderSummary(order),
+      payment: describePayment(order, intent)
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Payment confirmed',
+    order: orderSummary(order),
+    payment: describePayment(order, intent)
+  });
+}));
+
+// @desc    Capture an authorized payment
+// @route   POST /api/v1/payments/orders/:id/capture
+// @access  Private (Admin/Manager only)
+router.post('/orders/:id/capture', [
+  authorize('admin', 'manager'),
+  idempotency(),
+  param('id').isMongoId().withMessage('Invalid order ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await findOrder(req, res);
+  if (!order) return;
+
+  let intent;
+  try {
+    intent = await captureOrderPayment(order);
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Payment captured',
+    order: orderSummary(order),
+    payment: describePayment(order, intent)
+  });
+}));
+
+// @desc    Void a payment that was not captured, cancelling the order if it is still open
+// @route   POST /api/v1/payments/orders/:id/void
+// @access  Private (Admin/Manager only)
+router.post('/orders/:id/void', [
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await findOrder(req, res);
+  if (!order) return;
+
+  if (!order.paymentDetails?.intentId) {
+    return res.status(409).json({
+      success: false,
+      message: 'This order is not paid online'
+    });
+  }
+
+  if (order.paymentDetails.intentStatus === 'succeeded') {
+    return res.status(409).json({
+      success: false,
+      message: 'The payment has been captured; refund it instead'
+    });
+  }
+
+  try {
+    // Cancelling voids the payment on the way; a cancelled order only needs the void
+    if (order.status !== 'cancelled') {
+      await cancelOrder(order, req.body.reason || 'Payment voided', 'admin', {
+        userId: req.user._id,
+        role: req.user.role
+      });
+    } else {
+      await voidOrderPayment(order);
+    }
+  } catch (error) {
+    return handlePaymentError(res, error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Payment voided',
+    order: orderSummary(order),
+    payment: describePayment(order)
+  });
+}));
+
+module.exports = router;
@@ -88,6 +88,14 @@ router.put('/', [
   body('contactEmail').optional().isEmail().withMessage('Please provide a valid email'),
   body('currency').optional().isISO4217().withMessage('Please provide a valid currency code'),
   body('orderSettings.minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order amount cannot be negative'),
+  body('orderSettings.autoAcceptOrders').optional().isBoolean().withMessage('Auto-accept must be true or false'),
+  body('orderSettings.emailReceiptOnDelivery').optional().isBoolean().withMessage('Email receipt on delivery must be true or false'),
+  body('orderSettings.autoAcceptRules.maxOrderTotal').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum auto-accept total cannot be negative'),
+  body('orderSettings.autoAcceptRules.allowCashOnDelivery').optional().isBoolean().withMessage('Allow cash on delivery must be true or false'),
+  body('orderSettings.autoAcceptRules.maxCashOnDeliveryTotal').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum cash on delivery total cannot be negative'),
+  body('invoicing.legalName').optional().trim().isLength({ max: 150 }).withMessage('Legal name cannot exceed 150 characters'),
+  body('invoicing.taxId').optional().trim().toUpperCase().matches(/^[A-Z0-9]{8,12}$/).withMessage('Please provide a valid tax ID'),
+  body('invoicing.address').optional().trim().isLength({ max: 300 }).withMessage('Invoice address cannot exceed 300 characters'),
   body('deliverySettings.deliveryRadius').optional().isFloat({ min: 1 }).withMessage('Delivery radius must be at least 1 km')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
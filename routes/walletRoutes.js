@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const WalletTransaction = require('../models/WalletTransaction');
+const { auth, authorize } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { PaymentError } = require('../utils/paymentService');
+const {
+  TOP_UP_LIMITS,
+  WalletError,
+  getWallet,
+  creditWallet,
+  debitWallet,
+  startTopUp,
+  confirmTopUp
+} = require('../utils/walletService');
+
+const router = express.Router();
+
+const TRANSACTION_TYPES = WalletTransaction.schema.path('type').enumValues;
+// Entries shown with the balance
+const RECENT_TRANSACTIONS = 10;
+
+router.use(auth);
+
+const sendWalletError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+const handleWalletError = (res, error) => {
+  if (error instanceof WalletError || error instanceof PaymentError) {
+    return sendWalletError(res, error);
+  }
+  throw error;
+};
+
+const walletSummary = (wallet) => ({
+  balance: wallet.balance,
+  // Credit that will lapse unless spent, soonest first
+  expiringCredits: [...wallet.expiringCredits]
+    .sort((a, b) => a.expiresAt - b.expiresAt)
+    .map(credit => ({ amount: credit.remaining, expiresAt: credit.expiresAt })),
+  updatedAt: wallet.updatedAt
+});
+
+const recentTransactions = (userId) => WalletTransaction.find({ userId })
+  .sort({ createdAt: -1 })
+  .limit(RECENT_TRANSACTIONS);
+
+// @desc    Get the current user's wallet balance and latest transactions
+// @route   GET /api/v1/wallet
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const [wallet, transactions] = await Promise.all([
+    getWallet(req.user.id),
+    recentTransactions(req.user.id)
+  ]);
+
+  res.json({
+    success: true,
+    wallet: walletSummary(wallet),
+    transactions
+  });
+}));
+
+// @desc    Get the current user's wallet history
+// @route   GET /api/v1/wallet/transactions?type&page&limit
+// @access  Private
+router.get('/transactions', [
+  query('type').optional().isIn(TRANSACTION_TYPES).withMessage('Invalid transaction type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const filter = { userId: req.user.id };
+  if (req.query.type) filter.type = req.query.type;
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(filter)
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    count: transactions.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    transactions
+  });
+}));
+
+// @desc    Start a wallet top-up paid through the active payment gateway
+// @route   POST /api/v1/wallet/top-ups
+// @access  Private
+router.post('/top-ups', [
+  idempotency(),
+  body('amount')
+    .isFloat({ min: TOP_UP_LIMITS.min, max: TOP_UP_LIMITS.max })
+    .withMessage(`Amount must be between ${TOP_UP_LIMITS.min} and ${TOP_UP_LIMITS.max}`)
+    .toFloat()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let topUp;
+  try {
+    topUp = await startTopUp(req.user.id, req.body.amount);
+  } catch (error) {
+    return handleWalletError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Top-up created, waiting for payment',
+    payment: {
+      provider: topUp.gateway.provider,
+      intentId: topUp.intent.id,
+      status: topUp.intent.status,
+      amount: topUp.intent.amount,
+      currency: topUp.intent.currency,
+      clientSecret: topUp.intent.clientSecret
+    }
+  });
+}));
+
+// @desc    Pay for a top-up and credit the wallet
+// @route   POST /api/v1/wallet/top-ups/:intentId/confirm
+// @access  Private (top-up owner)
+router.post('/top-ups/:intentId/confirm', [
+  idempotency(),
+  param('intentId').trim().isLength({ min: 1, max: 200 }).withMessage('Invalid top-up ID'),
+  body('paymentToken').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Invalid payment token')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let result;
+  try {
+    result = await confirmTopUp(req.user.id, req.params.intentId, { paymentToken: req.body.paymentToken });
+  } catch (error) {
+    return handleWalletError(res, error);
+  }
+
+  if (!result.transaction) {
+    return res.status(402).json({
+      success: false,
+      message: result.intent.failureReason || 'Payment failed',
+      status: result.intent.status
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Wallet topped up',
+    transaction: result.transaction,
+    balance: result.transaction.balanceAfter
+  });
+}));
+
+// @desc    Get a customer's wallet and latest transactions
+// @route   GET /api/v1/wallet/users/:userId
+// @access  Private (Admin/Manager only)
+router.get('/users/:userId', [
+  authorize('admin', 'manager'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findById(req.params.userId).select('firstName lastName email');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const [wallet, transactions] = await Promise.all([
+    getWallet(user._id),
+    recentTransactions(user._id)
+  ]);
+
+  res.json({
+    success: true,
+    user,
+    wallet: walletSummary(wallet),
+    transactions
+  });
+}));
+
+// @desc    Credit or debit a customer's wallet, e.g. goodwill credit after a complaint
+// @route   POST /api/v1/wallet/users/:userId/adjustments
+// @access  Private (Admin only)
+router.post('/users/:userId/adjustments', [
+  authorize('admin'),
+  idempotency(),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('amount').isFloat().withMessage('Amount must be a number').toFloat(),
+  body('amount').custom(amount => {
+    if (amount === 0) {
+      throw new Error('Amount cannot be zero');
+    }
+    return true;
+  }),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot exceed 500 characters'),
+  body('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).withMessage('Expiry must be between 1 and 3650 days').toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { amount, reason, orderId, expiresInDays } = req.body;
+
+  if (amount < 0 && expiresInDays) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only credits can expire'
+    });
+  }
+
+  const user = await User.findById(req.params.userId).select('_id');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (orderId && !(await Order.exists({ _id: orderId, userId: user._id }))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found for this user'
+    });
+  }
+
+  // A double submit that gets past the middleware, e.g. after its record expired, still moves money once
+  const key = req.get('Idempotency-Key');
+  const details = {
+    type: 'adjustment',
+    orderId,
+    note: reason,
+    createdBy: req.user._id,
+    idempotencyKey: key ? `adjustment:${req.user._id}:${key}` : undefined
+  };
+
+  let transaction;
+  try {
+    transaction = amount > 0
+      ? await creditWallet(user._id, amount, {
+        ...details,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+      })
+      : await debitWallet(user._id, -amount, details);
+  } catch (error) {
+    return handleWalletError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: amount > 0 ? 'Wallet credited' : 'Wallet debited',
+    transaction,
+    balance: transaction.balanceAfter
+  });
+}));
+
+module.exports = router;
@@ -15,6 +15,11 @@ const { detectLanguage } = require('./middleware/languageMiddleware');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/not-found');
 
+// Import background jobs
+const { startScheduledOrderJob } = require('./jobs/scheduledOrders');
+const { startStaleOrderJob } = require('./jobs/staleOrders');
+const { startWalletExpiryJob } = require('./jobs/walletExpiry');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/userRoutes');
@@ -26,6 +31,14 @@ const setting = require('./routes/settings');
 const offers = require('./routes/offer');
 const bannerRoutes = require('./routes/bannerRoutes');
 const contactRoutes = require('./routes/contact');
+const driverRoutes = require('./routes/driverRoutes');
+const kdsRoutes = require('./routes/kdsRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const giftCardRoutes = require('./routes/giftCardRoutes');
+const cashRoutes = require('./routes/cashRoutes');
 
 const app = express();
 const fetch = require('node-fetch');
@@ -53,13 +66,21 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Language', 'Accept-Language'],
-  exposedHeaders: ['Content-Language']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Language', 'Accept-Language', 'Idempotency-Key', 'Last-Event-ID'],
+  exposedHeaders: ['Content-Language', 'Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks keep the exact bytes received, which is what providers sign
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Data sanitization against XSS
@@ -104,6 +125,14 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/categories', categoryRoutes);
 app.use('/api/v1/food-items', foodItemRoutes);
 app.use('/api/v1/orders', orderRoutes);
+app.use('/api/v1/driver', driverRoutes);
+app.use('/api/v1/kds', kdsRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/wallet', walletRoutes);
+app.use('/api/v1/gift-cards', giftCardRoutes);
+app.use('/api/v1/cash', cashRoutes);
 app.use('/api/v1/contact', contactRoutes);
 app.use('/api/v1/addresses', addressesRoutes);
 app.use('/api/v1/banners', bannerRoutes);
@@ -137,6 +166,7 @@ const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {});
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     await setupIndexes();
+    startBackgroundJobs();
   } catch (error) {
     console.error('Database connection failed:', error.message);
     process.exit(1);
@@ -190,6 +220,14 @@ const setupIndexes = async () => {
   }
 };
 
+// Background jobs need the database, so they start once it is connected
+const startBackgroundJobs = () => {
+  startScheduledOrderJob();
+  startStaleOrderJob();
+  startWalletExpiryJob();
+  console.log('Background jobs started');
+};
+
 function gracefulShutdown(signal) {
   console.log(`Received ${signal}. Shutting down gracefully...`);
   
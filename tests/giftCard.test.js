@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { fakeQuery, objectId, useCollection } = require('./helpers');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const GiftCard = require('../models/GiftCard');
+const { FoodItem } = require('../models/Category');
+const { GiftCardError, redeemGiftCard, releaseOrderGiftCardAmount } = require('../utils/giftCardService');
+const { OrderModificationError, modifyOrder } = require('../utils/orderModificationService');
+const { giftCardCodeLimiter } = require('../middleware/giftCardCodeLimiter');
+
+let cards;
+
+beforeEach((t) => {
+  t.mock.method(Setting, 'findOne', () => fakeQuery({ currency: 'EUR', deliverySettings: {}, deliveryZones: [], taxSettings: [] }));
+  cards = useCollection(t, GiftCard, [{
+    codeHash: 'hash',
+    last4: '1234',
+    initialBalance: 20,
+    balance: 10,
+    currency: 'EUR',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }]);
+});
+
+const card = () => GiftCard.hydrate(cards.rows[0]);
+
+test('concurrent redemptions never take a card below zero', async () => {
+  const results = await Promise.allSettled([1, 2, 3].map(n =>
+    redeemGiftCard(card(), 4, { orderId: objectId(), key: `order:${n}:redeem` })));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  assert.strictEqual(results.length - failed.length, 2);
+  assert.ok(failed[0].reason instanceof GiftCardError);
+  assert.strictEqual(cards.rows[0].balance, 2);
+});
+
+test('the same redemption sent twice at once is taken once', async () => {
+  const orderId = objectId();
+  await Promise.all([
+    redeemGiftCard(card(), 4, { orderId, key: `order:${orderId}:redeem` }),
+    redeemGiftCard(card(), 4, { orderId, key: `order:${orderId}:redeem` })
+  ]);
+
+  assert.strictEqual(cards.rows[0].balance, 6);
+  assert.strictEqual(cards.rows[0].transactions.length, 1);
+});
+
+test('releasing the card amount of a cancelled order twice at once gives it back once', async () => {
+  const order = { _id: objectId(), giftCardId: cards.rows[0]._id, giftCardAmount: 4, paymentStatus: 'pending' };
+
+  await Promise.all([releaseOrderGiftCardAmount(order), releaseOrderGiftCardAmount(order)]);
+
+  assert.strictEqual(cards.rows[0].balance, 14);
+  assert.strictEqual(cards.rows[0].transactions.length, 1);
+});
+
+test('an order partly paid by gift card keeps its total when edited', async (t) => {
+  const burger = new FoodItem({ name: { en: 'Burger' }, price: 10, imageUrl: 'burger.jpg', category: objectId(), isActive: true, isAvailable: true });
+  t.mock.method(FoodItem, 'find', () => fakeQuery([burger]));
+
+  const userId = objectId();
+  const order = Order.hydrate({
+    _id: objectId(),
+    userId,
+    items: [{ _id: objectId(), foodItem: burger._id, quantity: 2, unitPrice: 10, totalPrice: 20 }],
+    subtotal: 20,
+    total: 20,
+    giftCardId: cards.rows[0]._id,
+    giftCardAmount: 15,
+    deliveryType: 'pickup',
+    paymentMethod: 'cash',
+    paymentStatus: 'pending',
+    status: 'pending'
+  });
+
+  await assert.rejects(
+    modifyOrder(order, { items: [{ foodItem: { id: burger._id.toString() }, quantity: 1 }] }, { userId, role: 'customer' }),
+    OrderModificationError
+  );
+  assert.strictEqual(order.total, 20);
+});
+
+test('unknown codes tried at checkout count towards the balance check limit', async (t) => {
+  const app = express();
+  app.use(express.json());
+  const unknownCode = (req, res) => res.status(404).json({ success: false, message: 'Gift card not found' });
+  app.post('/balance', giftCardCodeLimiter, unknownCode);
+  app.post('/orders', giftCardCodeLimiter, (req, res) => (req.body.giftCardCode
+    ? unknownCode(req, res)
+    : res.status(201).json({ success: true })));
+
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => server.close());
+  const send = async (path, body) => (await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  })).status;
+
+  for (let n = 0; n < 5; n += 1) {
+    assert.strictEqual(await send('/balance', { code: `GUESS${n}` }), 404);
+    assert.strictEqual(await send('/orders', { giftCardCode: `GUESS${n}` }), 404);
+  }
+
+  assert.strictEqual(await send('/orders', { giftCardCode: 'GUESS10' }), 429);
+  assert.strictEqual(await send('/balance', { code: 'GUESS11' }), 429);
+  // Orders without a gift card go through
+  assert.strictEqual(await send('/orders', {}), 201);
+});
@@ -0,0 +1,214 @@
+// Shared setup for the behaviour tests: no database, no Firebase, no SMTP.
+// Models keep their schemas and methods; only the calls that reach MongoDB
+// are replaced per test with t.mock.method.
+const path = require('path');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Push notifications go nowhere
+const firebasePath = path.join(__dirname, '..', 'config', 'firebase.js');
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: {
+    messaging: () => ({
+      send: async () => 'test-message',
+      sendEachForMulticast: async (message) => ({ successCount: message.tokens.length, failureCount: 0, responses: [] })
+    })
+  }
+};
+
+// A query a test forgot to stub fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Stand-in for a mongoose query: chainable, and awaitable to the given value
+const fakeQuery = (value) => {
+  const query = {};
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session'].forEach(method => {
+    query[method] = () => query;
+  });
+  query.exec = () => Promise.resolve(typeof value === 'function' ? value() : value);
+  query.then = (resolve, reject) => query.exec().then(resolve, reject);
+  query.catch = (reject) => query.exec().catch(reject);
+  return query;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Values at a dotted path, looking into arrays of subdocuments as MongoDB does
+const valuesAt = (doc, field) => field.split('.').reduce((values, key) => values.flatMap(value => {
+  const next = value?.[key];
+  return Array.isArray(next) ? next : [next];
+}), [doc]);
+
+const getPath = (doc, field) => field.split('.').reduce((current, key) => current?.[key], doc);
+
+const setPath = (doc, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    return current[key];
+  }, doc);
+  parent[last] = value;
+};
+
+// Does a filter's field conditions hold for a document
+const matchesFilter = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(branch => matchesFilter(doc, branch));
+
+  const values = valuesAt(doc, field);
+  const some = (check) => values.some(check);
+  const same = (value, expected) => String(value) === String(expected);
+
+  if (condition === null) return some(value => value == null);
+  if (isPlainObject(condition)) {
+    if ('$exists' in condition && some(value => value !== undefined) !== Boolean(condition.$exists)) return false;
+    if ('$gt' in condition && !some(value => value > condition.$gt)) return false;
+    if ('$gte' in condition && !some(value => value >= condition.$gte)) return false;
+    if ('$lt' in condition && !some(value => value < condition.$lt)) return false;
+    if ('$lte' in condition && !some(value => value <= condition.$lte)) return false;
+    if ('$ne' in condition && some(value => (condition.$ne === null ? value == null : same(value, condition.$ne)))) return false;
+    if ('$in' in condition && !some(value => condition.$in.some(expected => same(value, expected)))) return false;
+    return true;
+  }
+  return some(value => same(value, condition));
+});
+
+// Copy of a stored document that shares no arrays or objects with it
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  return value;
+};
+
+// Value of an aggregation expression, for the update pipelines the services use
+const evaluate = (expression, doc, vars) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    return path.length > 0 ? getPath(vars[name], path.join('.')) : vars[name];
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (Array.isArray(expression)) return expression.map(item => evaluate(item, doc, vars));
+  if (!isPlainObject(expression)) return expression;
+
+  const [operator] = Object.keys(expression);
+  const args = expression[operator];
+  switch (operator) {
+    case '$literal': return copy(args);
+    case '$add': return evaluate(args, doc, vars).reduce((sum, value) => sum + value, 0);
+    case '$round': {
+      const [value, places] = evaluate(args, doc, vars);
+      return Math.round((value + Number.EPSILON) * 10 ** places) / 10 ** places;
+    }
+    case '$concatArrays': return [].concat(...evaluate(args, doc, vars));
+    case '$filter': return evaluate(args.input, doc, vars)
+      .filter(item => evaluate(args.cond, doc, { ...vars, this: item }));
+    case '$ne': {
+      const [left, right] = evaluate(args, doc, vars);
+      return String(left) !== String(right);
+    }
+    default: return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc, vars)]));
+  }
+};
+
+const applyUpdate = (doc, update, inserting) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const fields = Object.entries(stage.$set).map(([field, value]) => [field, evaluate(value, doc, { NOW: new Date() })]);
+      fields.forEach(([field, value]) => setPath(doc, field, value));
+    }
+    return;
+  }
+
+  Object.entries(update.$set || {}).forEach(([field, value]) => setPath(doc, field, copy(value)));
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => setPath(doc, field, (getPath(doc, field) || 0) + amount));
+  Object.entries(update.$push || {}).forEach(([field, value]) => setPath(doc, field, [...(getPath(doc, field) || []), copy(value)]));
+  if (inserting) {
+    Object.entries(update.$setOnInsert || {}).forEach(([field, value]) => setPath(doc, field, copy(value)));
+  }
+};
+
+/**
+ * Stand-in for a model's collection, kept in memory
+ * Reads return hydrated documents; conditional writes check their filter and
+ * apply their update (pipelines included) in one step, as MongoDB would, so
+ * concurrent callers race the way they do against a real database.
+ * @param {Object} t - Test context whose mocks are restored afterwards
+ * @param {Object} Model - Mongoose model
+ * @param {Array} docs - Initial documents
+ * @param {Object} options - { unique } fields that reject duplicates with E11000
+ * @returns {Object} { rows, find } to inspect what was stored
+ */
+const useCollection = (t, Model, docs = [], { unique = [] } = {}) => {
+  const rows = docs.map(doc => new Model(doc).toObject({ virtuals: false }));
+  const find = (filter) => rows.find(row => matchesFilter(row, filter)) || null;
+  const load = (row) => (row ? Model.hydrate(copy(row)) : null);
+
+  const assertUnique = (row) => {
+    const clash = unique.find(field => row[field] !== undefined &&
+      rows.some(other => other !== row && String(other[field]) === String(row[field])));
+    if (clash) {
+      throw Object.assign(new Error(`E11000 duplicate key error: ${clash}`), { code: 11000 });
+    }
+  };
+
+  const write = (filter, update, { upsert = false } = {}) => {
+    let row = find(filter);
+    if (!row && !upsert) return null;
+
+    const inserting = !row;
+    if (inserting) {
+      // Defaults apply on insert, as they would through the model
+      row = new Model(Object.fromEntries(Object.entries(filter).filter(([, value]) => !isPlainObject(value))))
+        .toObject({ virtuals: false });
+      rows.push(row);
+    }
+    applyUpdate(row, update, inserting);
+    return row;
+  };
+
+  t.mock.method(Model, 'find', (filter) => fakeQuery(() => rows.filter(row => matchesFilter(row, filter)).map(load)));
+  t.mock.method(Model, 'findOne', (filter) => fakeQuery(() => load(find(filter))));
+  t.mock.method(Model, 'findById', (id) => fakeQuery(() => load(find({ _id: id }))));
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => fakeQuery(() => {
+    const before = copy(find(filter));
+    const row = write(filter, update, options);
+    return load(options.new ? row : before);
+  }));
+  t.mock.method(Model, 'updateOne', async (filter, update, options = {}) => {
+    const row = write(filter, update, options);
+    return { matchedCount: row ? 1 : 0, modifiedCount: row ? 1 : 0 };
+  });
+  t.mock.method(Model, 'create', async (fields) => {
+    const row = new Model(fields).toObject({ virtuals: false });
+    assertUnique(row);
+    rows.push(row);
+    return load(row);
+  });
+  t.mock.method(Model.prototype, 'save', async function() {
+    const row = this.toObject({ virtuals: false });
+    const index = rows.findIndex(candidate => String(candidate._id) === String(row._id));
+    if (index === -1) {
+      assertUnique(row);
+      rows.push(row);
+    } else {
+      rows[index] = row;
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  return { rows, find };
+};
+
+module.exports = {
+  fakeQuery,
+  objectId,
+  matchesFilter,
+  useCollection
+};
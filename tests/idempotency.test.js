@@ -0,0 +1,142 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { objectId } = require('./helpers');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+let records;
+
+// Keys as the unique index would keep them
+beforeEach((t) => {
+  records = [];
+  const sameScope = (record, scope) => ['key', 'method', 'path'].every(field => record[field] === scope[field]) &&
+    String(record.userId) === String(scope.userId);
+  const withDelete = (record) => Object.assign(record, {
+    deleteOne: async () => { records = records.filter(candidate => candidate !== record); }
+  });
+
+  t.mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (records.some(record => sameScope(record, fields))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const record = withDelete({ _id: objectId(), status: 'processing', ...fields });
+    records.push(record);
+    return record;
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async (scope) => records.find(record => sameScope(record, scope)) || null);
+  t.mock.method(IdempotencyKey, 'updateOne', async ({ _id }, update) => {
+    Object.assign(records.find(record => record._id === _id) || {}, update);
+  });
+});
+
+// A checkout that creates an order, and can be made to fail before or after doing so
+const startCheckout = async (handler, options) => {
+  const app = express();
+  const user = { _id: objectId() };
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  app.post('/orders', idempotency(options), async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  const send = async (key, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/orders`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+      body: JSON.stringify(body)
+    });
+    // Let the stored response land before the next request
+    await new Promise(resolve => setImmediate(resolve));
+    return { status: response.status, replayed: response.headers.get('idempotent-replayed'), body: await response.json() };
+  };
+
+  return { send, close: () => server.close() };
+};
+
+test('a repeated request gets the first response back without placing a second order', async (t) => {
+  const orders = [];
+  const checkout = await startCheckout(async (req, res) => {
+    const order = { _id: objectId(), items: req.body.items };
+    orders.push(order);
+    await req.idempotency?.bind(order._id);
+    res.status(201).json({ success: true, order });
+  });
+  t.after(checkout.close);
+
+  const first = await checkout.send('key-1', { items: ['burger'] });
+  const second = await checkout.send('key-1', { items: ['burger'] });
+
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(second.replayed, 'true');
+  assert.deepStrictEqual(second.body, first.body);
+  assert.strictEqual(orders.length, 1);
+
+  // Without a key every request counts
+  await checkout.send(undefined, { items: ['burger'] });
+  assert.strictEqual(orders.length, 2);
+});
+
+test('reusing a key for a different request is refused', async (t) => {
+  const checkout = await startCheckout(async (req, res) => res.status(201).json({ success: true }));
+  t.after(checkout.close);
+
+  await checkout.send('key-2', { items: ['burger'] });
+  const reused = await checkout.send('key-2', { items: ['fries'] });
+
+  assert.strictEqual(reused.status, 409);
+});
+
+test('a failure before anything was created can be retried with the same key', async (t) => {
+  let attempts = 0;
+  const checkout = await startCheckout(async (req, res) => {
+    attempts += 1;
+    if (attempts === 1) throw new Error('Database unavailable');
+    res.status(201).json({ success: true });
+  });
+  t.after(checkout.close);
+
+  assert.strictEqual((await checkout.send('key-3', {})).status, 500);
+  assert.strictEqual((await checkout.send('key-3', {})).status, 201);
+  assert.strictEqual(attempts, 2);
+});
+
+test('a failure after the order exists never lets a retry place another', async (t) => {
+  const orders = [];
+  const checkout = await startCheckout(async (req, res) => {
+    const order = { _id: objectId() };
+    orders.push(order);
+    await req.idempotency?.bind(order._id);
+    throw new Error('Populate failed');
+  });
+  t.after(checkout.close);
+
+  const first = await checkout.send('key-4', {});
+  const retry = await checkout.send('key-4', {});
+
+  assert.strictEqual(first.status, 500);
+  assert.strictEqual(retry.replayed, 'true');
+  assert.strictEqual(retry.body.resourceId, orders[0]._id.toString());
+  assert.strictEqual(orders.length, 1);
+});
+
+test('redacted secrets are sent once and never stored', async (t) => {
+  const checkout = await startCheckout(async (req, res) => {
+    res.status(201).json({ success: true, giftCard: { id: 'card-1', code: 'ABCD-EFGH-JKLM-NPQR' } });
+  }, { redact: ['giftCard.code'] });
+  t.after(checkout.close);
+
+  const first = await checkout.send('key-5', { amount: 25 });
+  const retry = await checkout.send('key-5', { amount: 25 });
+
+  assert.strictEqual(first.body.giftCard.code, 'ABCD-EFGH-JKLM-NPQR');
+  assert.strictEqual(records[0].responseBody.giftCard.code, undefined);
+  assert.strictEqual(retry.replayed, 'true');
+  assert.deepStrictEqual(retry.body.giftCard, { id: 'card-1' });
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { objectId } = require('./helpers');
+const Order = require('../models/Order');
+const { isInvoiceable } = require('../utils/invoiceService');
+
+const makeOrder = (fields = {}) => new Order({
+  userId: objectId(),
+  branchId: objectId(),
+  total: 20,
+  walletAmount: 5,
+  paymentMethod: 'cash-on-delivery',
+  deliveryType: 'delivery',
+  status: 'delivered',
+  ...fields
+});
+
+test('cash on delivery is invoiced from what the driver collected, not from the delivery', () => {
+  const collection = (collectedAmount) => ({ status: 'collected', method: 'cash', expectedAmount: 15, collectedAmount });
+
+  assert.strictEqual(isInvoiceable(makeOrder()), false);
+  assert.strictEqual(isInvoiceable(makeOrder({ paymentStatus: 'paid', codCollection: collection(10) })), false);
+  assert.strictEqual(isInvoiceable(makeOrder({ paymentStatus: 'paid', codCollection: collection(15) })), true);
+  assert.strictEqual(isInvoiceable(makeOrder({ codCollection: { ...collection(15), status: 'settled' } })), true);
+});
+
+test('online orders are invoiced once paid', () => {
+  assert.strictEqual(isInvoiceable(makeOrder({ paymentMethod: 'card', status: 'pending', paymentStatus: 'pending' })), false);
+  assert.strictEqual(isInvoiceable(makeOrder({ paymentMethod: 'card', status: 'pending', paymentStatus: 'paid' })), true);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { fakeQuery, objectId } = require('./helpers');
+const OrderEvent = require('../models/OrderEvent');
+const { OrderEventError, staffStreamBranch, streamOrderEvents } = require('../utils/orderEvents');
+
+const ownBranch = objectId();
+const otherBranch = objectId();
+const manager = { _id: objectId(), role: 'manager', branchId: ownBranch };
+
+test('managers follow their own branch whatever they ask for; admins pick any or all', () => {
+  assert.strictEqual(staffStreamBranch(manager), ownBranch.toString());
+  assert.strictEqual(staffStreamBranch(manager, ownBranch.toString()), ownBranch.toString());
+  assert.throws(() => staffStreamBranch(manager, otherBranch.toString()), OrderEventError);
+  assert.throws(() => staffStreamBranch({ ...manager, branchId: undefined }), OrderEventError);
+
+  const admin = { _id: objectId(), role: 'admin' };
+  assert.strictEqual(staffStreamBranch(admin), null);
+  assert.strictEqual(staffStreamBranch(admin, otherBranch.toString()), otherBranch.toString());
+});
+
+test('a manager replaying missed events only gets those of their branch, even by order id', async (t) => {
+  const ownOrder = objectId();
+  const otherOrder = objectId();
+  const events = [
+    { seq: 2, type: 'order.created', orderId: ownOrder, orderNumber: 'BCN1-261019-001', branchId: ownBranch, audience: ['staff'] },
+    { seq: 3, type: 'order.created', orderId: otherOrder, orderNumber: 'MAD1-261019-001', branchId: otherBranch, audience: ['staff'] },
+    { seq: 4, type: 'order.cancelled', orderId: otherOrder, orderNumber: 'MAD1-261019-001', branchId: otherBranch, audience: ['owner', 'staff'] }
+  ];
+  // The replay query as MongoDB would run it over these events
+  const matches = (event, filter) => Object.entries(filter).every(([field, value]) => (field === 'seq'
+    ? event.seq > value.$gt
+    : [].concat(event[field]).map(String).includes(String(value))));
+  t.mock.method(OrderEvent, 'find', (filter) => fakeQuery(events.filter(event => matches(event, filter))));
+  t.mock.method(OrderEvent, 'findOne', () => fakeQuery(null));
+
+  // Stream the events missed since seq 1 and return the ids written out
+  const replay = async (filter) => {
+    const req = new EventEmitter();
+    const written = [];
+    const res = { set: () => {}, flushHeaders: () => {}, write: (chunk) => written.push(chunk) };
+    await streamOrderEvents(req, res, { userId: manager._id.toString(), isStaff: true, lastEventId: 1, ...filter });
+    req.emit('close');
+    return written.filter(chunk => chunk.startsWith('id: ')).map(chunk => Number(chunk.split('\n')[0].slice(4)));
+  };
+
+  const branchId = staffStreamBranch(manager);
+  assert.deepStrictEqual(await replay({ branchId }), [2]);
+  assert.deepStrictEqual(await replay({ branchId, orderId: otherOrder.toString() }), []);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId } = require('./helpers');
+const Branch = require('../models/Branch');
+const Counter = require('../models/Counter');
+const Setting = require('../models/Setting');
+const { ORDER_NUMBER_MAX_LENGTH, branchCode, generateOrderNumber } = require('../utils/orderNumber');
+
+let counters;
+let branch;
+
+beforeEach((t) => {
+  counters = new Map();
+  branch = { code: 'BCN1', resetOrderNumbersDaily: true };
+  t.mock.method(Counter, 'next', async (key) => {
+    counters.set(key, (counters.get(key) || 0) + 1);
+    return counters.get(key);
+  });
+  t.mock.method(Branch, 'findById', () => fakeQuery(branch));
+  t.mock.method(Setting, 'findOne', () => fakeQuery({ timezone: 'Europe/Madrid' }));
+});
+
+test('numbers restart every day and carry the local date', async () => {
+  const branchId = objectId();
+  const morning = new Date('2026-10-19T08:00:00Z');
+
+  assert.strictEqual(await generateOrderNumber(branchId, morning), 'BCN1-261019-001');
+  assert.strictEqual(await generateOrderNumber(branchId, morning), 'BCN1-261019-002');
+  // 23:30 UTC is already the next day in Madrid
+  assert.strictEqual(await generateOrderNumber(branchId, new Date('2026-10-19T23:30:00Z')), 'BCN1-261020-001');
+});
+
+test('the same day a year later gets new numbers', async () => {
+  const branchId = objectId();
+  const numbers = new Set();
+
+  for (const date of ['2025-12-31T12:00:00Z', '2026-12-31T12:00:00Z', '2026-12-31T23:30:00Z', '2027-12-31T12:00:00Z']) {
+    numbers.add(await generateOrderNumber(branchId, new Date(date)));
+  }
+
+  assert.deepStrictEqual([...numbers], ['BCN1-251231-001', 'BCN1-261231-001', 'BCN1-270101-001', 'BCN1-271231-001']);
+});
+
+test('concurrent orders never share a number', async () => {
+  const branchId = objectId();
+  const date = new Date('2026-10-19T12:00:00Z');
+
+  const numbers = await Promise.all(Array.from({ length: 20 }, () => generateOrderNumber(branchId, date)));
+
+  assert.strictEqual(new Set(numbers).size, 20);
+});
+
+test('branches without daily reset keep one running sequence', async () => {
+  branch = { code: 'GIR', resetOrderNumbersDaily: false };
+  const branchId = objectId();
+
+  await generateOrderNumber(branchId, new Date('2026-10-19T12:00:00Z'));
+  assert.strictEqual(await generateOrderNumber(branchId, new Date('2027-01-02T12:00:00Z')), 'GIR-0002');
+});
+
+test('branches without a code get a short code from the end of their id', async () => {
+  const branchId = '65f1c2d3e4f5a6b7c8d9e0a3';
+  branch = { resetOrderNumbersDaily: true };
+
+  assert.strictEqual(branchCode(null, branchId), '8D9E0A3');
+  assert.strictEqual(await generateOrderNumber(branchId, new Date('2026-10-19T12:00:00Z')), '8D9E0A3-261019-001');
+  // Longer than any branch code, so it never reads as another branch's
+  assert.ok(new Branch({ code: '8D9E0A3' }).validateSync().errors.code);
+  assert.strictEqual(branchCode({ code: 'BCN1' }, branchId), 'BCN1');
+});
+
+test('numbers fit the order search limit, with or without a branch code', async (t) => {
+  t.mock.method(Counter, 'next', async () => 123456789);
+  const date = new Date('2026-10-19T12:00:00Z');
+
+  branch = { resetOrderNumbersDaily: true };
+  const daily = await generateOrderNumber(objectId(), date);
+  branch = { resetOrderNumbersDaily: false };
+  const running = await generateOrderNumber(objectId(), date);
+
+  assert.strictEqual(daily.length, ORDER_NUMBER_MAX_LENGTH);
+  assert.ok(running.length <= ORDER_NUMBER_MAX_LENGTH);
+});
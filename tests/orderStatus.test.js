@@ -0,0 +1,106 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { objectId } = require('./helpers');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const OrderEvent = require('../models/OrderEvent');
+const { OrderStatusError, assertTransition, getAllowedTransitions } = require('../utils/orderStatusMachine');
+
+const makeOrder = (fields = {}) => new Order({
+  orderNumber: 'BCN1-261019-001',
+  userId: objectId(),
+  branchId: objectId(),
+  items: [],
+  subtotal: 10,
+  total: 10,
+  paymentMethod: 'card',
+  deliveryType: 'delivery',
+  status: 'pending',
+  ...fields
+});
+
+beforeEach((t) => {
+  t.mock.method(Order.prototype, 'save', async function() { return this; });
+  t.mock.method(Counter, 'next', async () => 1);
+  t.mock.method(OrderEvent, 'create', async (doc) => doc);
+});
+
+test('walks a delivery order through the kitchen to the door', async () => {
+  const order = makeOrder();
+  const staff = { userId: objectId(), role: 'manager' };
+
+  await order.addTrackingUpdate('confirmed', 'Accepted', undefined, staff);
+  await order.addTrackingUpdate('preparing', 'Cooking', undefined, staff);
+  await order.addTrackingUpdate('ready', 'Ready', undefined, staff);
+  await order.addTrackingUpdate('out-for-delivery', 'On the way', undefined, { role: 'driver' });
+  await order.addTrackingUpdate('delivered', 'Delivered', undefined, { role: 'driver' });
+
+  assert.strictEqual(order.status, 'delivered');
+  assert.ok(order.actualDeliveryTime instanceof Date);
+  assert.deepStrictEqual(
+    order.trackingUpdates.map(update => update.updatedByRole),
+    ['manager', 'manager', 'manager', 'driver', 'driver']
+  );
+});
+
+test('refuses steps the graph does not have, and leaves the order as it was', async () => {
+  const order = makeOrder();
+
+  await assert.rejects(
+    order.addTrackingUpdate('delivered', 'Skip ahead', undefined, { role: 'admin' }),
+    (error) => error instanceof OrderStatusError && error.statusCode === 409 &&
+      error.details.allowedTransitions.includes('confirmed')
+  );
+  assert.strictEqual(order.status, 'pending');
+  assert.strictEqual(order.trackingUpdates.length, 0);
+});
+
+test('checks the role making the move', () => {
+  assert.throws(
+    () => assertTransition(makeOrder(), 'confirmed', 'user'),
+    (error) => error instanceof OrderStatusError && error.statusCode === 403
+  );
+  assert.throws(
+    () => assertTransition(makeOrder({ status: 'preparing' }), 'cancelled', 'user'),
+    (error) => error.statusCode === 403
+  );
+  assert.doesNotThrow(() => assertTransition(makeOrder({ status: 'confirmed' }), 'cancelled', 'user'));
+  assert.doesNotThrow(() => assertTransition(makeOrder({ status: 'awaiting-payment' }), 'pending', 'system'));
+});
+
+test('pickup and delivery orders leave the kitchen differently', () => {
+  const pickup = makeOrder({ status: 'ready', deliveryType: 'pickup' });
+  const delivery = makeOrder({ status: 'ready' });
+
+  assert.deepStrictEqual(getAllowedTransitions(pickup, 'manager').sort(), ['cancelled', 'delivered', 'pickup', 'shop']);
+  assert.deepStrictEqual(getAllowedTransitions(delivery, 'driver'), ['out-for-delivery']);
+  assert.throws(() => assertTransition(delivery, 'delivered', 'admin'), (error) => error.statusCode === 409);
+});
+
+test('finished orders can only be refunded by staff', () => {
+  for (const status of ['delivered', 'cancelled']) {
+    assert.deepStrictEqual(getAllowedTransitions(makeOrder({ status }), 'admin'), ['refunded']);
+    assert.deepStrictEqual(getAllowedTransitions(makeOrder({ status }), 'user'), []);
+  }
+  assert.deepStrictEqual(getAllowedTransitions(makeOrder({ status: 'refunded' })), []);
+});
+
+test('a kitchen retry after a lost race still moves the order to ready', async () => {
+  const line = (prepStatus) => ({ foodItem: objectId(), quantity: 1, unitPrice: 5, totalPrice: 5, prepStatus });
+  const staff = { userId: objectId(), role: 'manager' };
+  // The last item's save landed; the move to 'ready' after it hit a version conflict
+  const order = makeOrder({ status: 'preparing', items: [line('done'), line('done')] });
+  const lastItem = order.items[1]._id;
+
+  await assert.rejects(
+    order.updateItemPrep(lastItem, 'done', staff),
+    (error) => error instanceof OrderStatusError && error.statusCode === 409
+  );
+
+  await order.updateItemPrep(lastItem, 'done', staff, { retrying: true });
+  assert.strictEqual(order.status, 'ready');
+
+  // Retrying once more changes nothing
+  await order.updateItemPrep(lastItem, 'done', staff, { retrying: true });
+  assert.strictEqual(order.trackingUpdates.length, 1);
+});
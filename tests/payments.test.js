@@ -0,0 +1,162 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId, useCollection } = require('./helpers');
+const Order = require('../models/Order');
+const OrderEvent = require('../models/OrderEvent');
+const PaymentEvent = require('../models/PaymentEvent');
+const Setting = require('../models/Setting');
+const Invoice = require('../models/Invoice');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { getPaymentProvider } = require('../utils/paymentService');
+const { receivePaymentEvent } = require('../utils/paymentWebhookService');
+const { createRefund } = require('../utils/refundService');
+
+const provider = getPaymentProvider({ provider: 'mock' });
+
+let events;
+let wallets;
+
+beforeEach((t) => {
+  t.mock.method(Setting, 'findOne', () => fakeQuery({
+    currency: 'EUR',
+    paymentGateways: [{ provider: 'mock' }]
+  }));
+  t.mock.method(OrderEvent, 'create', async (doc) => doc);
+  t.mock.method(Invoice, 'findOne', () => fakeQuery(null));
+  events = useCollection(t, PaymentEvent, [], { unique: ['eventId'] });
+  wallets = useCollection(t, Wallet);
+  useCollection(t, WalletTransaction, [], { unique: ['idempotencyKey'] });
+});
+
+// An order of 20 with 12 left to pay by card, and its intent already charged
+const cardOrder = async (fields = {}) => {
+  const order = {
+    _id: objectId(),
+    orderNumber: 'BCN1-261019-001',
+    userId: objectId(),
+    branchId: objectId(),
+    items: [{ foodItem: objectId(), quantity: 2, unitPrice: 10, totalPrice: 20 }],
+    subtotal: 20,
+    total: 20,
+    walletAmount: 8,
+    deliveryType: 'pickup',
+    paymentMethod: 'card',
+    paymentStatus: 'pending',
+    status: 'awaiting-payment',
+    ...fields
+  };
+  const intent = await provider.createIntent({ amount: 12, currency: 'EUR', reference: order._id, idempotencyKey: `${order._id}:payment` });
+  await provider.confirmIntent(intent.id);
+  order.paymentDetails = { intentId: intent.id, intentStatus: 'requires-confirmation', paymentGateway: 'mock' };
+  return order;
+};
+
+// The same order once paid and delivered
+const paidOrder = async () => {
+  const order = await cardOrder({ status: 'delivered', paymentStatus: 'paid' });
+  order.paymentDetails.intentStatus = 'succeeded';
+  return order;
+};
+
+const refunded = (order, eventId, amount) => ({
+  id: eventId,
+  type: 'payment.refunded',
+  intentId: order.paymentDetails.intentId,
+  amount,
+  signedAt: new Date()
+});
+
+const succeeded = (order, eventId, amount = 12) => ({
+  id: eventId,
+  type: 'payment.succeeded',
+  intentId: order.paymentDetails.intentId,
+  amount,
+  signedAt: new Date()
+});
+
+test('a payment that lands after the order was cancelled is refunded once, not recorded', async (t) => {
+  const order = await cardOrder({ status: 'cancelled', cancellation: { reason: 'Timed out', cancelledBy: 'system' } });
+  const orders = useCollection(t, Order, [order]);
+
+  // The provider sends the event twice under different ids
+  const first = await receivePaymentEvent('mock', succeeded(order, 'evt_1'));
+  const second = await receivePaymentEvent('mock', succeeded(order, 'evt_2'));
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(first.paymentEvent.status, 'processed');
+  assert.strictEqual(second.paymentEvent.status, 'ignored');
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.paymentStatus, 'failed');
+  assert.strictEqual(stored.refunds.length, 0);
+  assert.strictEqual((await provider.getIntent(order.paymentDetails.intentId)).amountRefunded, 12);
+});
+
+test('a payment that does not match the amount due is left failed', async (t) => {
+  const order = await cardOrder();
+  const orders = useCollection(t, Order, [order]);
+
+  const { paymentEvent } = await receivePaymentEvent('mock', succeeded(order, 'evt_1', 20));
+
+  assert.strictEqual(paymentEvent.status, 'failed');
+  assert.match(paymentEvent.lastError, /does not match the 12\.00 due/);
+  assert.strictEqual(orders.find({ _id: order._id }).paymentStatus, 'pending');
+  assert.strictEqual(events.rows.length, 1);
+});
+
+test('the provider echoing our own refund without its id refunds nothing twice', async (t) => {
+  const order = await paidOrder();
+  const orders = useCollection(t, Order, [order]);
+
+  await createRefund(Order.hydrate(orders.find({ _id: order._id })), { amount: 20, reasonCode: 'other' });
+
+  // The echo, then a redelivery of it, then the same refund under another event id
+  await receivePaymentEvent('mock', refunded(order, 'evt_1', 12));
+  const replay = await receivePaymentEvent('mock', refunded(order, 'evt_1', 12));
+  await receivePaymentEvent('mock', refunded(order, 'evt_2', 12));
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(replay.duplicate, true);
+  assert.strictEqual(stored.refunds.length, 1);
+  assert.strictEqual(stored.paymentStatus, 'refunded');
+  assert.strictEqual((await provider.getIntent(order.paymentDetails.intentId)).amountRefunded, 12);
+  assert.strictEqual(wallets.rows[0].balance, 8);
+});
+
+test('a refund made at the provider is only recorded in the ledger', async (t) => {
+  const order = await paidOrder();
+  const orders = useCollection(t, Order, [order]);
+
+  await receivePaymentEvent('mock', refunded(order, 'evt_1', 5));
+  await receivePaymentEvent('mock', refunded(order, 'evt_1', 5));
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(stored.refunds.length, 1);
+  assert.strictEqual(stored.refunds[0].amount, 5);
+  assert.strictEqual(stored.refunds[0].walletAmount, 0);
+  assert.strictEqual(stored.paymentStatus, 'partially-refunded');
+  // Nothing was sent back through the provider or to the wallet
+  assert.strictEqual((await provider.getIntent(order.paymentDetails.intentId)).amountRefunded, 0);
+  assert.strictEqual(wallets.rows.length, 0);
+
+  // Without an amount, only what was paid by card can have been refunded there
+  await receivePaymentEvent('mock', refunded(order, 'evt_2'));
+  const after = orders.find({ _id: order._id });
+  assert.strictEqual(after.refunds.length, 2);
+  assert.strictEqual(after.refunds[1].amount, 7);
+  assert.strictEqual((await provider.getIntent(order.paymentDetails.intentId)).amountRefunded, 0);
+});
+
+test('an event without an intent id is marked failed and touches no order', async (t) => {
+  const order = await paidOrder();
+  // An order that never had an intent, as a cash order would
+  const cashOrder = { ...(await paidOrder()), _id: objectId(), paymentMethod: 'cash', paymentDetails: {} };
+  const orders = useCollection(t, Order, [order, cashOrder]);
+
+  const { paymentEvent } = await receivePaymentEvent('mock', { ...refunded(order, 'evt_1', 5), intentId: undefined });
+
+  assert.strictEqual(paymentEvent.status, 'failed');
+  assert.match(paymentEvent.lastError, /no intent id/);
+  assert.strictEqual(orders.rows.every(row => row.refunds.length === 0), true);
+  assert.strictEqual(events.rows.length, 1);
+});
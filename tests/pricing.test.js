@@ -0,0 +1,191 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId } = require('./helpers');
+const { FoodItem } = require('../models/Category');
+const Setting = require('../models/Setting');
+const Offer = require('../models/offer');
+const { PricingError, priceCart, diffClientTotals, buildReorderCart } = require('../utils/pricingService');
+
+const makeFoodItem = (fields = {}) => new FoodItem({
+  name: { en: 'Burger', es: 'Hamburguesa' },
+  description: { en: 'Beef burger' },
+  price: 10,
+  imageUrl: 'burger.jpg',
+  category: objectId(),
+  mealSizes: [{ name: { en: 'Large', es: 'Grande' }, additionalPrice: 2.5 }],
+  extras: [{ name: { en: 'Cheese' }, price: 1 }],
+  addons: [],
+  isActive: true,
+  isAvailable: true,
+  trackStock: false,
+  ...fields
+});
+
+const settings = {
+  currency: 'EUR',
+  deliverySettings: { defaultDeliveryFee: 3, freeDeliveryThreshold: 50 },
+  deliveryZones: [],
+  taxSettings: [{ isActive: true, isInclusive: false, taxType: 'percentage', taxRate: 10 }]
+};
+
+const makeOffer = (fields = {}) => new Offer({
+  title: 'Spring',
+  description: 'Spring offer',
+  imageUrl: 'offer.jpg',
+  type: 'percentage',
+  value: 20,
+  couponCode: 'SPRING20',
+  isActive: true,
+  startDate: new Date(Date.now() - 60 * 60 * 1000),
+  endDate: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+const stubMenu = (t, foodItems) => {
+  t.mock.method(FoodItem, 'find', () => fakeQuery(foodItems));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(settings));
+};
+
+test('prices lines from the menu, with options, delivery fee and tax', async (t) => {
+  const burger = makeFoodItem();
+  stubMenu(t, [burger]);
+
+  const pricing = await priceCart({
+    items: [{
+      foodItem: { id: burger._id.toString() },
+      quantity: 2,
+      selectedMealSize: { name: 'Grande' },
+      selectedExtras: [{ name: 'Cheese' }],
+      // Whatever the client says the line costs is ignored
+      unitPrice: 1
+    }],
+    deliveryType: 'delivery'
+  });
+
+  assert.strictEqual(pricing.items[0].unitPrice, 13.5);
+  assert.strictEqual(pricing.subtotal, 27);
+  assert.strictEqual(pricing.deliveryFee, 3);
+  assert.strictEqual(pricing.tax, 2.7);
+  assert.strictEqual(pricing.total, 32.7);
+});
+
+test('delivery is free above the threshold and pickup never pays it', async (t) => {
+  const burger = makeFoodItem({ price: 25 });
+  stubMenu(t, [burger]);
+  const items = [{ foodItem: { id: burger._id.toString() }, quantity: 2 }];
+
+  assert.strictEqual((await priceCart({ items, deliveryType: 'delivery' })).deliveryFee, 0);
+  assert.strictEqual((await priceCart({ items: [{ ...items[0], quantity: 1 }], deliveryType: 'pickup' })).deliveryFee, 0);
+});
+
+test('rejects unavailable items and unknown options', async (t) => {
+  const burger = makeFoodItem();
+  const soldOut = makeFoodItem({ isAvailable: false });
+  stubMenu(t, [burger, soldOut]);
+
+  await assert.rejects(
+    priceCart({ items: [{ foodItem: { id: soldOut._id.toString() }, quantity: 1 }], deliveryType: 'pickup' }),
+    PricingError
+  );
+  await assert.rejects(
+    priceCart({
+      items: [{ foodItem: { id: burger._id.toString() }, quantity: 1, selectedExtras: [{ name: 'Bacon' }] }],
+      deliveryType: 'pickup'
+    }),
+    (error) => error instanceof PricingError && error.details[0].field === 'selectedExtras'
+  );
+});
+
+test('applies a percentage coupon before tax', async (t) => {
+  const burger = makeFoodItem();
+  stubMenu(t, [burger]);
+  const offer = makeOffer();
+  t.mock.method(Offer, 'findByCouponCode', () => fakeQuery(offer));
+
+  const pricing = await priceCart({
+    items: [{ foodItem: { id: burger._id.toString() }, quantity: 2 }],
+    deliveryType: 'pickup',
+    couponCode: 'spring20'
+  }, { userId: objectId() });
+
+  assert.strictEqual(pricing.subtotal, 20);
+  assert.strictEqual(pricing.discount, 4);
+  assert.strictEqual(pricing.tax, 1.6);
+  assert.strictEqual(pricing.total, 17.6);
+  assert.strictEqual(pricing.couponCode, 'SPRING20');
+  assert.strictEqual(String(pricing.offerId), String(offer._id));
+});
+
+test('a free-delivery coupon takes off exactly the delivery fee', async (t) => {
+  const burger = makeFoodItem();
+  stubMenu(t, [burger]);
+  t.mock.method(Offer, 'findByCouponCode', () => fakeQuery(makeOffer({ type: 'free-delivery', value: undefined })));
+
+  const pricing = await priceCart({
+    items: [{ foodItem: { id: burger._id.toString() }, quantity: 1 }],
+    deliveryType: 'delivery',
+    couponCode: 'SPRING20'
+  });
+
+  assert.strictEqual(pricing.discount, 3);
+  assert.strictEqual(pricing.tax, 1);
+  assert.strictEqual(pricing.total, 11);
+});
+
+test('rejects expired, exhausted and below-minimum coupons', async (t) => {
+  const burger = makeFoodItem();
+  stubMenu(t, [burger]);
+  const userId = objectId();
+  const cart = { items: [{ foodItem: { id: burger._id.toString() }, quantity: 1 }], deliveryType: 'pickup', couponCode: 'SPRING20' };
+
+  const offers = [
+    makeOffer({ endDate: new Date(Date.now() - 1000) }),
+    makeOffer({ userUsageLimit: 1, usageHistory: [{ user: userId, order: objectId(), discountAmount: 1 }] }),
+    makeOffer({ minOrderAmount: 100 })
+  ];
+  for (const offer of offers) {
+    t.mock.method(Offer, 'findByCouponCode', () => fakeQuery(offer));
+    await assert.rejects(priceCart(cart, { userId }), PricingError);
+  }
+});
+
+test('rejects a coupon code that is not text instead of failing', async (t) => {
+  const burger = makeFoodItem();
+  stubMenu(t, [burger]);
+  const items = [{ foodItem: { id: burger._id.toString() }, quantity: 1 }];
+
+  for (const couponCode of [42, { $gt: '' }, ['SPRING20']]) {
+    await assert.rejects(
+      priceCart({ items, deliveryType: 'pickup', couponCode }),
+      (error) => error instanceof PricingError && error.details[0].field === 'couponCode'
+    );
+  }
+});
+
+test('reports client totals that do not match', () => {
+  const pricing = { items: [{ foodItem: 'x', unitPrice: 10, totalPrice: 20 }], subtotal: 20, deliveryFee: 0, tax: 2, discount: 0, total: 22 };
+
+  assert.deepStrictEqual(diffClientTotals(pricing, { items: [{ unitPrice: 10, totalPrice: 20 }], total: 22.005 }), []);
+  assert.deepStrictEqual(
+    diffClientTotals(pricing, { total: 21 }).map(difference => difference.field),
+    ['total']
+  );
+});
+
+test('a reorder line whose option was removed is not also reported as repriced', async (t) => {
+  const burger = makeFoodItem({ extras: [] });
+  const fries = makeFoodItem({ name: { en: 'Fries' }, price: 4 });
+  stubMenu(t, [burger, fries]);
+
+  const { cart, changes } = await buildReorderCart({
+    items: [
+      { foodItem: burger._id, quantity: 1, unitPrice: 11, selectedExtras: [{ name: 'Cheese', price: 1 }] },
+      { foodItem: fries._id, quantity: 1, unitPrice: 3.5 }
+    ],
+    deliveryType: 'pickup'
+  });
+
+  assert.deepStrictEqual(changes.map(change => change.type), ['option-removed', 'price-changed']);
+  assert.strictEqual(changes[1].name, 'Fries');
+  assert.strictEqual(cart.items[0].unitPrice, 10);
+});
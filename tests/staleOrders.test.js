@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId, useCollection } = require('./helpers');
+const firebase = require('../config/firebase');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const OrderEvent = require('../models/OrderEvent');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const GiftCard = require('../models/GiftCard');
+const { FoodItem } = require('../models/Category');
+const { getPaymentProvider } = require('../utils/paymentService');
+const { cancelStaleOrders } = require('../jobs/staleOrders');
+const { releaseCancelledOrder } = require('../utils/orderCancellationService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const provider = getPaymentProvider({ provider: 'mock' });
+
+let wallets;
+let cards;
+let alerts;
+
+beforeEach((t) => {
+  t.mock.method(Setting, 'findOne', () => fakeQuery({
+    currency: 'EUR',
+    orderSettings: { orderTimeout: 30 },
+    paymentGateways: [{ provider: 'mock' }]
+  }));
+  t.mock.method(Counter, 'next', async () => 1);
+  t.mock.method(OrderEvent, 'create', async (doc) => doc);
+  t.mock.method(Invoice, 'findOne', () => fakeQuery(null));
+  t.mock.method(FoodItem, 'bulkWrite', async () => ({}));
+  t.mock.method(User, 'findById', () => fakeQuery(null));
+  t.mock.method(User, 'find', () => fakeQuery([{ fcmToken: 'admin-device' }]));
+
+  alerts = [];
+  t.mock.method(firebase, 'messaging', () => ({
+    sendEachForMulticast: async (message) => {
+      alerts.push(message.data.type);
+      return { successCount: message.tokens.length, failureCount: 0, responses: [] };
+    }
+  }));
+
+  wallets = useCollection(t, Wallet);
+  useCollection(t, WalletTransaction, [], { unique: ['idempotencyKey'] });
+  cards = useCollection(t, GiftCard, [{ codeHash: 'hash', last4: '1234', initialBalance: 20, balance: 11, currency: 'EUR', status: 'active' }]);
+});
+
+// A pending order nobody confirmed, placed an hour before `now`
+const staleOrder = (fields = {}) => ({
+  _id: objectId(),
+  orderNumber: 'BCN1-261019-001',
+  userId: objectId(),
+  branchId: objectId(),
+  items: [{ foodItem: objectId(), quantity: 2, unitPrice: 10, totalPrice: 20 }],
+  subtotal: 20,
+  total: 20,
+  deliveryType: 'pickup',
+  status: 'pending',
+  createdAt: new Date(now.getTime() - 60 * 60 * 1000),
+  stockReservation: { status: 'reserved' },
+  ...fields
+});
+
+// An order paid 12 by card, 5 from the wallet and 3 from a gift card
+const paidOrder = async () => {
+  const order = staleOrder({
+    paymentMethod: 'card',
+    paymentStatus: 'paid',
+    walletAmount: 5,
+    giftCardId: cards.rows[0]._id,
+    giftCardAmount: 3
+  });
+  const intent = await provider.createIntent({ amount: 12, currency: 'EUR', reference: order._id, idempotencyKey: `${order._id}:payment` });
+  await provider.confirmIntent(intent.id);
+  order.paymentDetails = { intentId: intent.id, intentStatus: 'succeeded', paymentGateway: 'mock' };
+  return order;
+};
+
+test('a paid order that times out is refunded the way it was paid, once', async (t) => {
+  const order = await paidOrder();
+  const orders = useCollection(t, Order, [order]);
+
+  // Two instances run the job at the same moment
+  const counts = await Promise.all([cancelStaleOrders(now), cancelStaleOrders(now)]);
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(counts[0] + counts[1], 1);
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.paymentStatus, 'refunded');
+  assert.strictEqual(stored.cancellation.refundProcessed, true);
+  assert.strictEqual(stored.stockReservation.status, 'released');
+  assert.strictEqual(stored.refunds.length, 1);
+  assert.strictEqual(stored.refunds[0].reasonCode, 'order-cancelled');
+
+  // The card gets its 12 back; wallet and gift card money comes back as wallet credit
+  assert.strictEqual((await provider.getIntent(order.paymentDetails.intentId)).amountRefunded, 12);
+  assert.strictEqual(wallets.rows[0].balance, 8);
+  assert.strictEqual(cards.rows[0].balance, 11);
+});
+
+test('an unpaid order that times out gives its wallet and gift card money back', async (t) => {
+  const order = staleOrder({
+    paymentMethod: 'cash',
+    paymentStatus: 'pending',
+    total: 20,
+    walletAmount: 4,
+    giftCardId: cards.rows[0]._id,
+    giftCardAmount: 6
+  });
+  const orders = useCollection(t, Order, [order]);
+
+  assert.strictEqual(await cancelStaleOrders(now), 1);
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.paymentStatus, 'pending');
+  assert.strictEqual(wallets.rows[0].balance, 4);
+  assert.strictEqual(cards.rows[0].balance, 17);
+
+  // Releasing again, e.g. from a retry, gives nothing back twice
+  await releaseCancelledOrder(Order.hydrate(stored), { role: 'system' });
+  assert.strictEqual(wallets.rows[0].balance, 4);
+  assert.strictEqual(cards.rows[0].balance, 17);
+  assert.strictEqual(await cancelStaleOrders(now), 0);
+});
+
+test('a refund the provider refuses leaves the order flagged for staff', async (t) => {
+  const order = await paidOrder();
+  order.paymentDetails.intentId = 'mock_pi_unknown';
+  const orders = useCollection(t, Order, [order]);
+
+  assert.strictEqual(await cancelStaleOrders(now), 1);
+
+  const stored = orders.find({ _id: order._id });
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.paymentStatus, 'paid');
+  assert.strictEqual(stored.cancellation.refundProcessed, false);
+  assert.strictEqual(wallets.rows.length, 0);
+  assert.ok(alerts.includes('refund_needed'));
+});
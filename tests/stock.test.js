@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId, matchesFilter } = require('./helpers');
+const { FoodItem } = require('../models/Category');
+const Order = require('../models/Order');
+const { StockError, reserveStock, releaseStock, changeStockLevel, releaseOrderStock } = require('../utils/stockService');
+
+// Food items as MongoDB would hold them, updated one conditional write at a time
+const useShelf = (t, items) => {
+  const shelf = new Map(items.map(item => [String(item._id), { ...item }]));
+
+  const updateOne = async (filter, update) => {
+    const doc = shelf.get(String(filter._id));
+    if (!doc || !matchesFilter(doc, filter)) return { modifiedCount: 0 };
+    Object.entries(update.$inc).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+    return { modifiedCount: 1 };
+  };
+
+  t.mock.method(FoodItem, 'updateOne', updateOne);
+  t.mock.method(FoodItem, 'bulkWrite', async (operations) => {
+    for (const { updateOne: operation } of operations) await updateOne(operation.filter, operation.update);
+  });
+  t.mock.method(FoodItem, 'findById', (id) => fakeQuery(shelf.get(String(id)) || null));
+  return shelf;
+};
+
+test('reserves every line or none, reporting each short item', async (t) => {
+  const burger = { _id: objectId(), name: 'Burger', trackStock: true, stockQuantity: 5, totalSold: 0 };
+  const fries = { _id: objectId(), name: 'Fries', trackStock: true, stockQuantity: 1, totalSold: 0 };
+  const shelf = useShelf(t, [burger, fries]);
+
+  await assert.rejects(
+    reserveStock([{ foodItem: burger._id, quantity: 2 }, { foodItem: fries._id, quantity: 2 }]),
+    (error) => error instanceof StockError &&
+      error.details.length === 1 &&
+      error.details[0].name === 'Fries' &&
+      error.details[0].available === 1
+  );
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 5);
+  assert.strictEqual(shelf.get(String(burger._id)).totalSold, 0);
+
+  await reserveStock([{ foodItem: burger._id, quantity: 2 }, { foodItem: burger._id, quantity: 1 }]);
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 2);
+  assert.strictEqual(shelf.get(String(burger._id)).totalSold, 3);
+});
+
+test('items without stock tracking are never blocked', async (t) => {
+  const legacy = { _id: objectId(), stockQuantity: 0, totalSold: 0 };
+  const madeToOrder = { _id: objectId(), trackStock: false, stockQuantity: 0, totalSold: 0 };
+  const shelf = useShelf(t, [legacy, madeToOrder]);
+
+  await reserveStock([{ foodItem: legacy._id, quantity: 3 }, { foodItem: madeToOrder._id, quantity: 2 }]);
+  assert.strictEqual(shelf.get(String(legacy._id)).stockQuantity, 0);
+  assert.strictEqual(shelf.get(String(legacy._id)).totalSold, 3);
+
+  await releaseStock([{ foodItem: legacy._id, quantity: 3 }]);
+  assert.strictEqual(shelf.get(String(legacy._id)).stockQuantity, 0);
+  assert.strictEqual(shelf.get(String(legacy._id)).totalSold, 0);
+});
+
+test('a new food item is untracked unless tracking is switched on', () => {
+  const item = new FoodItem({ name: { en: 'Soup' }, stockQuantity: 0 });
+  assert.strictEqual(item.trackStock, false);
+  assert.strictEqual(item.availabilityStatus, 'available');
+});
+
+test('concurrent checkouts never take stock below zero', async (t) => {
+  const burger = { _id: objectId(), trackStock: true, stockQuantity: 3, totalSold: 0 };
+  const shelf = useShelf(t, [burger]);
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 5 }, () => reserveStock([{ foodItem: burger._id, quantity: 1 }]))
+  );
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 3);
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 0);
+});
+
+test('an order gives its stock back once, however often it is released', async (t) => {
+  const burger = { _id: objectId(), trackStock: true, stockQuantity: 0, totalSold: 2 };
+  const shelf = useShelf(t, [burger]);
+  const order = new Order({ items: [{ foodItem: burger._id, quantity: 2, unitPrice: 10, totalPrice: 20 }] });
+  order.stockReservation = { status: 'reserved' };
+
+  let stored = 'reserved';
+  t.mock.method(Order, 'updateOne', async (filter) => {
+    if (stored !== 'reserved') return { modifiedCount: 0 };
+    stored = 'released';
+    return { modifiedCount: 1 };
+  });
+
+  const released = await Promise.all([releaseOrderStock(order), releaseOrderStock(order)]);
+
+  assert.deepStrictEqual(released.sort(), [false, true]);
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 2);
+  assert.strictEqual(order.stockReservation.status, 'released');
+});
+
+test('a manual stock change keeps what checkouts reserved meanwhile', async (t) => {
+  const burger = { _id: objectId(), name: 'Burger', trackStock: true, stockQuantity: 5, totalSold: 0 };
+  const shelf = useShelf(t, [burger]);
+
+  // A delivery of 10 lands while a checkout takes 3
+  const [stockQuantity] = await Promise.all([
+    changeStockLevel(burger._id, 10),
+    reserveStock([{ foodItem: burger._id, quantity: 3 }])
+  ]);
+
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 12);
+  assert.ok([12, 15].includes(stockQuantity));
+
+  // Taking away more than is there is refused instead of clamped to zero
+  await assert.rejects(changeStockLevel(burger._id, -20), (error) => error instanceof StockError &&
+    error.details[0].available === 12);
+  assert.strictEqual(shelf.get(String(burger._id)).stockQuantity, 12);
+  assert.strictEqual(await changeStockLevel(objectId(), 1), null);
+});
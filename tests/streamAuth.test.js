@@ -0,0 +1,36 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { fakeQuery, objectId } = require('./helpers');
+const User = require('../models/User');
+const { auth, streamAuth, issueStreamToken } = require('../middleware/auth');
+
+const user = { _id: objectId(), isActive: true };
+
+beforeEach((t) => {
+  t.mock.method(User, 'findById', () => fakeQuery(user));
+});
+
+// Run a middleware and report whether it let the request through
+const run = async (middleware, req) => {
+  let status = null;
+  let passed = false;
+  const res = { status: (code) => { status = code; return res; }, json: () => res };
+  await middleware({ headers: {}, query: {}, ...req }, res, () => { passed = true; });
+  return { passed, status };
+};
+
+test('a session token in the stream URL is refused', async () => {
+  const session = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+  assert.deepStrictEqual(await run(streamAuth, { query: { token: session } }), { passed: false, status: 401 });
+  assert.strictEqual((await run(streamAuth, { headers: { authorization: `Bearer ${session}` } })).passed, true);
+});
+
+test('a stream token opens streams and nothing else', async () => {
+  const { token, expiresIn } = issueStreamToken(user);
+
+  assert.strictEqual(expiresIn, 300);
+  assert.strictEqual((await run(streamAuth, { query: { token } })).passed, true);
+  assert.deepStrictEqual(await run(auth, { headers: { authorization: `Bearer ${token}` } }), { passed: false, status: 401 });
+});
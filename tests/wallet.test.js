@@ -0,0 +1,87 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeQuery, objectId, useCollection } = require('./helpers');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { FoodItem } = require('../models/Category');
+const { WalletError, creditWallet, debitWallet, releaseOrderWalletAmount } = require('../utils/walletService');
+const { OrderModificationError, modifyOrder } = require('../utils/orderModificationService');
+
+const userId = objectId();
+
+let wallets;
+let transactions;
+
+beforeEach((t) => {
+  wallets = useCollection(t, Wallet, [{ userId, balance: 10 }]);
+  transactions = useCollection(t, WalletTransaction, [], { unique: ['idempotencyKey'] });
+});
+
+test('concurrent debits never take the wallet below zero', async () => {
+  const results = await Promise.allSettled([1, 2, 3].map(n =>
+    debitWallet(userId, 4, { orderId: objectId(), idempotencyKey: `order:${n}:wallet` })));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  assert.strictEqual(results.length - failed.length, 2);
+  assert.ok(failed[0].reason instanceof WalletError);
+  assert.strictEqual(wallets.rows[0].balance, 2);
+  assert.strictEqual(transactions.rows.length, 2);
+});
+
+test('the same debit sent twice at once is taken once', async () => {
+  const orderId = objectId();
+  const [first, second] = await Promise.all([
+    debitWallet(userId, 4, { orderId, idempotencyKey: `order:${orderId}:wallet` }),
+    debitWallet(userId, 4, { orderId, idempotencyKey: `order:${orderId}:wallet` })
+  ]);
+
+  assert.strictEqual(String(first._id), String(second._id));
+  assert.strictEqual(wallets.rows[0].balance, 6);
+  assert.strictEqual(transactions.rows.length, 1);
+});
+
+test('a staff adjustment submitted twice at once credits once', async () => {
+  const details = { type: 'adjustment', note: 'Goodwill', idempotencyKey: `adjustment:${objectId()}:key-1` };
+
+  const [first, second] = await Promise.all([creditWallet(userId, 5, details), creditWallet(userId, 5, details)]);
+
+  assert.strictEqual(String(first._id), String(second._id));
+  assert.strictEqual(wallets.rows[0].balance, 15);
+  assert.strictEqual(transactions.rows.length, 1);
+});
+
+test('releasing the wallet amount of a cancelled order twice at once credits it once', async () => {
+  const order = { _id: objectId(), orderNumber: 'BCN1-261019-001', userId, walletAmount: 4, paymentStatus: 'pending' };
+
+  await Promise.all([releaseOrderWalletAmount(order), releaseOrderWalletAmount(order)]);
+
+  assert.strictEqual(wallets.rows[0].balance, 14);
+  assert.strictEqual(transactions.rows.length, 1);
+});
+
+test('an order partly paid from the wallet keeps its total when edited', async (t) => {
+  const burger = new FoodItem({ name: { en: 'Burger' }, price: 10, imageUrl: 'burger.jpg', category: objectId(), isActive: true, isAvailable: true });
+  t.mock.method(FoodItem, 'find', () => fakeQuery([burger]));
+  t.mock.method(Setting, 'findOne', () => fakeQuery({ currency: 'EUR', deliverySettings: {}, deliveryZones: [], taxSettings: [] }));
+
+  const order = Order.hydrate({
+    _id: objectId(),
+    userId,
+    items: [{ _id: objectId(), foodItem: burger._id, quantity: 2, unitPrice: 10, totalPrice: 20 }],
+    subtotal: 20,
+    total: 20,
+    walletAmount: 15,
+    deliveryType: 'pickup',
+    paymentMethod: 'cash',
+    paymentStatus: 'pending',
+    status: 'pending'
+  });
+
+  await assert.rejects(
+    modifyOrder(order, { items: [{ foodItem: { id: burger._id.toString() }, quantity: 1 }] }, { userId, role: 'customer' }),
+    OrderModificationError
+  );
+  assert.strictEqual(order.total, 20);
+});
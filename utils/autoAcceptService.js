@@ -0,0 +1,51 @@
+const Setting = require('../models/Setting');
+const {
+  getAdminTokens,
+  sendOrderStatusNotification,
+  sendOrderHeldNotification
+} = require('./notificationService');
+
+/**
+ * Confirm a pending order straight away when auto-accept mode is on
+ * Orders that break an auto-accept rule stay pending and are flagged for
+ * manual review; the decision and its reasons are kept on the order.
+ * @param {Object} order - Pending order document
+ * @returns {Promise<Object|null>} { decision, reasons }, or null when the mode is off
+ */
+const autoAcceptOrder = async (order) => {
+  if (order.status !== 'pending') return null;
+
+  const settings = await Setting.findOne();
+  if (!settings?.orderSettings?.autoAcceptOrders) return null;
+
+  const reasons = settings.getAutoAcceptHoldReasons(order);
+  const decision = reasons.length === 0 ? 'accepted' : 'held';
+
+  order.autoAcceptance = { decision, reasons, decidedAt: new Date() };
+
+  const userId = (order.userId._id || order.userId).toString();
+
+  if (decision === 'accepted') {
+    await order.addTrackingUpdate('confirmed', 'Order accepted automatically', undefined, { role: 'system' });
+
+    try {
+      await sendOrderStatusNotification(userId, order, 'confirmed');
+    } catch (error) {
+      console.error('❌ Error sending auto-accept notification:', error);
+    }
+  } else {
+    await order.save();
+
+    try {
+      await sendOrderHeldNotification(await getAdminTokens(), order, reasons);
+    } catch (error) {
+      console.error('❌ Error sending order held notification:', error);
+    }
+  }
+
+  return order.autoAcceptance;
+};
+
+module.exports = {
+  autoAcceptOrder
+};
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const CashSettlement = require('../models/CashSettlement');
+const { roundCurrency } = require('./pricingService');
+const { startOfLocalDay, parseLocalDate } = require('./timeUtils');
+
+const CASH_ON_DELIVERY_METHODS = ['cash-on-delivery', 'cashOnDelivery'];
+
+// Cash the driver still holds: collected in cash and not handed in yet
+const UNSETTLED_CASH = { 'codCollection.status': 'collected', 'codCollection.method': 'cash' };
+
+class CashCollectionError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CashCollectionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const isCashOnDelivery = (order) => CASH_ON_DELIVERY_METHODS.includes(order.paymentMethod);
+
+// Due at the door: whatever the wallet and gift card did not cover
+const getCodDueAmount = (order) =>
+  roundCurrency(order.total - (order.walletAmount || 0) - (order.giftCardAmount || 0));
+
+/**
+ * Record what was collected for a cash-on-delivery order; the caller saves it
+ * A collection can be corrected until its cash has been settled.
+ * @param {Object} order - Order document
+ * @param {Object} collection - { amount, note }
+ * @param {Object} actor - { userId } of the driver or staff member
+ * @returns {Object} The order's codCollection
+ */
+const recordCollection = (order, { amount, note }, actor = {}) => {
+  if (!isCashOnDelivery(order)) {
+    throw new CashCollectionError('This order is not paid on delivery', 409, { paymentMethod: order.paymentMethod });
+  }
+  if (order.codCollection?.status === 'settled') {
+    throw new CashCollectionError('The cash for this order has already been settled', 409, {
+      settlementId: order.codCollection.settlementId
+    });
+  }
+
+  const collectedAmount = roundCurrency(amount);
+  order.codCollection = {
+    status: collectedAmount > 0 ? 'collected' : 'not-collected',
+    method: order.codPaymentType,
+    expectedAmount: getCodDueAmount(order),
+    collectedAmount,
+    collectedBy: actor.userId,
+    collectedAt: new Date(),
+    note
+  };
+
+  // Money taken at the door pays for the order; refunds can then be made against it
+  const noRefunds = !(order.refunds?.length > 0);
+  if (collectedAmount > 0 && order.paymentStatus === 'pending') {
+    order.paymentStatus = 'paid';
+    order.paymentDetails.paymentGateway = order.paymentMethod;
+    order.paymentDetails.paidAt = order.codCollection.collectedAt;
+  } else if (collectedAmount === 0 && order.paymentStatus === 'paid' && noRefunds) {
+    order.paymentStatus = 'pending';
+    order.paymentDetails.paidAt = undefined;
+  }
+
+  return order.codCollection;
+};
+
+/**
+ * Cash a driver is carrying, with the orders it came from
+ * @param {string} driverId - Driver
+ * @returns {Promise<Object>} { balance, orders }
+ */
+const getDriverCashBalance = async (driverId) => {
+  const orders = await Order.find({ deliveryAgent: driverId, ...UNSETTLED_CASH })
+    .select('orderNumber branchId total codCollection actualDeliveryTime')
+    .sort({ 'codCollection.collectedAt': 1 });
+
+  return {
+    balance: roundCurrency(orders.reduce((sum, order) => sum + order.codCollection.collectedAmount, 0)),
+    orders
+  };
+};
+
+// Every driver carrying cash, most first
+const getDriverCashBalances = async () => {
+  const balances = await Order.aggregate([
+    { $match: { deliveryAgent: { $ne: null }, ...UNSETTLED_CASH } },
+    {
+      $group: {
+        _id: '$deliveryAgent',
+        balance: { $sum: '$codCollection.collectedAmount' },
+        orders: { $sum: 1 },
+        oldestCollectionAt: { $min: '$codCollection.collectedAt' }
+      }
+    },
+    { $sort: { balance: -1 } }
+  ]);
+
+  const drivers = await User.find({ _id: { $in: balances.map(entry => entry._id) } }).select('firstName lastName phone');
+  const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+
+  return balances.map(entry => ({
+    driver: driversById.get(entry._id.toString()) || { _id: entry._id },
+    balance: roundCurrency(entry.balance),
+    orders: entry.orders,
+    oldestCollectionAt: entry.oldestCollectionAt
+  }));
+};
+
+/**
+ * Close a driver's shift: settle all cash they hold against what a manager counted
+ * The orders are claimed for the settlement in one update, so cash collected
+ * while the count is being recorded goes into the next settlement instead.
+ * @param {string} driverId - Driver handing in the cash
+ * @param {Object} count - { countedAmount, note } note is required when the count is off
+ * @param {Object} actor - { userId } of the manager
+ * @returns {Promise<Object>} The settlement
+ */
+const settleDriverCash = async (driverId, { countedAmount, note }, actor = {}) => {
+  const settlementId = new mongoose.Types.ObjectId();
+  const claimed = await Order.updateMany(
+    { deliveryAgent: driverId, ...UNSETTLED_CASH },
+    { $set: { 'codCollection.status': 'settled', 'codCollection.settlementId': settlementId } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    throw new CashCollectionError('This driver has no cash to settle', 409);
+  }
+
+  const release = () => Order.updateMany(
+    { 'codCollection.settlementId': settlementId },
+    { $set: { 'codCollection.status': 'collected' }, $unset: { 'codCollection.settlementId': '' } }
+  );
+
+  try {
+    const orders = await Order.find({ 'codCollection.settlementId': settlementId }).select('codCollection');
+    const expectedAmount = roundCurrency(orders.reduce((sum, order) => sum + order.codCollection.collectedAmount, 0));
+    const counted = roundCurrency(countedAmount);
+    const discrepancy = roundCurrency(counted - expectedAmount);
+
+    if (discrepancy !== 0 && !note) {
+      throw new CashCollectionError('The count does not match; explain the discrepancy in a note', 400, {
+        expectedAmount,
+        countedAmount: counted,
+        discrepancy
+      });
+    }
+
+    return await CashSettlement.create({
+      _id: settlementId,
+      driverId,
+      orders: orders.map(order => order._id),
+      expectedAmount,
+      countedAmount: counted,
+      discrepancy,
+      note,
+      periodStart: orders.reduce((first, order) =>
+        (!first || order.codCollection.collectedAt < first ? order.codCollection.collectedAt : first), null),
+      settledBy: actor.userId
+    });
+  } catch (error) {
+    // Nothing was settled; the driver still holds the cash
+    await release();
+    throw error;
+  }
+};
+
+/**
+ * Cash-on-delivery takings per branch for one day in the restaurant timezone
+ * Orders count towards the day they were delivered on.
+ * @param {string} day - Calendar day, YYYY-MM-DD
+ * @param {Object} options - { timezone, branchId }
+ * @returns {Promise<Object>} Totals, per-branch rows and the day's settlements
+ */
+const getDailyCodReport = async (day, { timezone = 'UTC', branchId } = {}) => {
+  const startDate = startOfLocalDay(day, timezone);
+  const endDate = parseLocalDate(day, timezone, { endOfDay: true });
+
+  const match = {
+    paymentMethod: { $in: CASH_ON_DELIVERY_METHODS },
+    status: 'delivered',
+    actualDeliveryTime: { $gte: startDate, $lte: endDate }
+  };
+  if (branchId) match.branchId = new mongoose.Types.ObjectId(branchId);
+
+  const due = {
+    $ifNull: [
+      '$codCollection.expectedAmount',
+      { $subtract: ['$total', { $add: [{ $ifNull: ['$walletAmount', 0] }, { $ifNull: ['$giftCardAmount', 0] }] }] }
+    ]
+  };
+  const collected = { $ifNull: ['$codCollection.collectedAmount', 0] };
+  const sumWhen = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+  const isCash = { $eq: ['$codCollection.method', 'cash'] };
+
+  const [rows, settlements] = await Promise.all([
+    Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$branchId',
+          orders: { $sum: 1 },
+          expected: { $sum: due },
+          collected: { $sum: collected },
+          collectedInCash: sumWhen(isCash, collected),
+          collectedByCard: sumWhen({ $eq: ['$codCollection.method', 'card'] }, collected),
+          settled: sumWhen({ $eq: ['$codCollection.status', 'settled'] }, collected),
+          withDrivers: sumWhen({ $and: [isCash, { $eq: ['$codCollection.status', 'collected'] }] }, collected),
+          notCollectedOrders: sumWhen({ $eq: ['$codCollection.status', 'not-collected'] }, 1),
+          unrecordedOrders: sumWhen({ $eq: [{ $ifNull: ['$codCollection.status', null] }, null] }, 1)
+        }
+      }
+    ]),
+    // Drivers settle across branches, so settlements are reported for the whole day
+    CashSettlement.aggregate([
+      { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+      {
+        $group: {
+          _id: null,
+          settlements: { $sum: 1 },
+          expected: { $sum: '$expectedAmount' },
+          counted: { $sum: '$countedAmount' },
+          discrepancy: { $sum: '$discrepancy' },
+          withDiscrepancy: { $sum: { $cond: [{ $ne: ['$discrepancy', 0] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const branches = await Branch.find({ _id: { $in: rows.map(row => row._id) } }).select('name');
+  const branchNames = new Map(branches.map(branch => [branch._id.toString(), branch.name]));
+
+  const toFigures = (row) => ({
+    orders: row.orders,
+    expected: roundCurrency(row.expected),
+    collected: roundCurrency(row.collected),
+    // Negative when less came in than was due
+    difference: roundCurrency(row.collected - row.expected),
+    collectedInCash: roundCurrency(row.collectedInCash),
+    collectedByCard: roundCurrency(row.collectedByCard),
+    settled: roundCurrency(row.settled),
+    withDrivers: roundCurrency(row.withDrivers),
+    notCollectedOrders: row.notCollectedOrders,
+    unrecordedOrders: row.unrecordedOrders
+  });
+
+  const totals = rows.reduce((sum, row) => {
+    Object.keys(sum).forEach(key => { sum[key] += row[key]; });
+    return sum;
+  }, {
+    orders: 0,
+    expected: 0,
+    collected: 0,
+    collectedInCash: 0,
+    collectedByCard: 0,
+    settled: 0,
+    withDrivers: 0,
+    notCollectedOrders: 0,
+    unrecordedOrders: 0
+  });
+
+  const daySettlements = settlements[0] || { settlements: 0, expected: 0, counted: 0, discrepancy: 0, withDiscrepancy: 0 };
+
+  return {
+    day,
+    from: startDate,
+    to: endDate,
+    totals: toFigures(totals),
+    byBranch: rows
+      .map(row => ({
+        branchId: row._id,
+        branchName: branchNames.get(String(row._id)) || null,
+        ...toFigures(row)
+      }))
+      .sort((a, b) => (a.branchName || '').localeCompare(b.branchName || '')),
+    settlements: {
+      count: daySettlements.settlements,
+      expected: roundCurrency(daySettlements.expected),
+      counted: roundCurrency(daySettlements.counted),
+      discrepancy: roundCurrency(daySettlements.discrepancy),
+      withDiscrepancy: daySettlements.withDiscrepancy
+    }
+  };
+};
+
+module.exports = {
+  CashCollectionError,
+  isCashOnDelivery,
+  getCodDueAmount,
+  recordCollection,
+  getDriverCashBalance,
+  getDriverCashBalances,
+  settleDriverCash,
+  getDailyCodReport
+};
@@ -0,0 +1,34 @@
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (row) => cell }]
+const csvHeader = (columns) => columns.map(column => escapeCsvValue(column.header)).join(',');
+
+const csvRow = (columns, row) => columns.map(column => escapeCsvValue(column.value(row))).join(',');
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ header, value: (row) => cell }]
+ * @param {Array} rows - Records to export
+ * @returns {string} CSV text with a header line
+ */
+const toCsv = (columns, rows) => [csvHeader(columns), ...rows.map(row => csvRow(columns, row))].join('\r\n');
+
+module.exports = {
+  escapeCsvValue,
+  csvHeader,
+  csvRow,
+  toCsv
+};
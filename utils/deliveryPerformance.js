@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Branch = require('../models/Branch');
+const { getZonedParts } = require('./timeUtils');
+const { isPointInPolygon } = require('./locationUtils');
+
+const MINUTE_MS = 60 * 1000;
+
+// Waiting for a slot or for payment says nothing about how fast we are
+const WAITING_STATUSES = ['awaiting-payment', 'scheduled'];
+
+// Lateness histogram, in minutes past the promise; the first bucket holds on-time and early orders
+const LATENESS_BUCKETS = [
+  { label: 'on time or early', max: 0 },
+  { label: '1-5', max: 5 },
+  { label: '6-10', max: 10 },
+  { label: '11-20', max: 20 },
+  { label: '21-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: 'over 60', max: Infinity }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return round1(sorted[Math.max(0, index)]);
+};
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    averageMinutes: sorted.length ? round1(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+    medianMinutes: percentile(sorted, 0.5),
+    p90Minutes: percentile(sorted, 0.9)
+  };
+};
+
+/**
+ * Minutes the order spent in each status, from its tracking history
+ * Scheduled and paid online orders start counting once released to the kitchen.
+ * @param {Object} order - Lean order with createdAt, scheduledReleaseAt, paymentDetails and trackingUpdates
+ * @returns {Object} { status: minutes }
+ */
+const getStatusDurations = (order) => {
+  const changes = (order.trackingUpdates || [])
+    .filter(update => update.status && update.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const durations = {};
+  const firstStatus = order.paymentDetails?.intentId
+    ? 'awaiting-payment'
+    : (order.scheduledReleaseAt ? 'scheduled' : 'pending');
+  let current = { status: firstStatus, since: order.createdAt };
+
+  for (const update of changes) {
+    if (update.status === current.status) continue;
+
+    if (!WAITING_STATUSES.includes(current.status)) {
+      durations[current.status] = (durations[current.status] || 0) + (update.timestamp - current.since) / MINUTE_MS;
+    }
+    current = { status: update.status, since: update.timestamp };
+  }
+
+  return durations;
+};
+
+// Zone the delivery address falls in, by today's zone polygons
+const findZone = (address, zones) => {
+  if (typeof address?.latitude !== 'number' || typeof address?.longitude !== 'number') return null;
+  const zone = zones.find(candidate => isPointInPolygon(address.latitude, address.longitude, candidate.coordinates));
+  return zone ? zone.name : null;
+};
+
+// Running figures for one branch / hour / driver / zone
+const createGroup = () => ({ orders: 0, onTime: 0, lateness: [], deliveryMinutes: [] });
+
+const addToGroup = (groups, key, record) => {
+  if (key === null || key === undefined) return;
+  const group = groups.get(String(key)) || createGroup();
+  group.orders += 1;
+  if (record.onTime) group.onTime += 1;
+  group.lateness.push(record.lateMinutes);
+  group.deliveryMinutes.push(record.totalMinutes);
+  groups.set(String(key), group);
+};
+
+const describeGroups = (groups, keyName, names = new Map()) => [...groups.entries()]
+  .map(([key, group]) => {
+    const lateness = summarize(group.lateness);
+    return {
+      [keyName]: key,
+      ...(names.size > 0 ? { name: names.get(key) || null } : {}),
+      orders: group.orders,
+      onTimeRate: round1((group.onTime / group.orders) * 100),
+      averageLatenessMinutes: lateness.averageMinutes,
+      p90LatenessMinutes: lateness.p90Minutes,
+      averageDeliveryMinutes: summarize(group.deliveryMinutes).averageMinutes
+    };
+  })
+  .sort((a, b) => a.onTimeRate - b.onTimeRate);
+
+/**
+ * Measure delivered orders against the time they were promised
+ * @param {Date} startDate - Orders delivered from
+ * @param {Date} endDate - Orders delivered until
+ * @param {Object} options - { timezone, branchId, deliveryType, graceMinutes, zones, worstLimit }
+ * @returns {Promise<Object>} Summary, status durations, lateness distribution, breakdowns and worst offenders
+ */
+const getDeliveryPerformance = async (startDate, endDate, options = {}) => {
+  const { timezone = 'UTC', branchId, deliveryType, graceMinutes = 5, zones = [], worstLimit = 10 } = options;
+
+  const matchConditions = {
+    status: 'delivered',
+    actualDeliveryTime: { $gte: startDate, $lte: endDate }
+  };
+  if (branchId) matchConditions.branchId = new mongoose.Types.ObjectId(branchId);
+  if (deliveryType) matchConditions.deliveryType = deliveryType;
+
+  const activeZones = zones.filter(zone => zone.isActive !== false);
+  const statusMinutes = {};
+  const lateness = [];
+  const deliveryMinutes = [];
+  const histogram = LATENESS_BUCKETS.map(bucket => ({ label: bucket.label, orders: 0 }));
+  const byBranch = new Map();
+  const byHour = new Map();
+  const byDriver = new Map();
+  const byZone = new Map();
+  let worst = [];
+  let onTime = 0;
+
+  const cursor = Order.find(matchConditions)
+    .select('orderNumber branchId deliveryAgent deliveryType deliveryAddress createdAt scheduledReleaseAt paymentDetails.intentId estimatedDeliveryTime promisedDeliveryTime actualDeliveryTime trackingUpdates')
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    // Orders placed before promises were kept fall back to their last estimate
+    const promisedAt = order.promisedDeliveryTime || order.estimatedDeliveryTime;
+    if (!promisedAt) continue;
+
+    const durations = getStatusDurations(order);
+    Object.entries(durations).forEach(([status, minutes]) => {
+      (statusMinutes[status] = statusMinutes[status] || []).push(minutes);
+    });
+
+    const startedAt = order.scheduledReleaseAt || order.createdAt;
+    const record = {
+      lateMinutes: round1((order.actualDeliveryTime - promisedAt) / MINUTE_MS),
+      totalMinutes: round1((order.actualDeliveryTime - startedAt) / MINUTE_MS)
+    };
+    record.onTime = record.lateMinutes <= graceMinutes;
+
+    lateness.push(record.lateMinutes);
+    deliveryMinutes.push(record.totalMinutes);
+    if (record.onTime) onTime += 1;
+    histogram[LATENESS_BUCKETS.findIndex(bucket => record.lateMinutes <= bucket.max)].orders += 1;
+
+    const zone = order.deliveryType === 'delivery' ? findZone(order.deliveryAddress, activeZones) : null;
+    addToGroup(byBranch, order.branchId, record);
+    addToGroup(byHour, Number(getZonedParts(order.createdAt, timezone).time.slice(0, 2)), record);
+    addToGroup(byDriver, order.deliveryAgent, record);
+    addToGroup(byZone, zone, record);
+
+    if (record.lateMinutes > 0) {
+      const slowest = Object.entries(durations).sort((a, b) => b[1] - a[1])[0];
+      worst.push({
+        id: order._id,
+        orderNumber: order.orderNumber,
+        branchId: order.branchId,
+        driverId: order.deliveryAgent || null,
+        deliveryType: order.deliveryType,
+        zone,
+        promisedAt,
+        deliveredAt: order.actualDeliveryTime,
+        lateMinutes: record.lateMinutes,
+        totalMinutes: record.totalMinutes,
+        slowestStatus: slowest ? { status: slowest[0], minutes: round1(slowest[1]) } : null
+      });
+      // Only the worst few are kept while streaming
+      if (worst.length > worstLimit * 2) {
+        worst = worst.sort((a, b) => b.lateMinutes - a.lateMinutes).slice(0, worstLimit);
+      }
+    }
+  }
+
+  const [branches, drivers] = await Promise.all([
+    Branch.find({ _id: { $in: [...byBranch.keys()] } }).select('name'),
+    User.find({ _id: { $in: [...byDriver.keys()] } }).select('firstName lastName')
+  ]);
+  const branchNames = new Map(branches.map(branch => [branch._id.toString(), branch.name]));
+  const driverNames = new Map(drivers.map(driver => [driver._id.toString(), `${driver.firstName} ${driver.lastName}`]));
+
+  const latenessSummary = summarize(lateness);
+
+  return {
+    graceMinutes,
+    summary: {
+      deliveredOrders: lateness.length,
+      onTimeOrders: onTime,
+      onTimeRate: lateness.length ? round1((onTime / lateness.length) * 100) : null,
+      averageLatenessMinutes: latenessSummary.averageMinutes,
+      medianLatenessMinutes: latenessSummary.medianMinutes,
+      p90LatenessMinutes: latenessSummary.p90Minutes,
+      averageDeliveryMinutes: summarize(deliveryMinutes).averageMinutes
+    },
+    timeInStatus: Object.fromEntries(Object.entries(statusMinutes).map(([status, minutes]) => [status, summarize(minutes)])),
+    latenessDistribution: histogram,
+    byBranch: describeGroups(byBranch, 'branchId', branchNames),
+    byHour: describeGroups(byHour, 'hour')
+      .map(entry => ({ ...entry, hour: Number(entry.hour) }))
+      .sort((a, b) => a.hour - b.hour),
+    byDriver: describeGroups(byDriver, 'driverId', driverNames),
+    byZone: describeGroups(byZone, 'zone'),
+    worstOffenders: worst
+      .sort((a, b) => b.lateMinutes - a.lateMinutes)
+      .slice(0, worstLimit)
+      .map(entry => ({
+        ...entry,
+        branch: branchNames.get(String(entry.branchId)) || null,
+        driver: entry.driverId ? driverNames.get(String(entry.driverId)) || null : null
+      }))
+  };
+};
+
+module.exports = {
+  LATENESS_BUCKETS,
+  getStatusDurations,
+  getDeliveryPerformance
+};
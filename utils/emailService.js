@@ -440,7 +440,36 @@ ${process.env.APP_NAME || 'Saborly'}
   }
 };
 
+/**
+ * Send an order receipt, with the PDF attached when there is one
+ * @param {string} email - Customer's email address
+ * @param {Object} receipt - { subject, html, pdf, orderNumber }
+ */
+const sendReceiptEmail = async (email, { subject, html, pdf, orderNumber }) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"${process.env.APP_NAME || 'Saborly'}" <${process.env.FROM_EMAIL || process.env.SMTP_EMAIL}>`,
+    to: email,
+    subject,
+    html,
+    attachments: pdf
+      ? [{ filename: `receipt-${orderNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+      : []
+  };
+
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Receipt email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending receipt email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendOTPEmail,
-  sendPasswordResetOTPEmail
+  sendPasswordResetOTPEmail,
+  sendReceiptEmail
 };
\ No newline at end of file
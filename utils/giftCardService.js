@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const Setting = require('../models/Setting');
+const { roundCurrency } = require('./pricingService');
+const { getActivePaymentProvider } = require('./paymentService');
+
+// No 0/O or 1/I, so codes survive being read out or typed from paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// 16 characters of a 32-letter alphabet: 80 random bits
+const CODE_LENGTH = 16;
+const DEFAULT_VALIDITY_DAYS = 365;
+const PURCHASE_LIMITS = { min: 10, max: 500 };
+const MAX_BATCH_SIZE = 500;
+// Purchase intents carry the card so a payment can only ever activate one
+const PURCHASE_REFERENCE_PREFIX = 'gift-card:';
+
+class GiftCardError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'GiftCardError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// XXXX-XXXX-XXXX-XXXX
+const generateCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)])
+  .join('')
+  .match(/.{4}/g)
+  .join('-');
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const getCurrency = async () => (await Setting.findOne().select('currency'))?.currency || 'USD';
+
+// Create a card with a fresh code; the plain code is only ever returned here
+const createCard = async (fields) => {
+  const code = generateCode();
+  const card = await GiftCard.create({
+    ...fields,
+    codeHash: hashCode(code),
+    last4: code.slice(-4)
+  });
+  return { card, code };
+};
+
+// Balance update and its history entry, applied together in one pipeline stage
+const balanceUpdate = (amount, entry) => [{
+  $set: {
+    balance: { $round: [{ $add: ['$balance', amount] }, 2] },
+    transactions: {
+      $concatArrays: ['$transactions', [{
+        ...entry,
+        amount,
+        balanceAfter: { $round: [{ $add: ['$balance', amount] }, 2] },
+        createdAt: '$$NOW'
+      }]]
+    }
+  }
+}];
+
+/**
+ * Issue cards in bulk, e.g. for a promotion or a corporate order
+ * @param {Object} options - { count, amount, currency, expiresAt, note }
+ * @param {Object} actor - { userId } of the admin
+ * @returns {Promise<Object>} { batchId, cards: [{ card, code }] }
+ */
+const issueGiftCards = async ({ count, amount, currency, expiresAt, note }, actor = {}) => {
+  const value = roundCurrency(amount);
+  if (count < 1 || count > MAX_BATCH_SIZE) {
+    throw new GiftCardError(`Between 1 and ${MAX_BATCH_SIZE} cards can be issued at once`);
+  }
+  if (expiresAt <= new Date()) {
+    throw new GiftCardError('Expiry must be in the future');
+  }
+
+  const batchId = new mongoose.Types.ObjectId().toString();
+  const cardCurrency = currency || await getCurrency();
+  const cards = [];
+
+  for (let i = 0; i < count; i += 1) {
+    cards.push(await createCard({
+      initialBalance: value,
+      balance: value,
+      currency: cardCurrency,
+      expiresAt,
+      status: 'active',
+      source: 'admin',
+      batchId,
+      note,
+      issuedBy: actor.userId,
+      transactions: [{ type: 'issue', amount: value, balanceAfter: value, createdBy: actor.userId }]
+    }));
+  }
+
+  return { batchId, cards };
+};
+
+// Card for a code, answering 404 the same way whether the code is unknown or malformed
+const findCardByCode = async (code) => {
+  const card = normalizeCode(code).length === CODE_LENGTH
+    ? await GiftCard.findOne({ codeHash: hashCode(code) })
+    : null;
+
+  if (!card) {
+    throw new GiftCardError('Gift card not found', 404);
+  }
+  return card;
+};
+
+// Why a card cannot be spent, or null when it can
+const unusableReason = (card) => {
+  if (card.status === 'pending') return 'This gift card has not been paid for yet';
+  if (card.status === 'disabled') return 'This gift card has been disabled';
+  if (card.isExpired) return 'This gift card has expired';
+  if (!(card.balance > 0)) return 'This gift card has no balance left';
+  return null;
+};
+
+/**
+ * Spend part of a card's balance on an order
+ * The balance is checked and reduced in one conditional update, so the same
+ * card used at two checkouts at once can never go below zero.
+ * @param {Object} card - GiftCard document
+ * @param {number} value - Amount to take
+ * @param {Object} details - { orderId, key } where key identifies the redemption
+ * @returns {Promise<Object>} The updated card
+ */
+const redeemGiftCard = async (card, value, { orderId, key } = {}) => {
+  const amount = roundCurrency(value);
+  const reason = unusableReason(card);
+  if (reason) {
+    throw new GiftCardError(reason, 409, { last4: card.last4 });
+  }
+
+  const currency = await getCurrency();
+  if (card.currency !== currency) {
+    throw new GiftCardError(`This gift card is in ${card.currency} and cannot pay in ${currency}`, 409, {
+      last4: card.last4
+    });
+  }
+
+  const updated = await GiftCard.findOneAndUpdate(
+    {
+      _id: card._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      balance: { $gte: amount },
+      'transactions.key': { $ne: key }
+    },
+    balanceUpdate(-amount, { type: 'redeem', orderId, key }),
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await GiftCard.findById(card._id);
+    if (current?.transactions.some(entry => entry.key === key)) return current;
+
+    throw new GiftCardError(
+      unusableReason(current) || `Gift card balance of ${current.balance.toFixed(2)} is not enough`,
+      409,
+      { last4: card.last4, balance: current.balance, requested: amount }
+    );
+  }
+
+  return updated;
+};
+
+// Give an order's unspent card amount back to the card; once per order
+const releaseGiftCardAmount = async (cardId, value, { orderId, key }) => {
+  const amount = roundCurrency(value);
+  if (!(amount > 0)) return null;
+
+  return GiftCard.findOneAndUpdate(
+    { _id: cardId, 'transactions.key': { $ne: key } },
+    balanceUpdate(amount, { type: 'release', orderId, key }),
+    { new: true }
+  );
+};
+
+// Card part of an order that was never paid for in full goes back to the card
+const releaseOrderGiftCardAmount = (order) => {
+  if (!(order.giftCardAmount > 0) || ['paid', 'partially-refunded', 'refunded'].includes(order.paymentStatus)) {
+    return null;
+  }
+
+  return releaseGiftCardAmount(order.giftCardId, order.giftCardAmount, {
+    orderId: order._id,
+    key: `order:${order._id}:release`
+  });
+};
+
+/**
+ * Start buying a card, paid through the active payment gateway
+ * The card and its code exist from the start but cannot be used until paid.
+ * @param {string} userId - Buyer
+ * @param {number} value - Card value
+ * @returns {Promise<Object>} { card, code, gateway, intent }
+ */
+const startGiftCardPurchase = async (userId, value) => {
+  const amount = roundCurrency(value);
+  if (amount < PURCHASE_LIMITS.min || amount > PURCHASE_LIMITS.max) {
+    throw new GiftCardError(`Gift cards can be bought for between ${PURCHASE_LIMITS.min} and ${PURCHASE_LIMITS.max}`, 400, PURCHASE_LIMITS);
+  }
+
+  const { gateway, provider, currency } = await getActivePaymentProvider();
+  const { card, code } = await createCard({
+    initialBalance: amount,
+    balance: 0,
+    currency,
+    expiresAt: addDays(new Date(), DEFAULT_VALIDITY_DAYS),
+    status: 'pending',
+    source: 'purchase',
+    purchasedBy: userId,
+    payment: { paymentGateway: gateway.provider }
+  });
+
+  let intent;
+  try {
+    intent = await provider.createIntent({
+      amount,
+      currency,
+      reference: `${PURCHASE_REFERENCE_PREFIX}${card._id}`,
+      captureMethod: 'automatic',
+      idempotencyKey: `${PURCHASE_REFERENCE_PREFIX}${card._id}`
+    });
+  } catch (error) {
+    // Nobody can pay for the card, so it goes before anyone sees its code
+    await GiftCard.deleteOne({ _id: card._id });
+    throw error;
+  }
+
+  card.payment.intentId = intent.id;
+  await card.save();
+
+  return { card, code, gateway, intent };
+};
+
+// Activate the card a succeeded purchase intent belongs to; once per card
+const completeGiftCardPurchase = async (intent) => {
+  if (intent.status !== 'succeeded' || !intent.reference?.startsWith(PURCHASE_REFERENCE_PREFIX)) return null;
+
+  const cardId = intent.reference.slice(PURCHASE_REFERENCE_PREFIX.length);
+  const now = new Date();
+  const activated = await GiftCard.findOneAndUpdate(
+    { _id: cardId, status: 'pending' },
+    [{
+      $set: {
+        status: 'active',
+        balance: '$initialBalance',
+        // Validity runs from the day it was paid for
+        expiresAt: addDays(now, DEFAULT_VALIDITY_DAYS),
+        'payment.paidAt': now,
+        transactions: [{
+          type: 'purchase',
+          amount: '$initialBalance',
+          balanceAfter: '$initialBalance',
+          createdBy: '$purchasedBy',
+          createdAt: now
+        }]
+      }
+    }],
+    { new: true }
+  );
+
+  return activated || GiftCard.findById(cardId);
+};
+
+/**
+ * Pay for a bought card and activate it
+ * @param {string} userId - Buyer, who must have started the purchase
+ * @param {string} cardId - Card from startGiftCardPurchase
+ * @param {Object} options - { paymentToken }
+ * @returns {Promise<Object>} { card, intent }
+ */
+const confirmGiftCardPurchase = async (userId, cardId, { paymentToken } = {}) => {
+  const card = await GiftCard.findById(cardId);
+  if (!card || card.source !== 'purchase' || card.purchasedBy?.toString() !== userId.toString()) {
+    throw new GiftCardError('Gift card purchase not found', 404);
+  }
+  if (card.status !== 'pending') {
+    return { card, intent: null };
+  }
+
+  const { provider } = await getActivePaymentProvider();
+  const current = await provider.getIntent(card.payment.intentId);
+  const intent = current.status === 'succeeded'
+    ? current
+    : await provider.confirmIntent(current.id, { paymentToken });
+
+  return { card: (await completeGiftCardPurchase(intent)) || card, intent };
+};
+
+// Stop a lost or stolen card from being used; its balance stays on record
+const disableGiftCard = async (cardId, reason, actor = {}) => {
+  const card = await GiftCard.findOneAndUpdate(
+    { _id: cardId, status: { $ne: 'disabled' } },
+    {
+      $set: {
+        status: 'disabled',
+        disabled: { reason, disabledBy: actor.userId, disabledAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+
+  if (!card) {
+    const existing = await GiftCard.findById(cardId).select('status');
+    if (!existing) {
+      throw new GiftCardError('Gift card not found', 404);
+    }
+    throw new GiftCardError('Gift card is already disabled', 409);
+  }
+
+  return card;
+};
+
+module.exports = {
+  CODE_LENGTH,
+  DEFAULT_VALIDITY_DAYS,
+  PURCHASE_LIMITS,
+  MAX_BATCH_SIZE,
+  GiftCardError,
+  normalizeCode,
+  issueGiftCards,
+  findCardByCode,
+  redeemGiftCard,
+  releaseGiftCardAmount,
+  releaseOrderGiftCardAmount,
+  startGiftCardPurchase,
+  completeGiftCardPurchase,
+  confirmGiftCardPurchase,
+  disableGiftCard
+};
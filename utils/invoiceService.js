@@ -0,0 +1,332 @@
+const Invoice = require('../models/Invoice');
+const Branch = require('../models/Branch');
+const Setting = require('../models/Setting');
+const { branchCode } = require('./orderNumber');
+const { getZonedParts } = require('./timeUtils');
+const { roundCurrency } = require('./pricingService');
+const { localizedText, buildTaxBreakdown } = require('./receiptService');
+
+// Payment statuses under which an order has been paid for
+const PAID_STATUSES = ['paid', 'partially-refunded', 'refunded'];
+const CASH_ON_DELIVERY_METHODS = ['cash-on-delivery', 'cashOnDelivery'];
+// Attempts at taking the next number when another invoice took it first
+const MAX_ISSUE_ATTEMPTS = 5;
+
+const SERIES_PREFIX = {
+  simplified: 'F',
+  rectifying: 'R'
+};
+
+class InvoiceError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Online payments are invoiced once paid. Cash on delivery goes by the driver's
+// collection record, and only once everything due at the door was taken.
+const isInvoiceable = (order) => {
+  if (CASH_ON_DELIVERY_METHODS.includes(order.paymentMethod)) {
+    const collection = order.codCollection;
+    return Boolean(collection?.status) && collection.collectedAmount >= collection.expectedAmount - 0.001;
+  }
+  return PAID_STATUSES.includes(order.paymentStatus);
+};
+
+const sumAmounts = (entries) => roundCurrency(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+const loadIssuer = async () => {
+  const settings = await Setting.findOne();
+  const address = settings?.address;
+
+  return {
+    settings,
+    issuer: {
+      legalName: settings?.invoicing?.legalName || settings?.restaurantName,
+      taxId: settings?.invoicing?.taxId,
+      address: settings?.invoicing?.address ||
+        (address ? [address.street, `${address.zipCode} ${address.city}`, address.country].filter(Boolean).join(', ') : undefined)
+    }
+  };
+};
+
+const seriesFor = async (invoiceType, branchId, year) => {
+  const branch = await Branch.findById(branchId).select('code');
+  return `${SERIES_PREFIX[invoiceType]}-${branchCode(branch, branchId)}-${year}`;
+};
+
+/**
+ * Append an invoice to the end of its series
+ * The next number is read from the last invoice of the series rather than a
+ * counter, so a failed issue never leaves a gap; two issues racing for the
+ * same number are kept apart by the unique series/sequence index.
+ * @param {Object} fields - Invoice fields without numbering and hashes
+ * @param {Object} settings - Setting document (timezone of the invoice year)
+ * @returns {Promise<Object>} The saved invoice
+ */
+const appendToSeries = async (fields, settings) => {
+  const issuedAt = new Date();
+  const year = Number(getZonedParts(issuedAt, settings?.timezone || 'UTC').year);
+  const series = await seriesFor(fields.invoiceType, fields.branchId, year);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await Invoice.findOne({ series }).sort({ sequence: -1 }).select('sequence hash');
+    const sequence = (last?.sequence || 0) + 1;
+
+    const invoice = new Invoice({
+      ...fields,
+      series,
+      sequence,
+      number: `${series}-${String(sequence).padStart(6, '0')}`,
+      year,
+      issuedAt,
+      previousHash: last?.hash || null
+    });
+    invoice.hash = invoice.computeHash();
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      const numberTaken = error.code === 11000 && (error.keyPattern?.sequence || error.keyPattern?.number);
+      if (!numberTaken || attempt >= MAX_ISSUE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Issue the simplified invoice (factura simplificada) of a paid order
+ * Issuing is idempotent: an order that already has one gets it back.
+ * @param {Object} order - Order document
+ * @param {Object} actor - { userId } of whoever issues it; empty for the system
+ * @returns {Promise<Object>} The invoice
+ */
+const issueInvoice = async (order, actor = {}) => {
+  const existing = await Invoice.findOne({ orderId: order._id, invoiceType: 'simplified' });
+  if (existing) return existing;
+
+  // Work from the stored order with item names, not the caller's copy
+  const source = await order.constructor.findById(order._id).populate({ path: 'items.foodItem', select: 'name' });
+
+  if (!source) {
+    throw new InvoiceError('Order not found', 404);
+  }
+  if (!isInvoiceable(source)) {
+    throw new InvoiceError('Only paid orders can be invoiced', 409, {
+      paymentStatus: source.paymentStatus,
+      status: source.status
+    });
+  }
+
+  const { settings, issuer } = await loadIssuer();
+  const taxes = buildTaxBreakdown(source, settings?.taxSettings);
+
+  const lines = source.items.map(item => ({
+    itemId: item._id,
+    description: localizedText(item.foodItem?.name, 'es') || 'Artículo',
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    amount: item.totalPrice
+  }));
+  if (source.deliveryFee > 0) {
+    lines.push({ description: 'Gastos de envío', quantity: 1, unitPrice: source.deliveryFee, amount: source.deliveryFee });
+  }
+
+  try {
+    return await appendToSeries({
+      invoiceType: 'simplified',
+      branchId: source.branchId,
+      orderId: source._id,
+      orderNumber: source.orderNumber,
+      issuedBy: actor.userId,
+      issuer,
+      currency: settings?.currency || 'EUR',
+      lines,
+      subtotal: source.subtotal,
+      discount: source.discount || 0,
+      deliveryFee: source.deliveryFee || 0,
+      taxes,
+      taxTotal: sumAmounts(taxes),
+      total: source.total
+    }, settings);
+  } catch (error) {
+    // Another request invoiced the order at the same moment
+    if (error.code === 11000 && error.keyPattern?.orderId) {
+      return Invoice.findOne({ orderId: order._id, invoiceType: 'simplified' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue the order's invoice if it can have one yet, for callers that just
+ * took a payment or recorded a collection. Never throws: the payment stands
+ * whether or not its paperwork does, and staff can issue it by hand.
+ * @param {Object} order - Order document, already saved
+ * @returns {Promise<Object|null>} The invoice, or null when none was issued
+ */
+const issueInvoiceIfDue = async (order) => {
+  if (!isInvoiceable(order)) return null;
+
+  try {
+    return await issueInvoice(order);
+  } catch (error) {
+    console.error('❌ Error issuing invoice:', error);
+    return null;
+  }
+};
+
+// What is left of an invoice after the rectifications already issued against it
+const getRectifiableAmount = async (invoice) => {
+  const rectifications = await Invoice.find({ 'rectifies.invoiceId': invoice._id }).select('total');
+  return roundCurrency(invoice.total + rectifications.reduce((sum, entry) => sum + entry.total, 0));
+};
+
+/**
+ * Correct an invoice by issuing a rectifying invoice against it
+ * Without an amount the whole remaining total is rectified.
+ * @param {Object} invoice - Simplified invoice document being corrected
+ * @param {Object} correction - { amount, reason, reasonCode, refundId, items: [{ itemId, quantity, amount }] }
+ * @param {Object} actor - { userId } of the staff member
+ * @returns {Promise<Object>} The rectifying invoice
+ */
+const issueRectifyingInvoice = async (invoice, correction, actor = {}) => {
+  if (invoice.invoiceType !== 'simplified') {
+    throw new InvoiceError('Only simplified invoices can be rectified', 400);
+  }
+
+  const rectifiable = await getRectifiableAmount(invoice);
+  const amount = correction.amount === undefined ? rectifiable : roundCurrency(correction.amount);
+
+  if (!(amount > 0)) {
+    throw new InvoiceError('This invoice has already been fully rectified', 409, { rectifiable });
+  }
+  if (amount > rectifiable + 0.001) {
+    throw new InvoiceError(`Rectification exceeds the remaining ${rectifiable.toFixed(2)} of this invoice`, 400, {
+      requested: amount,
+      rectifiable
+    });
+  }
+
+  const billedLines = new Map(invoice.lines.filter(line => line.itemId).map(line => [line.itemId.toString(), line]));
+  const itemLines = (correction.items || [])
+    .filter(item => billedLines.has(item.itemId.toString()))
+    .map(item => {
+      const line = billedLines.get(item.itemId.toString());
+      return {
+        itemId: line.itemId,
+        description: line.description,
+        quantity: -item.quantity,
+        unitPrice: line.unitPrice,
+        amount: -item.amount
+      };
+    });
+
+  // Lines that do not add up to the amount (or a free-form correction) collapse into one
+  const lines = itemLines.length > 0 && Math.abs(sumAmounts(itemLines) + amount) <= 0.01
+    ? itemLines
+    : [{ description: correction.reason || 'Rectificación', quantity: 1, unitPrice: -amount, amount: -amount }];
+
+  // Taxes are corrected in proportion to the share of the invoice rectified
+  const share = invoice.total > 0 ? amount / invoice.total : 0;
+  const taxes = invoice.taxes.map(tax => ({
+    name: tax.name,
+    rate: tax.rate,
+    inclusive: tax.inclusive,
+    amount: -roundCurrency(tax.amount * share)
+  }));
+
+  const { settings, issuer } = await loadIssuer();
+
+  return appendToSeries({
+    invoiceType: 'rectifying',
+    branchId: invoice.branchId,
+    orderId: invoice.orderId,
+    orderNumber: invoice.orderNumber,
+    issuedBy: actor.userId,
+    issuer,
+    currency: invoice.currency,
+    lines,
+    subtotal: -amount,
+    taxes,
+    taxTotal: sumAmounts(taxes),
+    total: -amount,
+    rectifies: { invoiceId: invoice._id, number: invoice.number },
+    rectification: {
+      reason: correction.reason,
+      reasonCode: correction.reasonCode,
+      refundId: correction.refundId
+    }
+  }, settings);
+};
+
+/**
+ * Issue the rectifying invoice for a refund ledger entry
+ * Orders refunded before they were invoiced have nothing to rectify.
+ * @param {Object} order - Order document
+ * @param {Object} refund - Entry of order.refunds
+ * @param {Object} actor - { userId } of the staff member
+ * @returns {Promise<Object|null>} The rectifying invoice
+ */
+const issueRefundInvoice = async (order, refund, actor = {}) => {
+  const invoice = await Invoice.findOne({ orderId: order._id, invoiceType: 'simplified' });
+  if (!invoice) return null;
+
+  return issueRectifyingInvoice(invoice, {
+    amount: refund.amount,
+    reason: refund.note || `Devolución (${refund.reasonCode})`,
+    reasonCode: refund.reasonCode,
+    refundId: refund._id,
+    items: refund.items
+  }, actor);
+};
+
+/**
+ * Check a series for gaps and broken hash links
+ * @param {string} series - e.g. F-BCN1-2026
+ * @returns {Promise<Object>} { series, count, valid, problems, lastHash }
+ */
+const verifySeries = async (series) => {
+  const problems = [];
+  let previous = null;
+  let count = 0;
+
+  const cursor = Invoice.find({ series }).sort({ sequence: 1 }).cursor();
+  for (let invoice = await cursor.next(); invoice; invoice = await cursor.next()) {
+    count += 1;
+    const expectedSequence = (previous?.sequence || 0) + 1;
+
+    if (invoice.sequence !== expectedSequence) {
+      problems.push({ number: invoice.number, problem: `Expected sequence ${expectedSequence}, found ${invoice.sequence}` });
+    }
+    if ((invoice.previousHash || null) !== (previous?.hash || null)) {
+      problems.push({ number: invoice.number, problem: 'Previous hash does not match the preceding invoice' });
+    }
+    if (invoice.hash !== invoice.computeHash()) {
+      problems.push({ number: invoice.number, problem: 'Hash does not match the invoice contents' });
+    }
+
+    previous = invoice;
+  }
+
+  return {
+    series,
+    count,
+    valid: problems.length === 0,
+    problems,
+    lastHash: previous?.hash || null
+  };
+};
+
+module.exports = {
+  InvoiceError,
+  isInvoiceable,
+  issueInvoice,
+  issueInvoiceIfDue,
+  issueRectifyingInvoice,
+  issueRefundInvoice,
+  getRectifiableAmount,
+  verifySeries
+};
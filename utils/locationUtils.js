@@ -18,3 +18,23 @@ exports.calculateDistance = (lat1, lon1, lat2, lon2) => {
     Math.cos(lat1 * p) * Math.cos(lat2 * p) * (1 - Math.cos((lon2 - lon1) * p)) / 2;
   return 12742 * Math.asin(Math.sqrt(a)); // 2 * R; R = 6371 km
 };
+
+// Check whether a point lies inside a polygon of { lat, lng } vertices (ray casting)
+exports.isPointInPolygon = (lat, lng, polygon = []) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const { lat: latI, lng: lngI } = polygon[i];
+    const { lat: latJ, lng: lngJ } = polygon[j];
+    const intersects = ((latI > lat) !== (latJ > lat)) &&
+      (lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+// Estimate driving minutes for a straight-line distance
+// Roads are longer than the crow flies, so the distance is scaled by a detour factor
+exports.estimateTravelMinutes = (distanceKm, speedKmh = 20, detourFactor = 1.3) => {
+  if (!distanceKm || distanceKm <= 0) return 0;
+  return Math.ceil((distanceKm * detourFactor / speedKmh) * 60);
+};
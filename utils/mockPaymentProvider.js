@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { roundCurrency } = require('./pricingService');
+
+// Payment tokens that decide how a confirmation turns out, like a gateway's test cards.
+// Any other token is accepted.
+const MOCK_TOKENS = {
+  success: 'mock_success',
+  declined: 'mock_declined',
+  insufficientFunds: 'mock_insufficient_funds',
+  expiredCard: 'mock_expired_card'
+};
+
+const DECLINES = {
+  [MOCK_TOKENS.declined]: 'Card declined',
+  [MOCK_TOKENS.insufficientFunds]: 'Insufficient funds',
+  [MOCK_TOKENS.expiredCard]: 'Card expired'
+};
+
+// Webhooks are signed like `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+const mockSignature = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// Sign a webhook body the way the mock provider would, for local tools and tests
+const signMockWebhook = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${mockSignature(payload, secret, timestamp)}`;
+
+// Ids come from the idempotency key, so the same request always gives the same intent
+const mockId = (prefix, key) =>
+  `${prefix}_${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 24)}`;
+
+// Shared by every mock provider instance in the process
+const intents = new Map();
+
+const copy = (intent) => ({ ...intent, refunds: intent.refunds.map(refund => ({ ...refund })) });
+
+/**
+ * Payment provider that never leaves the process, for development and tests
+ * Intents live in memory and are lost on restart. Outcomes depend only on the
+ * inputs: see MOCK_TOKENS.
+ * @param {Object} gateway - Setting.paymentGateways entry
+ * @param {Function} createError - (message, statusCode, details) => Error
+ * @returns {Object} Provider, see paymentService
+ */
+const createMockProvider = (gateway, createError) => {
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw createError('Payment intent not found', 404, { intentId });
+    }
+    return intent;
+  };
+
+  const assertStatus = (intent, allowed, action) => {
+    if (!allowed.includes(intent.status)) {
+      throw createError(`Cannot ${action} a payment in status '${intent.status}'`, 409, {
+        intentId: intent.id,
+        status: intent.status
+      });
+    }
+  };
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency, reference, captureMethod = 'automatic', idempotencyKey }) {
+      const key = idempotencyKey || `${reference}:${amount}:${currency}`;
+      const id = mockId('mock_pi', key);
+
+      if (!intents.has(id)) {
+        intents.set(id, {
+          id,
+          status: 'requires-confirmation',
+          amount: roundCurrency(amount),
+          currency,
+          captureMethod,
+          reference: String(reference),
+          clientSecret: `${id}_secret_${gateway.testMode === false ? 'live' : 'test'}`,
+          amountCaptured: 0,
+          amountRefunded: 0,
+          refunds: [],
+          createdAt: new Date()
+        });
+      }
+
+      return copy(intents.get(id));
+    },
+
+    async confirmIntent(intentId, { paymentToken = MOCK_TOKENS.success } = {}) {
+      const intent = findIntent(intentId);
+      // A declined intent can be tried again with another card
+      assertStatus(intent, ['requires-confirmation', 'failed'], 'confirm');
+
+      if (DECLINES[paymentToken]) {
+        intent.status = 'failed';
+        intent.failureReason = DECLINES[paymentToken];
+        return copy(intent);
+      }
+
+      intent.failureReason = undefined;
+      intent.transactionId = mockId('mock_ch', `${intent.id}:charge`);
+      if (intent.captureMethod === 'manual') {
+        intent.status = 'requires-capture';
+      } else {
+        intent.status = 'succeeded';
+        intent.amountCaptured = intent.amount;
+      }
+      return copy(intent);
+    },
+
+    async captureIntent(intentId, { amount } = {}) {
+      const intent = findIntent(intentId);
+      assertStatus(intent, ['requires-capture'], 'capture');
+
+      const captured = roundCurrency(amount ?? intent.amount);
+      if (captured <= 0 || captured > intent.amount) {
+        throw createError(`Capture amount must be between 0 and ${intent.amount.toFixed(2)}`, 400, {
+          intentId,
+          authorized: intent.amount
+        });
+      }
+
+      intent.status = 'succeeded';
+      intent.amountCaptured = captured;
+      return copy(intent);
+    },
+
+    async voidIntent(intentId) {
+      const intent = findIntent(intentId);
+      assertStatus(intent, ['requires-confirmation', 'requires-capture', 'failed', 'voided'], 'void');
+
+      intent.status = 'voided';
+      return copy(intent);
+    },
+
+    async refundIntent(intentId, { amount, reason, idempotencyKey }) {
+      const intent = findIntent(intentId);
+      assertStatus(intent, ['succeeded'], 'refund');
+
+      const id = mockId('mock_re', idempotencyKey || `${intentId}:${intent.refunds.length}`);
+      const existing = intent.refunds.find(refund => refund.id === id);
+      if (existing) return { ...existing };
+
+      const refundable = roundCurrency(intent.amountCaptured - intent.amountRefunded);
+      const refundAmount = roundCurrency(amount ?? refundable);
+      if (refundAmount <= 0 || refundAmount > refundable + 0.001) {
+        throw createError(`Refund exceeds the ${refundable.toFixed(2)} left on this payment`, 400, {
+          intentId,
+          refundable
+        });
+      }
+
+      const refund = { id, intentId, amount: refundAmount, reason, status: 'succeeded', createdAt: new Date() };
+      intent.refunds.push(refund);
+      intent.amountRefunded = roundCurrency(intent.amountRefunded + refundAmount);
+      return { ...refund };
+    },
+
+    async getIntent(intentId) {
+      return copy(findIntent(intentId));
+    },
+
+    // Events are already in the normalized shape: { id, type, data: { intentId, ... } }
+    verifyWebhook(rawBody, headers, secret) {
+      const header = headers[MOCK_SIGNATURE_HEADER] || '';
+      const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+
+      if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+        throw createError('Missing or malformed webhook signature', 400);
+      }
+
+      const expected = Buffer.from(mockSignature(rawBody, secret, timestamp), 'hex');
+      if (!crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'))) {
+        throw createError('Invalid webhook signature', 400);
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        throw createError('Invalid webhook payload', 400);
+      }
+
+      if (!payload?.id || !payload.type) {
+        throw createError('Webhook event has no id or type', 400);
+      }
+
+      const data = payload.data || {};
+      return {
+        id: String(payload.id),
+        type: payload.type,
+        signedAt: new Date(timestamp * 1000),
+        intentId: data.intentId,
+        transactionId: data.transactionId,
+        amount: data.amount,
+        refundId: data.refundId,
+        disputeId: data.disputeId,
+        reason: data.reason
+      };
+    }
+  };
+};
+
+module.exports = {
+  MOCK_TOKENS,
+  MOCK_SIGNATURE_HEADER,
+  signMockWebhook,
+  createMockProvider
+};
@@ -1,4 +1,6 @@
 const User = require('../models/User'); // Your User model
+const Setting = require('../models/Setting');
+const { formatLocalDateTime } = require('./timeUtils');
 const {
   sendNotificationToDevice,
   sendNotificationToMultipleDevices
@@ -6,6 +8,10 @@ const {
 
 // Order notification messages
 const ORDER_MESSAGES = {
+  scheduled: {
+    title: '🗓️ Order Scheduled',
+    body: 'Your scheduled order has been received.'
+  },
   pending: {
     title: '🛍️ Order Received',
     body: 'Your order has been received and is being processed.'
@@ -36,6 +42,37 @@ const ORDER_MESSAGES = {
   }
 };
 
+// Scheduled times are shown in the restaurant's timezone
+const formatScheduledTime = async (date) => {
+  const settings = await Setting.findOne().select('timezone');
+  return formatLocalDateTime(date, settings?.timezone || 'UTC');
+};
+
+// Collect FCM tokens of all active admins and managers
+const getAdminTokens = async () => {
+  const adminUsers = await User.find({ 
+    role: { $in: ['admin', 'manager', 'superadmin'] },
+    isActive: true,
+    fcmToken: { $exists: true, $ne: null }
+  }).select('firstName lastName email fcmToken fcmTokens');
+
+  const adminTokens = [];
+  adminUsers.forEach(admin => {
+    if (admin.fcmToken) {
+      adminTokens.push(admin.fcmToken);
+    }
+    if (admin.fcmTokens && Array.isArray(admin.fcmTokens)) {
+      admin.fcmTokens.forEach(tokenObj => {
+        if (tokenObj.token && !adminTokens.includes(tokenObj.token)) {
+          adminTokens.push(tokenObj.token);
+        }
+      });
+    }
+  });
+
+  return [...new Set(adminTokens)];
+};
+
 const sendOrderStatusNotification = async (user, order, status, customMessage = null) => {
   
   const tuser = await User.findById(user);
@@ -53,7 +90,11 @@ const sendOrderStatusNotification = async (user, order, status, customMessage =
   
 
     const title = customMessage?.title || message.title;
-    const body = customMessage?.body || message.body;
+    let body = customMessage?.body || message.body;
+
+    if (!customMessage && status === 'scheduled' && order.scheduledFor) {
+      body = `Your order is scheduled for ${await formatScheduledTime(order.scheduledFor)}.`;
+    }
 
     const data = {
       type: 'order_update',
@@ -63,6 +104,10 @@ const sendOrderStatusNotification = async (user, order, status, customMessage =
       timestamp: new Date().toISOString()
     };
 
+    if (order.scheduledFor) {
+      data.scheduledFor = order.scheduledFor.toISOString();
+    }
+
     return await sendNotificationToDevice(fcmToken, title, body, data);
   } catch (error) {
     console.error('Error sending order status notification:', error);
@@ -77,8 +122,8 @@ const sendNewOrderNotification = async (adminTokens, order) => {
       return { success: false, message: 'No admin tokens' };
     }
 
-    const title = '🔔 New Order Received';
-    const body = `Order #${order.orderNumber} - €${order.total.toFixed(2)}`;
+    let title = '🔔 New Order Received';
+    let body = `Order #${order.orderNumber} - €${order.total.toFixed(2)}`;
 
     const data = {
       type: 'new_order',
@@ -88,6 +133,12 @@ const sendNewOrderNotification = async (adminTokens, order) => {
       timestamp: new Date().toISOString()
     };
 
+    if (order.scheduledFor) {
+      title = '🗓️ New Scheduled Order';
+      body += ` - for ${await formatScheduledTime(order.scheduledFor)}`;
+      data.scheduledFor = order.scheduledFor.toISOString();
+    }
+
     return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
   } catch (error) {
     console.error('Error sending new order notification:', error);
@@ -95,6 +146,156 @@ const sendNewOrderNotification = async (adminTokens, order) => {
   }
 };
 
+// Tell admins a scheduled order has been released to the kitchen
+const sendScheduledOrderReleasedNotification = async (adminTokens, order) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '⏰ Scheduled Order Due';
+    const body = `Scheduled order #${order.orderNumber} for ${await formatScheduledTime(order.scheduledFor)} is ready to prepare`;
+
+    const data = {
+      type: 'scheduled_order_released',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      scheduledFor: order.scheduledFor.toISOString(),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending scheduled order notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell admins an order was cancelled because nobody confirmed it in time
+const sendOrderTimedOutNotification = async (adminTokens, order, timeoutMinutes) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '⌛ Order Auto-Cancelled';
+    const body = `Order #${order.orderNumber} was not confirmed within ${timeoutMinutes} minutes and has been cancelled`;
+
+    const data = {
+      type: 'order_timed_out',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      timeoutMinutes: String(timeoutMinutes),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending order timeout notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell admins a cancelled order was paid for and its refund has to be made by hand
+const sendRefundNeededNotification = async (adminTokens, order, amount) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '💸 Refund Needed';
+    const body = `Order #${order.orderNumber} was cancelled after payment; ${amount.toFixed(2)} could not be refunded automatically`;
+
+    const data = {
+      type: 'refund_needed',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      amount: String(amount),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending refund needed notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell admins a customer disputed an order's payment with their bank
+const sendPaymentDisputedNotification = async (adminTokens, order, dispute) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '⚠️ Payment Disputed';
+    const body = `The payment for order #${order.orderNumber} is disputed${dispute.reason ? `: ${dispute.reason}` : ''}`;
+
+    const data = {
+      type: 'payment_disputed',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      disputeId: String(dispute.disputeId || ''),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending payment disputed notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell admins an order was held back from auto-accept and needs a decision
+const sendOrderHeldNotification = async (adminTokens, order, reasons) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '✋ Order Needs Review';
+    const body = `Order #${order.orderNumber} was not auto-accepted: ${reasons.join('; ')}`;
+
+    const data = {
+      type: 'order_held',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      reasons: reasons.join('; '),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending order held notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell the branch a customer changed an order, or asked to
+const sendOrderModifiedNotification = async (adminTokens, order, summary, { pendingApproval = false } = {}) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = pendingApproval ? '✏️ Order Change Requested' : '✏️ Order Modified';
+    const body = `Order #${order.orderNumber}: ${summary}`;
+
+    const data = {
+      type: pendingApproval ? 'order_change_requested' : 'order_modified',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      total: order.total.toString(),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending order modified notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Send delivery agent assignment notification
 const sendDeliveryAssignmentNotification = async (deliveryAgent, order) => {
   try {
@@ -120,6 +321,31 @@ const sendDeliveryAssignmentNotification = async (deliveryAgent, order) => {
   }
 };
 
+// Tell admins a driver turned down a delivery so it can be reassigned
+const sendDeliveryRejectedNotification = async (adminTokens, order, driver, reason) => {
+  try {
+    if (!adminTokens || adminTokens.length === 0) {
+      return { success: false, message: 'No admin tokens' };
+    }
+
+    const title = '⚠️ Delivery Rejected';
+    const body = `${driver.firstName} ${driver.lastName} rejected order #${order.orderNumber}${reason ? `: ${reason}` : ''}`;
+
+    const data = {
+      type: 'delivery_rejected',
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      driverId: driver._id.toString(),
+      timestamp: new Date().toISOString()
+    };
+
+    return await sendNotificationToMultipleDevices(adminTokens, title, body, data);
+  } catch (error) {
+    console.error('Error sending delivery rejected notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Send promotional notification
 const sendPromotionalNotification = async (userTokens, title, body, promoData = {}) => {
   try {
@@ -137,8 +363,16 @@ const sendPromotionalNotification = async (userTokens, title, body, promoData =
 };
 
 module.exports = {
+  getAdminTokens,
   sendOrderStatusNotification,
   sendNewOrderNotification,
+  sendScheduledOrderReleasedNotification,
+  sendOrderTimedOutNotification,
+  sendRefundNeededNotification,
+  sendPaymentDisputedNotification,
+  sendOrderHeldNotification,
+  sendOrderModifiedNotification,
   sendDeliveryAssignmentNotification,
+  sendDeliveryRejectedNotification,
   sendPromotionalNotification
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+const { releaseOrderStock } = require('./stockService');
+const { voidOrderPayment } = require('./paymentService');
+const { releaseOrderWalletAmount } = require('./walletService');
+const { releaseOrderGiftCardAmount } = require('./giftCardService');
+const { createRefund, getRefundableAmount } = require('./refundService');
+const { getAdminTokens, sendRefundNeededNotification } = require('./notificationService');
+
+/**
+ * Give back everything a cancelled order was holding
+ * Stock goes back to the shelf and an authorized payment is voided. Wallet and
+ * gift card money spent on an order that was never paid in full goes back as
+ * it came; an order that was paid is refunded in full. A refund that fails
+ * leaves cancellation.refundProcessed false and admins are told to make it.
+ * Each step is safe to repeat, so callers may release an order more than once.
+ * @param {Object} order - Cancelled order document
+ * @param {Object} actor - { userId, role } of whoever cancelled it
+ * @returns {Promise<Object>} The order
+ */
+const releaseCancelledOrder = async (order, actor = {}) => {
+  await releaseOrderStock(order);
+
+  try {
+    await voidOrderPayment(order);
+  } catch (error) {
+    console.error('❌ Error voiding order payment:', error);
+  }
+
+  try {
+    await releaseOrderWalletAmount(order);
+  } catch (error) {
+    console.error('❌ Error returning wallet amount:', error);
+  }
+  try {
+    await releaseOrderGiftCardAmount(order);
+  } catch (error) {
+    console.error('❌ Error returning gift card amount:', error);
+  }
+
+  const refundable = getRefundableAmount(order);
+  if (refundable > 0) {
+    try {
+      await createRefund(order, {
+        amount: refundable,
+        reasonCode: 'order-cancelled',
+        note: order.cancellation?.reason
+      }, actor);
+    } catch (error) {
+      console.error('❌ Error refunding cancelled order:', error);
+      try {
+        await sendRefundNeededNotification(await getAdminTokens(), order, refundable);
+      } catch (notifyError) {
+        console.error('❌ Error sending refund needed notification:', notifyError);
+      }
+    }
+  }
+
+  return order;
+};
+
+/**
+ * Cancel an order through the status graph and give back what it was holding
+ * @param {Object} order - Order document
+ * @param {string} reason - Shown to the customer
+ * @param {string} cancelledBy - 'customer', 'admin' or 'system'
+ * @param {Object} actor - { userId, role }
+ * @returns {Promise<Object>} The order
+ */
+const cancelOrder = async (order, reason, cancelledBy = 'customer', actor = {}) => {
+  await order.cancelOrder(reason, cancelledBy, actor);
+  return releaseCancelledOrder(order, actor);
+};
+
+module.exports = {
+  cancelOrder,
+  releaseCancelledOrder
+};
@@ -0,0 +1,248 @@
+const Counter = require('../models/Counter');
+const OrderEvent = require('../models/OrderEvent');
+
+const DEFAULT_TTL_HOURS = 24;
+// How often each instance with subscribers reads new events from the log
+const POLL_INTERVAL_MS = parseInt(process.env.ORDER_EVENT_POLL_INTERVAL_MS, 10) || 1000;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const REPLAY_LIMIT = 500;
+// How long to wait for an event whose seq was taken but not yet written
+const GAP_TIMEOUT_MS = 5000;
+
+// Default audience of each event type
+const EVENT_AUDIENCE = {
+  'order.created': ['staff'],
+  'order.status': ['owner', 'staff'],
+  'order.tracking': ['owner'],
+  'order.eta': ['owner'],
+  'order.location': ['owner'],
+  'order.item': ['staff'],
+  'order.modified': ['owner', 'staff'],
+  'order.cancelled': ['owner', 'staff']
+};
+
+class OrderEventError extends Error {
+  constructor(message, statusCode = 403, details = {}) {
+    super(message);
+    this.name = 'OrderEventError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const subscribers = new Set();
+let pollTimer = null;
+let pollStartedAt = null;
+let lastDispatchedSeq = null;
+let gapSince = null;
+
+const toPayload = (event) => ({
+  id: event.seq,
+  type: event.type,
+  orderId: event.orderId,
+  orderNumber: event.orderNumber,
+  data: event.data,
+  timestamp: event.createdAt
+});
+
+/**
+ * Record an order event for live subscribers
+ * Failures are logged, never thrown: a missed push must not fail the request
+ * that changed the order.
+ * @param {string} type - One of EVENT_AUDIENCE's keys
+ * @param {Object} order - Order document
+ * @param {Object} data - Event specific payload
+ */
+const publishOrderEvent = async (type, order, data = {}) => {
+  try {
+    const ttlHours = parseFloat(process.env.ORDER_EVENT_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    const seq = await Counter.next('orderEvents');
+
+    await OrderEvent.create({
+      seq,
+      type,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      userId: order.userId?._id || order.userId,
+      branchId: order.branchId?._id || order.branchId,
+      audience: EVENT_AUDIENCE[type] || ['owner'],
+      data,
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+  }
+};
+
+/**
+ * Branch whose events a staff member may follow
+ * Managers follow the branch they are assigned to, whatever they ask for;
+ * only admins may pick any branch or follow all of them.
+ * @param {Object} user - Authenticated admin or manager
+ * @param {string} requestedBranchId - ?branchId= of the request, if any
+ * @returns {string|null} Branch id, or null for every branch
+ */
+const staffStreamBranch = (user, requestedBranchId) => {
+  if (user.role === 'admin') return requestedBranchId || null;
+
+  if (!user.branchId) {
+    throw new OrderEventError('No branch is assigned to this account');
+  }
+  const branchId = user.branchId.toString();
+  if (requestedBranchId && requestedBranchId !== branchId) {
+    throw new OrderEventError('Managers can only follow their own branch', 403, { branchId });
+  }
+  return branchId;
+};
+
+// Whether a subscriber should receive an event
+const matchesSubscriber = (subscriber, event) => {
+  const orderId = event.orderId.toString();
+
+  if (subscriber.isStaff) {
+    if (subscriber.branchId && subscriber.branchId !== event.branchId?.toString()) return false;
+    if (subscriber.orderId) return subscriber.orderId === orderId;
+    return event.audience.includes('staff');
+  }
+
+  return event.audience.includes('owner') &&
+    event.userId?.toString() === subscriber.userId &&
+    (!subscriber.orderId || subscriber.orderId === orderId);
+};
+
+// Same rule as matchesSubscriber, as a query for replaying missed events
+const subscriberQuery = (subscriber) => {
+  if (subscriber.isStaff) {
+    return {
+      ...(subscriber.orderId ? { orderId: subscriber.orderId } : { audience: 'staff' }),
+      ...(subscriber.branchId && { branchId: subscriber.branchId })
+    };
+  }
+
+  return {
+    audience: 'owner',
+    userId: subscriber.userId,
+    ...(subscriber.orderId && { orderId: subscriber.orderId })
+  };
+};
+
+const dispatch = (event) => {
+  for (const subscriber of subscribers) {
+    if (matchesSubscriber(subscriber, event)) {
+      subscriber.send(event);
+    }
+  }
+};
+
+// Read new events from the log so every instance sees events published by any instance
+const poll = async () => {
+  // Start after the last event published before anyone subscribed
+  if (lastDispatchedSeq === null) {
+    const latest = await OrderEvent.findOne({ createdAt: { $lt: pollStartedAt } }).sort({ seq: -1 }).select('seq');
+    lastDispatchedSeq = latest ? latest.seq : 0;
+  }
+
+  const events = await OrderEvent.find({ seq: { $gt: lastDispatchedSeq } })
+    .sort({ seq: 1 })
+    .limit(REPLAY_LIMIT);
+
+  for (const event of events) {
+    // Events are written after their seq is taken, so a later one can land first
+    if (event.seq !== lastDispatchedSeq + 1) {
+      gapSince = gapSince || Date.now();
+      if (Date.now() - gapSince < GAP_TIMEOUT_MS) break;
+    }
+    gapSince = null;
+    lastDispatchedSeq = event.seq;
+    dispatch(event);
+  }
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+  pollStartedAt = new Date();
+  pollTimer = setInterval(() => {
+    poll().catch(error => console.error('Error polling order events:', error));
+  }, POLL_INTERVAL_MS);
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  lastDispatchedSeq = null;
+  gapSince = null;
+};
+
+/**
+ * Serve an order event stream (Server-Sent Events)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} filter - { userId, isStaff, branchId, orderId, lastEventId }
+ */
+const streamOrderEvents = async (req, res, filter) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastSentSeq = filter.lastEventId || 0;
+  // Live events wait until missed ones have been replayed, to keep ids in order
+  let replaying = Boolean(filter.lastEventId);
+  const held = [];
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // compression() buffers otherwise
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const deliver = (event) => {
+    if (event.seq <= lastSentSeq) return;
+    lastSentSeq = event.seq;
+    write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(toPayload(event))}\n\n`);
+  };
+
+  const subscriber = {
+    ...filter,
+    send: (event) => (replaying ? held.push(event) : deliver(event))
+  };
+
+  // Subscribe before replaying so nothing published in between is lost
+  subscribers.add(subscriber);
+  startPolling();
+
+  const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) stopPolling();
+  });
+
+  write('retry: 3000\n\n');
+
+  if (replaying) {
+    try {
+      const missed = await OrderEvent.find({ ...subscriberQuery(subscriber), seq: { $gt: filter.lastEventId } })
+        .sort({ seq: 1 })
+        .limit(REPLAY_LIMIT);
+
+      missed.forEach(deliver);
+    } catch (error) {
+      // Headers are already sent; keep the stream open with live events only
+      console.error('Error replaying order events:', error);
+    }
+    replaying = false;
+    held.sort((a, b) => a.seq - b.seq).forEach(deliver);
+  }
+};
+
+module.exports = {
+  OrderEventError,
+  publishOrderEvent,
+  staffStreamBranch,
+  streamOrderEvents
+};
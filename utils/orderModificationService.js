@@ -0,0 +1,237 @@
+const { priceCart, roundCurrency } = require('./pricingService');
+const { adjustStock } = require('./stockService');
+const { publishOrderEvent } = require('./orderEvents');
+const {
+  getAdminTokens,
+  sendOrderModifiedNotification
+} = require('./notificationService');
+
+// Before the kitchen accepts the order the customer may edit it directly
+const DIRECT_EDIT_STATUSES = ['scheduled', 'pending'];
+// Afterwards edits wait for staff approval
+const CHANGE_REQUEST_STATUSES = ['confirmed', 'preparing', 'ready'];
+
+class OrderModificationError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'OrderModificationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Stored cart lines in the shape priceCart expects from a client
+const toCartItems = (items) => items.map(item => ({
+  foodItem: { id: item.foodItem?._id || item.foodItem },
+  quantity: item.quantity,
+  selectedMealSize: item.selectedMealSize?.name ? item.selectedMealSize : undefined,
+  selectedExtras: item.selectedExtras,
+  selectedAddons: item.selectedAddons,
+  specialInstructions: item.specialInstructions
+}));
+
+// Reprice the order as it would look with the changes applied
+const priceModification = (order, changes) => priceCart({
+  items: changes.items || toCartItems(order.items),
+  deliveryType: order.deliveryType,
+  deliveryAddress: changes.deliveryAddress || order.deliveryAddress,
+  couponCode: order.couponCode,
+  branchId: order.branchId?._id || order.branchId
+  // No userId: this order already counts as a use of its coupon
+});
+
+const describeChanges = (order, changes, pricing) => {
+  const parts = [];
+  if (changes.items) {
+    parts.push(`items changed (total ${order.total.toFixed(2)} → ${pricing.total.toFixed(2)})`);
+  }
+  if (changes.deliveryAddress) parts.push('delivery address changed');
+  if (changes.specialInstructions !== undefined) parts.push('special instructions changed');
+  return parts.join('; ');
+};
+
+// Money already taken for the order fixes its total: a settled online payment,
+// or wallet and gift card money that would otherwise end up above the new total
+const hasSettledAmount = (order) =>
+  order.paymentStatus !== 'pending' || order.walletAmount > 0 || order.giftCardAmount > 0;
+
+const assertTotalCanChange = (order, pricing) => {
+  if (hasSettledAmount(order) && Math.abs(pricing.total - order.total) > 0.001) {
+    throw new OrderModificationError('The total of a paid order cannot change; please contact the restaurant', 409, {
+      total: order.total,
+      newTotal: pricing.total
+    });
+  }
+};
+
+// Lines the kitchen already worked on keep their progress
+const carryPrepProgress = (previousItems, nextItems) => {
+  const remaining = [...previousItems];
+  nextItems.forEach(line => {
+    const index = remaining.findIndex(previous =>
+      String(previous.foodItem?._id || previous.foodItem) === String(line.foodItem) &&
+      previous.quantity === line.quantity);
+    if (index === -1) return;
+
+    const [previous] = remaining.splice(index, 1);
+    Object.assign(line, {
+      prepStatus: previous.prepStatus,
+      prepStartedAt: previous.prepStartedAt,
+      prepCompletedAt: previous.prepCompletedAt,
+      preparedBy: previous.preparedBy
+    });
+  });
+  return nextItems;
+};
+
+const notifyBranch = async (order, summary, options) => {
+  try {
+    await sendOrderModifiedNotification(await getAdminTokens(), order, summary, options);
+  } catch (error) {
+    console.error('❌ Error sending order modification notification:', error);
+  }
+};
+
+// Reprice, move the stock reservation and write the changes onto the order
+const applyChanges = async (order, changes, actor, message) => {
+  const pricing = await priceModification(order, changes);
+  assertTotalCanChange(order, pricing);
+
+  const summary = describeChanges(order, changes, pricing);
+  const previousItems = order.items.map(item => item.toObject());
+  const stockReserved = order.stockReservation?.status === 'reserved';
+
+  if (changes.items && stockReserved) {
+    await adjustStock(previousItems, pricing.items);
+  }
+
+  if (changes.items) {
+    order.items = carryPrepProgress(previousItems, pricing.items);
+  }
+  if (changes.deliveryAddress) order.deliveryAddress = changes.deliveryAddress;
+  if (changes.specialInstructions !== undefined) order.specialInstructions = changes.specialInstructions;
+
+  Object.assign(order, {
+    subtotal: pricing.subtotal,
+    deliveryFee: pricing.deliveryFee,
+    tax: pricing.tax,
+    discount: pricing.discount,
+    total: pricing.total
+  });
+
+  // Fail rather than overwrite if staff changed the order meanwhile
+  order.increment();
+
+  try {
+    await order.addTrackingUpdate(order.status, `${message}: ${summary}`, undefined, actor);
+  } catch (error) {
+    if (changes.items && stockReserved) {
+      await adjustStock(pricing.items, previousItems);
+    }
+    throw error;
+  }
+
+  publishOrderEvent('order.modified', order, { summary, total: order.total });
+
+  return summary;
+};
+
+/**
+ * Apply a customer's edit, or file it as a change request once the order is confirmed
+ * @param {Object} order - Order document owned by the customer
+ * @param {Object} changes - { items, deliveryAddress, specialInstructions }
+ * @param {Object} actor - { userId, role } of the customer
+ * @returns {Promise<Object>} { applied: true } or { applied: false, changeRequest }
+ */
+const modifyOrder = async (order, changes, actor) => {
+  if (DIRECT_EDIT_STATUSES.includes(order.status)) {
+    const summary = await applyChanges(order, changes, actor, 'Order modified by customer');
+    await notifyBranch(order, summary, { pendingApproval: false });
+    return { applied: true, summary };
+  }
+
+  if (!CHANGE_REQUEST_STATUSES.includes(order.status)) {
+    throw new OrderModificationError(`Orders that are ${order.status} can no longer be changed`, 409, { status: order.status });
+  }
+
+  if (order.changeRequests.some(request => request.status === 'pending')) {
+    throw new OrderModificationError('This order already has a change waiting for approval');
+  }
+
+  const pricing = await priceModification(order, changes);
+  assertTotalCanChange(order, pricing);
+
+  const summary = describeChanges(order, changes, pricing);
+
+  order.changeRequests.push({
+    items: changes.items ? pricing.items : undefined,
+    deliveryAddress: changes.deliveryAddress,
+    specialInstructions: changes.specialInstructions,
+    subtotal: pricing.subtotal,
+    deliveryFee: pricing.deliveryFee,
+    tax: pricing.tax,
+    discount: pricing.discount,
+    total: roundCurrency(pricing.total),
+    summary,
+    requestedBy: actor.userId
+  });
+
+  order.increment();
+  await order.addTrackingUpdate(order.status, `Customer requested a change: ${summary}`, undefined, actor);
+
+  const changeRequest = order.changeRequests[order.changeRequests.length - 1];
+  publishOrderEvent('order.modified', order, { summary, changeRequestId: changeRequest._id, status: 'pending' });
+  await notifyBranch(order, summary, { pendingApproval: true });
+
+  return { applied: false, summary, changeRequest };
+};
+
+/**
+ * Approve or reject a pending change request
+ * @param {Object} order - Order document
+ * @param {string} requestId - Change request id
+ * @param {boolean} approve - Whether to apply the change
+ * @param {string} reason - Why it was rejected
+ * @param {Object} actor - { userId, role } of the staff member
+ * @returns {Promise<Object>} The reviewed change request
+ */
+const reviewChangeRequest = async (order, requestId, approve, reason, actor) => {
+  const changeRequest = order.changeRequests.id(requestId);
+
+  if (!changeRequest) {
+    throw new OrderModificationError('Change request not found', 404);
+  }
+  if (changeRequest.status !== 'pending') {
+    throw new OrderModificationError(`Change request has already been ${changeRequest.status}`);
+  }
+
+  changeRequest.reviewedBy = actor.userId;
+  changeRequest.reviewedAt = new Date();
+
+  if (!approve) {
+    changeRequest.status = 'rejected';
+    changeRequest.rejectionReason = reason;
+    order.increment();
+    await order.addTrackingUpdate(order.status, `Change request rejected${reason ? `: ${reason}` : ''}`, undefined, actor);
+    return changeRequest;
+  }
+
+  if (!CHANGE_REQUEST_STATUSES.includes(order.status)) {
+    throw new OrderModificationError(`Orders that are ${order.status} can no longer be changed`, 409, { status: order.status });
+  }
+
+  changeRequest.status = 'approved';
+  await applyChanges(order, {
+    items: changeRequest.items.length > 0 ? toCartItems(changeRequest.items) : undefined,
+    deliveryAddress: changeRequest.deliveryAddress,
+    specialInstructions: changeRequest.specialInstructions
+  }, actor, 'Change request approved');
+
+  return changeRequest;
+};
+
+module.exports = {
+  OrderModificationError,
+  modifyOrder,
+  reviewChangeRequest
+};
@@ -0,0 +1,49 @@
+const Branch = require('../models/Branch');
+const Counter = require('../models/Counter');
+const Setting = require('../models/Setting');
+const { getZonedParts } = require('./timeUtils');
+
+// Branch codes are at most 6 characters (see models/Branch.js)
+const FALLBACK_CODE_LENGTH = 7;
+// Longest number generateOrderNumber gives: code, date and a sequence of up to 9 digits
+const ORDER_NUMBER_MAX_LENGTH = FALLBACK_CODE_LENGTH + '-YYMMDD-'.length + 9;
+
+// Branches without a code fall back to the end of their id, which holds the
+// id's counter: short enough to call out, and one character longer than any
+// code so it never reads as another branch's
+const branchCode = (branch, branchId) =>
+  branch?.code || branchId.toString().slice(-FALLBACK_CODE_LENGTH).toUpperCase();
+
+/**
+ * Generate the next order number for a branch
+ * Sequences come from an atomic counter, so concurrent orders never share a
+ * number and deleted orders never free one up.
+ * @param {string|ObjectId} branchId - Branch the order belongs to
+ * @param {Date} date - Order date (defaults to now)
+ * @returns {Promise<string>} e.g. BCN1-260427-023, or BCN1-1523 without daily reset
+ */
+const generateOrderNumber = async (branchId, date = new Date()) => {
+  const [branch, settings] = await Promise.all([
+    Branch.findById(branchId).select('code resetOrderNumbersDaily'),
+    Setting.findOne().select('timezone')
+  ]);
+
+  const code = branchCode(branch, branchId);
+  const dailyReset = branch ? branch.resetOrderNumbersDaily !== false : true;
+
+  if (!dailyReset) {
+    const seq = await Counter.next(`order:${branchId}`);
+    return `${code}-${String(seq).padStart(4, '0')}`;
+  }
+
+  const { year, month, day } = getZonedParts(date, settings?.timezone || 'UTC');
+  const seq = await Counter.next(`order:${branchId}:${year}${month}${day}`);
+  // The year keeps the same day of different years apart
+  return `${code}-${year.slice(-2)}${month}${day}-${String(seq).padStart(3, '0')}`;
+};
+
+module.exports = {
+  ORDER_NUMBER_MAX_LENGTH,
+  branchCode,
+  generateOrderNumber
+};
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { parseLocalDate } = require('./timeUtils');
+
+const SORT_FIELDS = ['createdAt', 'total', 'orderNumber'];
+// Customers matched by name/email/phone are looked up first; more than this is too broad a search
+const MAX_CUSTOMER_MATCHES = 1000;
+
+class OrderSearchError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'OrderSearchError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Multi-select filters arrive repeated (?status=a&status=b) or comma separated (?status=a,b)
+const toList = (value) => [].concat(value ?? [])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+// Every word must match the customer's first name, last name, email or phone
+const findCustomerIds = async (search) => {
+  const words = search.trim().split(/\s+/).filter(Boolean);
+  const users = await User.find({
+    $and: words.map(word => {
+      const pattern = new RegExp(escapeRegex(word), 'i');
+      return { $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }] };
+    })
+  }).select('_id').limit(MAX_CUSTOMER_MATCHES + 1);
+
+  if (users.length > MAX_CUSTOMER_MATCHES) {
+    throw new OrderSearchError('Customer search is too broad, please be more specific', 400, { customer: search });
+  }
+
+  return users.map(user => user._id);
+};
+
+/**
+ * Build the MongoDB filter for an admin order search
+ * @param {Object} params - Sanitized query: from, to, branchId, status, paymentMethod,
+ *   paymentStatus, deliveryType, minTotal, maxTotal, customer, orderNumber
+ * @param {Object} options - { timeZone } used for calendar-day ranges
+ * @returns {Promise<Object>} Filter for Order.find
+ */
+const buildOrderFilter = async (params, { timeZone = 'UTC' } = {}) => {
+  const filter = {};
+
+  // Calendar days are whole days in the restaurant timezone, so `to` includes its day
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) filter.createdAt.$gte = parseLocalDate(params.from, timeZone);
+    if (params.to) filter.createdAt.$lte = parseLocalDate(params.to, timeZone, { endOfDay: true });
+  }
+  if (params.branchId) filter.branchId = params.branchId;
+  if (params.status?.length) filter.status = { $in: params.status };
+  if (params.paymentMethod?.length) filter.paymentMethod = { $in: params.paymentMethod };
+  if (params.paymentStatus?.length) filter.paymentStatus = { $in: params.paymentStatus };
+  if (params.deliveryType) filter.deliveryType = params.deliveryType;
+
+  if (params.minTotal !== undefined || params.maxTotal !== undefined) {
+    filter.total = {};
+    if (params.minTotal !== undefined) filter.total.$gte = params.minTotal;
+    if (params.maxTotal !== undefined) filter.total.$lte = params.maxTotal;
+  }
+
+  // Anchored, so the orderNumber index is used
+  if (params.orderNumber) {
+    filter.orderNumber = new RegExp(`^${escapeRegex(params.orderNumber.toUpperCase())}`);
+  }
+
+  if (params.customer) {
+    filter.userId = { $in: await findCustomerIds(params.customer) };
+  }
+
+  return filter;
+};
+
+// "-total" → { field: 'total', direction: -1 }
+const parseSort = (sort = '-createdAt') => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return { field: sort.replace(/^-/, ''), direction };
+};
+
+// The _id tie-break keeps pages stable when many orders share a value
+const toMongoSort = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+const encodeCursor = (order, sort) => Buffer.from(JSON.stringify({
+  sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`,
+  value: order[sort.field],
+  id: order._id
+})).toString('base64url');
+
+/**
+ * Filter selecting the orders after the cursor, in the given sort
+ * @param {string} cursor - nextCursor of the previous page
+ * @param {Object} sort - Result of parseSort
+ * @returns {Object} Filter to combine with the search filter
+ */
+const cursorFilter = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new OrderSearchError('Invalid cursor');
+  }
+
+  const sortKey = `${sort.direction === -1 ? '-' : ''}${sort.field}`;
+  if (decoded?.sort !== sortKey || !mongoose.isValidObjectId(decoded.id)) {
+    throw new OrderSearchError('Cursor does not match this sort order; start again without it');
+  }
+
+  const value = sort.field === 'createdAt' ? new Date(decoded.value) : decoded.value;
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  const after = sort.direction === -1 ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [sort.field]: { [after]: value } },
+      { [sort.field]: value, _id: { [after]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  OrderSearchError,
+  toList,
+  buildOrderFilter,
+  parseSort,
+  toMongoSort,
+  encodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,111 @@
+// Declared order status transitions.
+// Each entry maps a target status to the roles allowed to make the move and,
+// where it matters, the delivery types the move applies to.
+// Roles follow User.role, plus 'system' for background jobs. Drivers may
+// only act on orders assigned to them; routes check that.
+
+const STAFF = ['admin', 'manager'];
+
+const STATUS_TRANSITIONS = {
+  // Paid online orders wait here until the payment goes through
+  'awaiting-payment': {
+    scheduled: { roles: ['system'] },
+    pending: { roles: ['system'] },
+    cancelled: { roles: ['user', ...STAFF, 'system'] }
+  },
+  scheduled: {
+    pending: { roles: [...STAFF, 'system'] },
+    cancelled: { roles: ['user', ...STAFF, 'system'] }
+  },
+  pending: {
+    confirmed: { roles: [...STAFF, 'system'] },
+    cancelled: { roles: ['user', ...STAFF, 'system'] }
+  },
+  confirmed: {
+    preparing: { roles: STAFF },
+    cancelled: { roles: ['user', ...STAFF, 'system'] }
+  },
+  preparing: {
+    ready: { roles: STAFF },
+    cancelled: { roles: STAFF }
+  },
+  ready: {
+    'out-for-delivery': { roles: [...STAFF, 'driver'], deliveryTypes: ['delivery'] },
+    pickup: { roles: STAFF, deliveryTypes: ['pickup'] },
+    shop: { roles: STAFF, deliveryTypes: ['pickup'] },
+    delivered: { roles: STAFF, deliveryTypes: ['pickup'] },
+    cancelled: { roles: STAFF }
+  },
+  pickup: {
+    delivered: { roles: STAFF, deliveryTypes: ['pickup'] },
+    cancelled: { roles: STAFF }
+  },
+  shop: {
+    delivered: { roles: STAFF, deliveryTypes: ['pickup'] },
+    cancelled: { roles: STAFF }
+  },
+  'out-for-delivery': {
+    delivered: { roles: [...STAFF, 'driver'], deliveryTypes: ['delivery'] },
+    cancelled: { roles: STAFF }
+  },
+  delivered: {
+    refunded: { roles: STAFF }
+  },
+  cancelled: {
+    refunded: { roles: STAFF }
+  },
+  refunded: {}
+};
+
+class OrderStatusError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const getTransition = (from, to) => (STATUS_TRANSITIONS[from] || {})[to];
+
+const appliesToDeliveryType = (transition, deliveryType) =>
+  !transition.deliveryTypes || transition.deliveryTypes.includes(deliveryType);
+
+// Statuses an actor with the given role may move the order to next
+const getAllowedTransitions = (order, role) => {
+  const targets = STATUS_TRANSITIONS[order.status] || {};
+  return Object.keys(targets).filter(status => {
+    const transition = targets[status];
+    return appliesToDeliveryType(transition, order.deliveryType) &&
+      (!role || transition.roles.includes(role));
+  });
+};
+
+// Throw an OrderStatusError unless the role may move the order to the status
+const assertTransition = (order, to, role) => {
+  const from = order.status;
+  const transition = getTransition(from, to);
+
+  if (!transition || !appliesToDeliveryType(transition, order.deliveryType)) {
+    throw new OrderStatusError(
+      `Cannot change ${order.deliveryType} order from '${from}' to '${to}'`,
+      409,
+      { from, to, allowedTransitions: getAllowedTransitions(order) }
+    );
+  }
+
+  if (!transition.roles.includes(role)) {
+    throw new OrderStatusError(
+      `Role ${role} is not allowed to change order from '${from}' to '${to}'`,
+      403,
+      { from, to, allowedTransitions: getAllowedTransitions(order, role) }
+    );
+  }
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  OrderStatusError,
+  getAllowedTransitions,
+  assertTransition
+};
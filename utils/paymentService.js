@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const { createMockProvider } = require('./mockPaymentProvider');
+const { autoAcceptOrder } = require('./autoAcceptService');
+const { issueInvoiceIfDue } = require('./invoiceService');
+const { roundCurrency } = require('./pricingService');
+const {
+  getAdminTokens,
+  sendOrderStatusNotification,
+  sendNewOrderNotification
+} = require('./notificationService');
+
+// Payment methods charged through the active gateway; cash and in-shop payments are not
+const ONLINE_PAYMENT_METHODS = ['card', 'paypal', 'stripe'];
+
+// Provider intent statuses, whatever the gateway calls them
+const INTENT_STATUSES = Order.schema.path('paymentDetails.intentStatus').enumValues;
+// Authorized or charged: the kitchen can start on the order
+const RELEASABLE_INTENT_STATUSES = ['requires-capture', 'succeeded'];
+// Nothing has been taken yet, so the intent is voided instead of refunded
+const VOIDABLE_INTENT_STATUSES = ['requires-confirmation', 'requires-capture', 'failed'];
+
+const WEBHOOK_EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'payment.refunded', 'payment.disputed'];
+// Signed webhooks older (or further in the future) than this are refused as replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+class PaymentError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const createPaymentError = (message, statusCode, details) => new PaymentError(message, statusCode, details);
+
+/*
+ * A provider is built from its Setting.paymentGateways entry and exposes:
+ *   createIntent({ amount, currency, reference, captureMethod, idempotencyKey }) → intent
+ *   confirmIntent(intentId, { paymentToken }) → intent
+ *   captureIntent(intentId, { amount }) → intent
+ *   voidIntent(intentId) → intent
+ *   refundIntent(intentId, { amount, reason, idempotencyKey }) → { id, intentId, amount, status }
+ *   getIntent(intentId) → intent
+ *   verifyWebhook(rawBody, headers, webhookSecret) → event
+ * An intent is { id, status, amount, amountCaptured, currency, reference, clientSecret,
+ * transactionId, failureReason },
+ * with status one of INTENT_STATUSES. Amounts are in currency units, as on orders.
+ * A webhook event is { id, type, signedAt, intentId, transactionId, amount, refundId,
+ * disputeId, reason }, with type one of WEBHOOK_EVENT_TYPES when the provider knows it.
+ * Providers throw PaymentError (through the createError they are given).
+ */
+const providerFactories = {
+  mock: createMockProvider
+};
+
+// Make a gateway provider available under its Setting.paymentGateways name
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+const getPaymentProvider = (gateway) => {
+  const factory = providerFactories[gateway?.provider];
+  if (!factory) {
+    throw new PaymentError(`Payment provider ${gateway?.provider} is not supported`, 503, {
+      provider: gateway?.provider
+    });
+  }
+  return factory(gateway, createPaymentError);
+};
+
+const loadGatewaySettings = () => Setting.findOne()
+  .select('currency paymentGateways +paymentGateways.secretKey +paymentGateways.webhookSecret');
+
+// Provider by its Setting.paymentGateways name, whether or not it is the active one
+const getProviderByName = async (name) => {
+  const settings = await loadGatewaySettings();
+  const gateway = settings?.paymentGateways.find(candidate => candidate.provider === name);
+
+  return getPaymentProvider(gateway || { provider: name });
+};
+
+// Provider that took the order's payment, even if another gateway is active now
+const getOrderProvider = (order) => getProviderByName(order.paymentDetails?.paymentGateway);
+
+/**
+ * Provider of the gateway new payments go through
+ * @returns {Promise<Object>} { gateway, provider, currency }
+ */
+const getActivePaymentProvider = async () => {
+  const settings = await loadGatewaySettings();
+  const gateway = settings?.getActivePaymentGateway();
+
+  if (!gateway) {
+    throw new PaymentError('Online payment is not available at the moment', 503);
+  }
+
+  return { gateway, provider: getPaymentProvider(gateway), currency: settings.currency };
+};
+
+// Part of the total charged through the gateway; the wallet and gift card cover the rest
+const getOnlineAmountDue = (order) =>
+  roundCurrency(order.total - (order.walletAmount || 0) - (order.giftCardAmount || 0));
+
+const assertOnlinePayment = (order) => {
+  if (!order.paymentDetails?.intentId) {
+    throw new PaymentError('This order is not paid online', 409, { paymentMethod: order.paymentMethod });
+  }
+};
+
+/**
+ * Create the payment intent for an order about to be placed
+ * @param {Object} request - { orderId, amount } of the new order
+ * @returns {Promise<Object>} { gateway, intent }
+ */
+const startOrderPayment = async ({ orderId, amount }) => {
+  const { gateway, provider, currency } = await getActivePaymentProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    reference: orderId.toString(),
+    captureMethod: gateway.captureMethod,
+    idempotencyKey: `${orderId}:payment`
+  });
+
+  return { gateway, intent };
+};
+
+/**
+ * Hand an order that is now paid (or authorized) to the kitchen
+ * Orders for a later slot go on to wait in 'scheduled'.
+ * @param {Object} order - Order document in 'awaiting-payment'
+ * @returns {Promise<boolean>} Whether the order was released
+ */
+const releasePaidOrder = async (order) => {
+  if (order.status !== 'awaiting-payment') return false;
+
+  const status = order.scheduledReleaseAt > new Date() ? 'scheduled' : 'pending';
+
+  // Two confirmations at once must not both release the order
+  order.increment();
+  await order.addTrackingUpdate(status, 'Payment received', undefined, { role: 'system' });
+
+  try {
+    await sendOrderStatusNotification((order.userId._id || order.userId).toString(), order, status);
+    await sendNewOrderNotification(await getAdminTokens(), order);
+  } catch (error) {
+    console.error('❌ Error sending paid order notifications:', error);
+  }
+
+  await autoAcceptOrder(order);
+  return true;
+};
+
+/**
+ * Send back a payment that went through after its order was cancelled
+ * The order never counts it as paid, so it stays out of the refund ledger and
+ * the invoices; the fixed key keeps a replayed event from refunding twice.
+ * @param {Object} order - Cancelled order document
+ * @param {Object} intent - The succeeded intent
+ * @returns {Promise<Object>} The order
+ */
+const refundCancelledOrderPayment = async (order, intent) => {
+  const provider = await getOrderProvider(order);
+  const refund = await provider.refundIntent(intent.id, {
+    reason: 'order-cancelled',
+    idempotencyKey: `${order._id}:cancelled-payment`
+  });
+
+  order.paymentDetails.intentStatus = intent.status;
+  order.paymentDetails.transactionId = intent.transactionId;
+  order.paymentDetails.failureReason = `Paid after the order was cancelled; refunded as ${refund.id}`;
+  order.paymentStatus = 'failed';
+  order.increment();
+  await order.save();
+  return order;
+};
+
+/**
+ * Bring the order in line with the provider's view of its payment
+ * @param {Object} order - Order document
+ * @param {Object} intent - Intent returned by the provider
+ * @returns {Promise<Object>} The order
+ */
+const applyIntent = async (order, intent) => {
+  if (intent.status === 'succeeded' && order.status === 'cancelled' && ['pending', 'failed'].includes(order.paymentStatus)) {
+    return refundCancelledOrderPayment(order, intent);
+  }
+
+  order.paymentDetails.intentStatus = intent.status;
+
+  if (intent.status === 'succeeded' && ['pending', 'failed'].includes(order.paymentStatus)) {
+    order.paymentDetails.failureReason = undefined;
+    order.increment();
+    await order.updatePaymentStatus('paid', {
+      transactionId: intent.transactionId,
+      paymentGateway: order.paymentDetails.paymentGateway
+    });
+    // Paperwork runs in the background; the payment is already recorded
+    issueInvoiceIfDue(order);
+  } else if (intent.status === 'voided' && order.paymentStatus === 'pending') {
+    order.increment();
+    await order.updatePaymentStatus('failed', { failureReason: 'Payment voided' });
+  } else {
+    // A declined card leaves the order waiting, so the customer can try another one
+    if (intent.status === 'failed') {
+      order.paymentDetails.failureReason = intent.failureReason;
+    }
+    if (order.isModified()) {
+      order.increment();
+      await order.save();
+    }
+  }
+
+  if (RELEASABLE_INTENT_STATUSES.includes(intent.status)) {
+    await releasePaidOrder(order);
+  }
+
+  return order;
+};
+
+/**
+ * Apply an intent the provider just charged, even if the order was cancelled
+ * while the charge went through: the stored order is read again so the money
+ * goes back instead of being lost to the version conflict.
+ * @param {Object} order - Order document the charge was made for
+ * @param {Object} intent - Intent returned by the provider
+ * @returns {Promise<Object>} The order
+ */
+const applyChargedIntent = async (order, intent) => {
+  try {
+    return await applyIntent(order, intent);
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.VersionError)) throw error;
+
+    const current = await Order.findById(order._id);
+    if (current?.status !== 'cancelled') throw error;
+
+    await applyIntent(current, intent);
+    throw new PaymentError('This order was cancelled while it was being paid; the payment has been refunded', 409, {
+      status: current.status,
+      paymentStatus: current.paymentStatus
+    });
+  }
+};
+
+// Confirm the order's intent with the customer's payment token
+const confirmOrderPayment = async (order, { paymentToken } = {}) => {
+  assertOnlinePayment(order);
+
+  if (order.status !== 'awaiting-payment') {
+    throw new PaymentError('This order is not waiting for payment', 409, {
+      status: order.status,
+      paymentStatus: order.paymentStatus
+    });
+  }
+
+  const provider = await getOrderProvider(order);
+  const intent = await provider.confirmIntent(order.paymentDetails.intentId, { paymentToken });
+  await applyChargedIntent(order, intent);
+  return intent;
+};
+
+// Take the authorized amount of a manual-capture payment
+const captureOrderPayment = async (order) => {
+  assertOnlinePayment(order);
+
+  if (order.status === 'cancelled') {
+    throw new PaymentError('This order was cancelled; void its payment instead', 409, { status: order.status });
+  }
+
+  const provider = await getOrderProvider(order);
+  const intent = await provider.captureIntent(order.paymentDetails.intentId);
+  await applyChargedIntent(order, intent);
+  return intent;
+};
+
+/**
+ * Let go of a payment that was never taken
+ * Captured payments are left alone; they are given back through refunds.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object|null>} The voided intent, or null when there was nothing to void
+ */
+const voidOrderPayment = async (order) => {
+  if (!order.paymentDetails?.intentId) return null;
+  if (!VOIDABLE_INTENT_STATUSES.includes(order.paymentDetails.intentStatus)) return null;
+
+  const provider = await getOrderProvider(order);
+  const intent = await provider.voidIntent(order.paymentDetails.intentId);
+  await applyIntent(order, intent);
+  return intent;
+};
+
+/**
+ * Refund part of a captured online payment at the provider
+ * @param {Object} order - Order document
+ * @param {Object} request - { amount, reason, idempotencyKey }
+ * @returns {Promise<Object|null>} Provider refund, or null when the order was not charged online
+ */
+const refundOrderPayment = async (order, { amount, reason, idempotencyKey }) => {
+  if (!order.paymentDetails?.intentId || order.paymentDetails.intentStatus !== 'succeeded') return null;
+
+  const provider = await getOrderProvider(order);
+  return provider.refundIntent(order.paymentDetails.intentId, { amount, reason, idempotencyKey });
+};
+
+/**
+ * Check a webhook's signature against the gateway's webhook secret
+ * @param {string} providerName - Provider from the webhook URL
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @param {Date} now - Time to measure the signature's age against
+ * @returns {Promise<Object>} Normalized event
+ */
+const verifyWebhookEvent = async (providerName, rawBody, headers, now = new Date()) => {
+  const settings = await loadGatewaySettings();
+  const gateway = settings?.paymentGateways.find(candidate => candidate.provider === providerName);
+
+  if (!gateway?.webhookSecret) {
+    throw new PaymentError('Webhooks are not configured for this provider', 404, { provider: providerName });
+  }
+
+  const event = getPaymentProvider(gateway).verifyWebhook(rawBody, headers, gateway.webhookSecret);
+
+  const ageSeconds = Math.abs(now - event.signedAt) / 1000;
+  if (!(ageSeconds <= WEBHOOK_TOLERANCE_SECONDS)) {
+    throw new PaymentError('Webhook signature has expired', 400, { signedAt: event.signedAt });
+  }
+
+  return event;
+};
+
+// Fetch the intent from the provider and apply anything the order missed
+const syncOrderPayment = async (order) => {
+  assertOnlinePayment(order);
+
+  const provider = await getOrderProvider(order);
+  const intent = await provider.getIntent(order.paymentDetails.intentId);
+  await applyIntent(order, intent);
+  return intent;
+};
+
+// Payment block of API responses; the client secret is only for the paying customer
+const describePayment = (order, intent, { includeSecret = false } = {}) => ({
+  provider: order.paymentDetails?.paymentGateway,
+  intentId: intent?.id || order.paymentDetails?.intentId,
+  status: intent?.status || order.paymentDetails?.intentStatus,
+  paymentStatus: order.paymentStatus,
+  amount: intent?.amount ?? order.total,
+  currency: intent?.currency,
+  failureReason: intent?.failureReason || order.paymentDetails?.failureReason,
+  ...(includeSecret && intent?.clientSecret ? { clientSecret: intent.clientSecret } : {})
+});
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  INTENT_STATUSES,
+  WEBHOOK_EVENT_TYPES,
+  PaymentError,
+  getOnlineAmountDue,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getProviderByName,
+  getActivePaymentProvider,
+  startOrderPayment,
+  releasePaidOrder,
+  applyIntent,
+  confirmOrderPayment,
+  captureOrderPayment,
+  voidOrderPayment,
+  refundOrderPayment,
+  syncOrderPayment,
+  verifyWebhookEvent,
+  describePayment
+};
@@ -0,0 +1,207 @@
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { PaymentError, applyIntent, getOnlineAmountDue, getProviderByName } = require('./paymentService');
+const { completeTopUp } = require('./walletService');
+const { completeGiftCardPurchase } = require('./giftCardService');
+const { createRefund, getExternalRefundableAmount, getPaidAmount } = require('./refundService');
+const { roundCurrency } = require('./pricingService');
+const { getAdminTokens, sendPaymentDisputedNotification } = require('./notificationService');
+
+// An event left in 'processing' this long was abandoned by a crashed instance
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Each handler returns what it changed, or null when the order already reflected the event
+const EVENT_HANDLERS = {
+  'payment.succeeded': async (order, event) => {
+    if (getPaidAmount(order) > 0) return null;
+
+    // A charge that does not match the order is left failed for staff to look at
+    const due = getOnlineAmountDue(order);
+    if (typeof event.amount === 'number' && Math.abs(roundCurrency(event.amount) - due) > 0.001) {
+      throw new PaymentError(`Payment of ${event.amount.toFixed(2)} does not match the ${due.toFixed(2)} due`, 409, {
+        amount: event.amount,
+        due
+      });
+    }
+
+    const intent = { id: event.intentId, status: 'succeeded', transactionId: event.transactionId };
+    if (order.status === 'cancelled') {
+      if (order.paymentDetails.intentStatus === 'succeeded') return null;
+
+      await applyIntent(order, intent);
+      return 'Payment on a cancelled order refunded';
+    }
+
+    await applyIntent(order, intent);
+    return 'Payment recorded';
+  },
+
+  // A declined attempt leaves the order waiting for another one, as at checkout
+  'payment.failed': async (order, event) => {
+    if (order.paymentStatus !== 'pending') return null;
+
+    await applyIntent(order, { id: event.intentId, status: 'failed', failureReason: event.reason });
+    return 'Payment failure recorded';
+  },
+
+  // Refunds we made come back as events too; those are already in the ledger.
+  // Any other refund was already made at the provider and is only recorded here.
+  'payment.refunded': async (order, event) => {
+    if (event.refundId && order.refunds.some(refund => refund.gatewayRef === event.refundId)) return null;
+
+    const refundable = getExternalRefundableAmount(order);
+    const amount = Math.min(roundCurrency(event.amount ?? refundable), refundable);
+    if (!(amount > 0)) return null;
+
+    await createRefund(order, {
+      amount,
+      reasonCode: 'other',
+      note: event.reason || 'Refunded at the payment provider',
+      gatewayRef: event.refundId,
+      refundedAtProvider: true
+    });
+    return `Refund of ${amount.toFixed(2)} recorded`;
+  },
+
+  'payment.disputed': async (order, event) => {
+    if (event.disputeId && order.paymentDetails.dispute?.disputeId === event.disputeId) return null;
+
+    order.paymentDetails.dispute = {
+      disputeId: event.disputeId,
+      amount: event.amount ?? order.total,
+      reason: event.reason,
+      openedAt: new Date()
+    };
+    order.increment();
+    await order.save();
+
+    try {
+      await sendPaymentDisputedNotification(await getAdminTokens(), order, order.paymentDetails.dispute);
+    } catch (error) {
+      console.error('❌ Error sending payment disputed notification:', error);
+    }
+    return 'Dispute recorded';
+  }
+};
+
+// Take an event for (re)processing; only failed or abandoned events can be taken
+const claimPaymentEvent = (filter) => PaymentEvent.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [
+      { status: 'failed' },
+      { status: 'processing', updatedAt: { $lte: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    ]
+  },
+  { $set: { status: 'processing' } },
+  { new: true }
+);
+
+// Payments without an order can be wallet top-ups or gift card purchases; the intent says which
+const completeOrderlessPayment = async (paymentEvent) => {
+  const provider = await getProviderByName(paymentEvent.provider);
+  const intent = await provider.getIntent(paymentEvent.intentId);
+
+  if (await completeTopUp(intent)) return 'Wallet top-up credited';
+  if (await completeGiftCardPurchase(intent)) return 'Gift card activated';
+  return null;
+};
+
+/**
+ * Apply a stored event to its order and record the outcome on the event
+ * @param {Object} paymentEvent - PaymentEvent document claimed for processing
+ * @returns {Promise<Object>} The event, now processed, ignored or failed
+ */
+const processPaymentEvent = async (paymentEvent) => {
+  paymentEvent.attempts += 1;
+
+  try {
+    const handler = EVENT_HANDLERS[paymentEvent.type];
+    let result = null;
+
+    // Without an intent id the lookup below would match any order that has none
+    if (handler && !paymentEvent.intentId) {
+      throw new PaymentError('Payment event has no intent id', 400, { eventId: paymentEvent.eventId });
+    }
+
+    if (handler) {
+      // The order may not be saved yet when the provider is quick; a retry will find it
+      const order = await Order.findOne({ 'paymentDetails.intentId': paymentEvent.intentId });
+      if (order) {
+        paymentEvent.orderId = order._id;
+        result = await handler(order, paymentEvent.data);
+      } else {
+        result = paymentEvent.type === 'payment.succeeded' ? await completeOrderlessPayment(paymentEvent) : null;
+        if (!result) {
+          throw new PaymentError('No order found for this payment', 404, { intentId: paymentEvent.intentId });
+        }
+      }
+    }
+
+    paymentEvent.status = result ? 'processed' : 'ignored';
+    paymentEvent.result = result || (handler ? 'Order was already up to date' : 'Event type is not handled');
+    paymentEvent.lastError = undefined;
+    paymentEvent.processedAt = new Date();
+  } catch (error) {
+    paymentEvent.status = 'failed';
+    paymentEvent.lastError = error.message;
+  }
+
+  await paymentEvent.save();
+  return paymentEvent;
+};
+
+/**
+ * Store a verified webhook event and process it, once
+ * Redelivered events are only processed again if they failed before.
+ * @param {string} provider - Provider the event came from
+ * @param {Object} event - Normalized event from verifyWebhookEvent
+ * @returns {Promise<Object>} { paymentEvent, duplicate }
+ */
+const receivePaymentEvent = async (provider, event) => {
+  let paymentEvent;
+
+  try {
+    paymentEvent = await PaymentEvent.create({
+      provider,
+      eventId: event.id,
+      type: event.type,
+      intentId: event.intentId,
+      data: event,
+      signedAt: event.signedAt
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    paymentEvent = await claimPaymentEvent({ provider, eventId: event.id });
+    if (!paymentEvent) {
+      return {
+        paymentEvent: await PaymentEvent.findOne({ provider, eventId: event.id }),
+        duplicate: true
+      };
+    }
+  }
+
+  return { paymentEvent: await processPaymentEvent(paymentEvent), duplicate: false };
+};
+
+// Process a failed event again on an admin's request
+const retryPaymentEvent = async (eventId) => {
+  const paymentEvent = await claimPaymentEvent({ _id: eventId });
+
+  if (!paymentEvent) {
+    const existing = await PaymentEvent.findById(eventId).select('status');
+    if (!existing) {
+      throw new PaymentError('Payment event not found', 404);
+    }
+    throw new PaymentError(`Cannot retry an event that is ${existing.status}`, 409, { status: existing.status });
+  }
+
+  return processPaymentEvent(paymentEvent);
+};
+
+module.exports = {
+  receivePaymentEvent,
+  processPaymentEvent,
+  retryPaymentEvent
+};
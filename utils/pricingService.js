@@ -0,0 +1,368 @@
+const { FoodItem } = require('../models/Category');
+const Setting = require('../models/Setting');
+const Offer = require('../models/offer');
+const { isPointInPolygon } = require('./locationUtils');
+
+// Totals sent by the client may differ from ours by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+class PricingError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Option names arrive in whatever language the app displayed them in
+const matchesName = (multilingualName, name) => {
+  if (!multilingualName || typeof name !== 'string') return false;
+  const wanted = name.trim().toLowerCase();
+  if (typeof multilingualName === 'string') {
+    return multilingualName.trim().toLowerCase() === wanted;
+  }
+  return ['en', 'es', 'ca', 'ar'].some(lang =>
+    multilingualName[lang] && multilingualName[lang].trim().toLowerCase() === wanted
+  );
+};
+
+const optionName = (option) => (typeof option === 'string' ? option : option?.name);
+
+/**
+ * Rebuild a single cart line from the FoodItem document
+ * @param {Object} foodItem - FoodItem document
+ * @param {Object} item - Cart line as sent by the client
+ * @returns {{ line: Object, errors: Array }}
+ */
+const priceCartItem = (foodItem, item) => {
+  const errors = [];
+  const foodItemId = foodItem._id.toString();
+  let unitPrice = foodItem.price;
+
+  let selectedMealSize;
+  const mealSizeName = optionName(item.selectedMealSize);
+  if (mealSizeName) {
+    const mealSize = foodItem.mealSizes.find(size => matchesName(size.name, mealSizeName));
+    if (!mealSize) {
+      errors.push({ foodItem: foodItemId, field: 'selectedMealSize', value: mealSizeName, message: `Meal size "${mealSizeName}" is not available` });
+    } else {
+      selectedMealSize = { name: mealSizeName, additionalPrice: mealSize.additionalPrice };
+      unitPrice += mealSize.additionalPrice;
+    }
+  }
+
+  const resolveOptions = (selected = [], available, field) => {
+    const resolved = [];
+    for (const option of selected) {
+      const name = optionName(option);
+      const match = available.find(candidate => matchesName(candidate.name, name));
+      if (!match) {
+        errors.push({ foodItem: foodItemId, field, value: name, message: `Option "${name}" is not available` });
+        continue;
+      }
+      resolved.push({ name, price: match.price, ...(match.imageUrl && { imageUrl: match.imageUrl }) });
+      unitPrice += match.price;
+    }
+    return resolved;
+  };
+
+  const selectedExtras = resolveOptions(item.selectedExtras, foodItem.extras, 'selectedExtras')
+    .map(({ name, price }) => ({ name, price }));
+  const selectedAddons = resolveOptions(item.selectedAddons, foodItem.addons, 'selectedAddons');
+
+  unitPrice = roundCurrency(unitPrice);
+  const quantity = parseInt(item.quantity, 10);
+
+  return {
+    errors,
+    line: {
+      foodItem: foodItem._id,
+      quantity,
+      selectedMealSize,
+      selectedExtras,
+      selectedAddons,
+      specialInstructions: item.specialInstructions,
+      unitPrice,
+      totalPrice: roundCurrency(unitPrice * quantity)
+    }
+  };
+};
+
+// Delivery fee from the matching delivery zone, falling back to the default fee
+const calculateDeliveryFee = (settings, deliveryType, deliveryAddress, subtotal) => {
+  if (deliveryType !== 'delivery' || !settings) return 0;
+
+  const { deliverySettings = {}, deliveryZones = [] } = settings;
+  let fee = deliverySettings.defaultDeliveryFee || 0;
+
+  const { latitude, longitude } = deliveryAddress || {};
+  if (typeof latitude === 'number' && typeof longitude === 'number') {
+    const zone = deliveryZones.find(z => z.isActive && isPointInPolygon(latitude, longitude, z.coordinates));
+    if (zone) fee = zone.deliveryFee;
+  }
+
+  if (deliverySettings.freeDeliveryThreshold > 0 && subtotal >= deliverySettings.freeDeliveryThreshold) {
+    fee = 0;
+  }
+
+  return roundCurrency(fee);
+};
+
+// Tax added on top of the discounted subtotal; inclusive taxes are already in the prices
+const calculateTax = (settings, taxableAmount) => {
+  if (!settings || !Array.isArray(settings.taxSettings)) return 0;
+
+  const tax = settings.taxSettings
+    .filter(t => t.isActive && !t.isInclusive)
+    .reduce((sum, t) => sum + (t.taxType === 'fixed' ? t.taxRate : (taxableAmount * t.taxRate) / 100), 0);
+
+  return roundCurrency(tax);
+};
+
+const calculateCouponDiscount = async ({ couponCode, userId, branchId, subtotal, items, deliveryType, deliveryFee }) => {
+  const offer = await Offer.findByCouponCode(couponCode);
+
+  if (!offer || !offer.isValid) {
+    throw new PricingError('Invalid or expired coupon code', [{ field: 'couponCode', value: couponCode }]);
+  }
+  if (userId && !offer.canUserUse(userId)) {
+    throw new PricingError('Coupon usage limit reached', [{ field: 'couponCode', value: couponCode }]);
+  }
+  if (branchId && offer.branches.length > 0 && !offer.branches.some(b => b.toString() === branchId.toString())) {
+    throw new PricingError('Coupon is not valid for this branch', [{ field: 'couponCode', value: couponCode }]);
+  }
+
+  const result = offer.calculateDiscount({ subtotal, items, deliveryType });
+  if (!result.valid) {
+    throw new PricingError(result.reason, [{ field: 'couponCode', value: couponCode }]);
+  }
+
+  const discount = offer.type === 'free-delivery' ? deliveryFee : result.discount;
+  return { offer, discount: roundCurrency(Math.min(discount, subtotal + deliveryFee)) };
+};
+
+/**
+ * Price a cart entirely from server-side data
+ * @param {Object} cart - { items, deliveryType, deliveryAddress, couponCode, branchId }
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} Priced lines and order totals
+ */
+const priceCart = async (cart, { userId } = {}) => {
+  const { items = [], deliveryType, deliveryAddress, couponCode, branchId } = cart;
+
+  const foodItemIds = items.map(item => item.foodItem?.id || item.foodItem);
+  const foodItems = await FoodItem.find({ _id: { $in: foodItemIds } });
+  const foodItemsById = new Map(foodItems.map(doc => [doc._id.toString(), doc]));
+
+  const lines = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const foodItemId = String(foodItemIds[index]);
+    const foodItem = foodItemsById.get(foodItemId);
+
+    if (!foodItem || !foodItem.isActive || !foodItem.isAvailable) {
+      errors.push({ foodItem: foodItemId, field: 'foodItem', message: `Food item ${foodItemId} is not available` });
+      return;
+    }
+
+    const priced = priceCartItem(foodItem, item);
+    errors.push(...priced.errors);
+    lines.push(priced.line);
+  });
+
+  if (errors.length > 0) {
+    throw new PricingError(errors[0].message, errors);
+  }
+
+  const settings = await Setting.findOne();
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const deliveryFee = calculateDeliveryFee(settings, deliveryType, deliveryAddress, subtotal);
+
+  let discount = 0;
+  let offer = null;
+  if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+    throw new PricingError('Coupon code must be text', [{ field: 'couponCode', value: couponCode }]);
+  }
+  if (couponCode) {
+    ({ offer, discount } = await calculateCouponDiscount({
+      couponCode, userId, branchId, subtotal, items: lines, deliveryType, deliveryFee
+    }));
+  }
+
+  // Free delivery comes off the fee, not the goods the tax is charged on
+  const goodsDiscount = offer?.type === 'free-delivery' ? 0 : Math.min(discount, subtotal);
+  const tax = calculateTax(settings, Math.max(0, subtotal - goodsDiscount));
+  const total = roundCurrency(Math.max(0, subtotal + deliveryFee + tax - discount));
+
+  return {
+    items: lines,
+    subtotal,
+    deliveryFee,
+    tax,
+    discount,
+    couponCode: offer ? offer.couponCode : undefined,
+    offerId: offer ? offer._id : undefined,
+    total,
+    currency: settings?.currency || 'EUR'
+  };
+};
+
+const localizedName = (name, lang) =>
+  (typeof name === 'string' ? name : name?.[lang] || name?.en);
+
+/**
+ * Rebuild a past order as a cart against today's menu
+ * Lines that can no longer be ordered are dropped, options that no longer
+ * exist are removed, and every change is reported instead of failing.
+ * @param {Object} order - Order document
+ * @param {Object} options - { userId, lang }
+ * @returns {Promise<{ cart: Object|null, changes: Array }>} cart is null when nothing is left
+ */
+const buildReorderCart = async (order, { userId, lang = 'en' } = {}) => {
+  const foodItemIds = order.items.map(item => item.foodItem?._id || item.foodItem);
+  const foodItems = await FoodItem.find({ _id: { $in: foodItemIds } });
+  const foodItemsById = new Map(foodItems.map(doc => [doc._id.toString(), doc]));
+
+  const lines = [];
+  const changes = [];
+
+  order.items.forEach((item, index) => {
+    const foodItemId = String(foodItemIds[index]);
+    const foodItem = foodItemsById.get(foodItemId);
+    const name = foodItem ? localizedName(foodItem.name, lang) : undefined;
+
+    if (!foodItem) {
+      changes.push({ type: 'removed', foodItem: foodItemId, message: 'This item is no longer on the menu' });
+      return;
+    }
+
+    if (!foodItem.isActive || !foodItem.isAvailable) {
+      changes.push({ type: 'unavailable', foodItem: foodItemId, name, message: `${name} is currently unavailable` });
+      return;
+    }
+
+    let quantity = item.quantity;
+    if (foodItem.trackStock && foodItem.stockQuantity < quantity) {
+      if (foodItem.stockQuantity <= 0) {
+        changes.push({ type: 'out-of-stock', foodItem: foodItemId, name, message: `${name} is out of stock` });
+        return;
+      }
+      changes.push({
+        type: 'quantity-reduced',
+        foodItem: foodItemId,
+        name,
+        previousQuantity: quantity,
+        quantity: foodItem.stockQuantity,
+        message: `Only ${foodItem.stockQuantity} ${name} left in stock`
+      });
+      quantity = foodItem.stockQuantity;
+    }
+
+    // Options that no longer exist come back as errors and are left out of the line
+    const priced = priceCartItem(foodItem, {
+      quantity,
+      selectedMealSize: item.selectedMealSize,
+      selectedExtras: item.selectedExtras,
+      selectedAddons: item.selectedAddons,
+      specialInstructions: item.specialInstructions
+    });
+
+    priced.errors.forEach(error => changes.push({
+      type: 'option-removed',
+      foodItem: foodItemId,
+      name,
+      field: error.field,
+      option: error.value,
+      message: error.message
+    }));
+
+    // A line without its removed options naturally costs less; only lines that still match are repriced
+    if (priced.errors.length === 0 && Math.abs(priced.line.unitPrice - item.unitPrice) > PRICE_TOLERANCE) {
+      changes.push({
+        type: 'price-changed',
+        foodItem: foodItemId,
+        name,
+        previousUnitPrice: item.unitPrice,
+        unitPrice: priced.line.unitPrice,
+        message: `${name} now costs ${priced.line.unitPrice.toFixed(2)} instead of ${item.unitPrice.toFixed(2)}`
+      });
+    }
+
+    lines.push({
+      ...priced.line,
+      foodItem: { id: foodItem._id, name, imageUrl: foodItem.imageUrl }
+    });
+  });
+
+  if (lines.length === 0) {
+    return { cart: null, changes };
+  }
+
+  const cart = {
+    items: lines,
+    deliveryType: order.deliveryType,
+    deliveryAddress: order.deliveryAddress,
+    branchId: order.branchId?._id || order.branchId
+  };
+
+  const pricing = await priceCart(cart, { userId });
+
+  return {
+    cart: {
+      ...cart,
+      paymentMethod: order.paymentMethod,
+      codPaymentType: order.codPaymentType,
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      tax: pricing.tax,
+      discount: pricing.discount,
+      total: pricing.total,
+      currency: pricing.currency
+    },
+    changes
+  };
+};
+
+/**
+ * Compare client-calculated amounts with server pricing
+ * @param {Object} pricing - Result of priceCart
+ * @param {Object} client - Request body as sent by the client
+ * @returns {Array} Differences; empty when everything matches
+ */
+const diffClientTotals = (pricing, client) => {
+  const differences = [];
+
+  const compare = (field, clientValue, serverValue, extra = {}) => {
+    if (clientValue === undefined || clientValue === null || clientValue === '') return;
+    const clientAmount = Number(clientValue);
+    if (Number.isNaN(clientAmount) || Math.abs(clientAmount - serverValue) > PRICE_TOLERANCE) {
+      differences.push({ field, client: clientValue, server: serverValue, ...extra });
+    }
+  };
+
+  (client.items || []).forEach((item, index) => {
+    const line = pricing.items[index];
+    if (!line) return;
+    compare(`items[${index}].unitPrice`, item.unitPrice, line.unitPrice, { foodItem: line.foodItem });
+    compare(`items[${index}].totalPrice`, item.totalPrice, line.totalPrice, { foodItem: line.foodItem });
+  });
+
+  ['subtotal', 'deliveryFee', 'tax', 'discount', 'total'].forEach(field => {
+    compare(field, client[field], pricing[field]);
+  });
+
+  return differences;
+};
+
+module.exports = {
+  PricingError,
+  priceCart,
+  buildReorderCart,
+  diffClientTotals,
+  roundCurrency
+};
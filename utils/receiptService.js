@@ -0,0 +1,528 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const Setting = require('../models/Setting');
+const { formatLocalDateTime } = require('./timeUtils');
+const { roundCurrency } = require('./pricingService');
+const { sendReceiptEmail } = require('./emailService');
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'ca', 'ar'];
+const RTL_LANGUAGES = ['ar'];
+
+// Intl locales; Arabic keeps Latin digits so amounts read the same on every device
+const LOCALES = {
+  en: 'en-GB',
+  es: 'es-ES',
+  ca: 'ca-ES',
+  ar: 'ar-u-nu-latn'
+};
+
+const LABELS = {
+  en: {
+    receipt: 'Receipt',
+    invoice: 'Simplified invoice',
+    taxId: 'Tax ID',
+    order: 'Order',
+    date: 'Date',
+    customer: 'Customer',
+    item: 'Item',
+    quantity: 'Qty',
+    unitPrice: 'Price',
+    amount: 'Amount',
+    size: 'Size',
+    extras: 'Extras',
+    addons: 'Add-ons',
+    notes: 'Notes',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    coupon: 'Coupon',
+    deliveryFee: 'Delivery fee',
+    tax: 'Tax',
+    taxIncluded: 'included',
+    total: 'Total',
+    refunded: 'Refunded',
+    paymentMethod: 'Payment method',
+    deliveryType: 'Order type',
+    deliveryAddress: 'Delivery address',
+    thankYou: 'Thank you for your order!',
+    print: 'Print',
+    delivery: 'Delivery',
+    pickup: 'Pickup',
+    card: 'Card',
+    cash: 'Cash on delivery',
+    shop: 'Pay at the shop',
+    paypal: 'PayPal',
+    stripe: 'Card',
+    wallet: 'Wallet'
+  },
+  es: {
+    receipt: 'Recibo',
+    invoice: 'Factura simplificada',
+    taxId: 'NIF',
+    order: 'Pedido',
+    date: 'Fecha',
+    customer: 'Cliente',
+    item: 'Artículo',
+    quantity: 'Cant.',
+    unitPrice: 'Precio',
+    amount: 'Importe',
+    size: 'Tamaño',
+    extras: 'Extras',
+    addons: 'Complementos',
+    notes: 'Notas',
+    subtotal: 'Subtotal',
+    discount: 'Descuento',
+    coupon: 'Cupón',
+    deliveryFee: 'Gastos de envío',
+    tax: 'Impuestos',
+    taxIncluded: 'incluido',
+    total: 'Total',
+    refunded: 'Reembolsado',
+    paymentMethod: 'Método de pago',
+    deliveryType: 'Tipo de pedido',
+    deliveryAddress: 'Dirección de entrega',
+    thankYou: '¡Gracias por tu pedido!',
+    print: 'Imprimir',
+    delivery: 'A domicilio',
+    pickup: 'Para recoger',
+    card: 'Tarjeta',
+    cash: 'Pago contra reembolso',
+    shop: 'Pago en tienda',
+    paypal: 'PayPal',
+    stripe: 'Tarjeta',
+    wallet: 'Monedero'
+  },
+  ca: {
+    receipt: 'Rebut',
+    invoice: 'Factura simplificada',
+    taxId: 'NIF',
+    order: 'Comanda',
+    date: 'Data',
+    customer: 'Client',
+    item: 'Article',
+    quantity: 'Quant.',
+    unitPrice: 'Preu',
+    amount: 'Import',
+    size: 'Mida',
+    extras: 'Extres',
+    addons: 'Complements',
+    notes: 'Notes',
+    subtotal: 'Subtotal',
+    discount: 'Descompte',
+    coupon: 'Cupó',
+    deliveryFee: "Despeses d'enviament",
+    tax: 'Impostos',
+    taxIncluded: 'inclòs',
+    total: 'Total',
+    refunded: 'Reemborsat',
+    paymentMethod: 'Mètode de pagament',
+    deliveryType: 'Tipus de comanda',
+    deliveryAddress: "Adreça d'entrega",
+    thankYou: 'Gràcies per la teva comanda!',
+    print: 'Imprimeix',
+    delivery: 'A domicili',
+    pickup: 'Per recollir',
+    card: 'Targeta',
+    cash: 'Pagament contra reemborsament',
+    shop: 'Pagament a la botiga',
+    paypal: 'PayPal',
+    stripe: 'Targeta',
+    wallet: 'Moneder'
+  },
+  ar: {
+    receipt: 'إيصال',
+    invoice: 'فاتورة مبسطة',
+    taxId: 'الرقم الضريبي',
+    order: 'الطلب',
+    date: 'التاريخ',
+    customer: 'العميل',
+    item: 'الصنف',
+    quantity: 'الكمية',
+    unitPrice: 'السعر',
+    amount: 'المبلغ',
+    size: 'الحجم',
+    extras: 'إضافات',
+    addons: 'ملحقات',
+    notes: 'ملاحظات',
+    subtotal: 'المجموع الفرعي',
+    discount: 'الخصم',
+    coupon: 'القسيمة',
+    deliveryFee: 'رسوم التوصيل',
+    tax: 'الضريبة',
+    taxIncluded: 'مشمولة',
+    total: 'المجموع',
+    refunded: 'المبلغ المسترد',
+    paymentMethod: 'طريقة الدفع',
+    deliveryType: 'نوع الطلب',
+    deliveryAddress: 'عنوان التوصيل',
+    thankYou: 'شكراً لطلبك!',
+    print: 'طباعة',
+    delivery: 'توصيل',
+    pickup: 'استلام',
+    card: 'بطاقة',
+    cash: 'الدفع عند الاستلام',
+    shop: 'الدفع في المتجر',
+    paypal: 'PayPal',
+    stripe: 'بطاقة',
+    wallet: 'المحفظة'
+  }
+};
+
+const PAYMENT_METHOD_LABELS = {
+  card: 'card',
+  'cash-on-delivery': 'cash',
+  cashOnDelivery: 'cash',
+  shop: 'shop',
+  paypal: 'paypal',
+  stripe: 'stripe',
+  wallet: 'wallet'
+};
+
+const resolveLanguage = (lang) => (SUPPORTED_LANGUAGES.includes(lang) ? lang : 'en');
+
+const localizedText = (value, lang) =>
+  (typeof value === 'string' ? value : value?.[lang] || value?.en || '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split the order's tax into the lines configured in Setting.taxSettings
+ * Settings may have changed since the order was placed; when the configured
+ * rates no longer add up to the stored tax, a single line with it is shown.
+ */
+const buildTaxBreakdown = (order, taxSettings = []) => {
+  const taxable = Math.max(0, order.subtotal - Math.min(order.discount || 0, order.subtotal));
+  const lines = taxSettings
+    .filter(tax => tax.isActive)
+    .map(tax => {
+      let amount;
+      if (tax.taxType === 'fixed') {
+        amount = tax.taxRate;
+      } else if (tax.isInclusive) {
+        amount = taxable - taxable / (1 + tax.taxRate / 100);
+      } else {
+        amount = (taxable * tax.taxRate) / 100;
+      }
+      return {
+        name: tax.taxName,
+        rate: tax.taxType === 'fixed' ? null : tax.taxRate,
+        inclusive: tax.isInclusive,
+        amount: roundCurrency(amount)
+      };
+    });
+
+  const exclusiveTotal = roundCurrency(lines.filter(line => !line.inclusive).reduce((sum, line) => sum + line.amount, 0));
+  if (Math.abs(exclusiveTotal - (order.tax || 0)) > 0.01) {
+    return [
+      ...lines.filter(line => line.inclusive),
+      ...(order.tax ? [{ name: null, rate: null, inclusive: false, amount: order.tax }] : [])
+    ];
+  }
+
+  return lines;
+};
+
+/**
+ * Collect everything a receipt shows, already localized
+ * @param {Object} order - Order with items.foodItem and userId populated
+ * @param {Object} settings - Setting document (restaurant details and taxes)
+ * @param {string} lang - en, es, ca or ar
+ * @param {Object} options - { invoiceNumber } of the order's simplified invoice, once issued
+ * @returns {Object} Receipt data for renderReceiptHtml / renderReceiptPdf
+ */
+const buildReceipt = (order, settings, lang, options = {}) => {
+  const language = resolveLanguage(lang);
+  const labels = LABELS[language];
+  const locale = LOCALES[language];
+  const currency = settings?.currency || 'EUR';
+  const moneyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const money = (value) => moneyFormat.format(value || 0);
+
+  const address = settings?.address;
+  const customer = order.userId && order.userId.firstName
+    ? `${order.userId.firstName} ${order.userId.lastName || ''}`.trim()
+    : order.customerContact?.name || null;
+
+  return {
+    language,
+    direction: RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr',
+    labels,
+    restaurant: {
+      name: settings?.restaurantName || process.env.APP_NAME || 'Saborly',
+      address: address ? [address.street, `${address.zipCode} ${address.city}`, address.country].filter(Boolean).join(', ') : '',
+      phone: settings?.contactPhone,
+      email: settings?.contactEmail,
+      website: settings?.websiteUrl,
+      taxId: settings?.invoicing?.taxId ? `${labels.taxId} ${settings.invoicing.taxId}` : null
+    },
+    orderNumber: order.orderNumber,
+    invoiceNumber: options.invoiceNumber || null,
+    date: formatLocalDateTime(order.createdAt || new Date(), settings?.timezone || 'UTC', locale),
+    customer,
+    deliveryType: labels[order.deliveryType] || order.deliveryType,
+    deliveryAddress: order.deliveryType === 'delivery' && order.deliveryAddress
+      ? [order.deliveryAddress.address, order.deliveryAddress.apartment].filter(Boolean).join(', ')
+      : null,
+    paymentMethod: labels[PAYMENT_METHOD_LABELS[order.paymentMethod]] || order.paymentMethod,
+    items: order.items.map(item => ({
+      name: localizedText(item.foodItem?.name, language),
+      quantity: item.quantity,
+      unitPrice: money(item.unitPrice),
+      amount: money(item.totalPrice),
+      details: [
+        item.selectedMealSize?.name && `${labels.size}: ${item.selectedMealSize.name}`,
+        item.selectedExtras?.length > 0 && `${labels.extras}: ${item.selectedExtras.map(extra => extra.name).join(', ')}`,
+        item.selectedAddons?.length > 0 && `${labels.addons}: ${item.selectedAddons.map(addon => addon.name).join(', ')}`,
+        item.specialInstructions && `${labels.notes}: ${item.specialInstructions}`
+      ].filter(Boolean)
+    })),
+    totals: [
+      { label: labels.subtotal, value: money(order.subtotal) },
+      ...(order.discount > 0
+        ? [{ label: order.couponCode ? `${labels.discount} · ${labels.coupon} ${order.couponCode}` : labels.discount, value: `-${money(order.discount)}` }]
+        : []),
+      ...(order.deliveryType === 'delivery' ? [{ label: labels.deliveryFee, value: money(order.deliveryFee) }] : []),
+      ...buildTaxBreakdown(order, settings?.taxSettings).map(tax => ({
+        label: [
+          tax.name || labels.tax,
+          tax.rate !== null ? `${tax.rate}%` : null,
+          tax.inclusive ? `· ${labels.taxIncluded}` : null
+        ].filter(Boolean).join(' '),
+        value: money(tax.amount),
+        muted: tax.inclusive
+      }))
+    ],
+    total: { label: labels.total, value: money(order.total) },
+    refunded: order.refundedTotal > 0 ? { label: labels.refunded, value: `-${money(order.refundedTotal)}` } : null,
+    thankYou: labels.thankYou
+  };
+};
+
+const renderReceiptHtml = (receipt) => {
+  const { labels } = receipt;
+  const start = receipt.direction === 'rtl' ? 'right' : 'left';
+  const end = receipt.direction === 'rtl' ? 'left' : 'right';
+
+  const itemRows = receipt.items.map(item => `
+          <tr>
+            <td>
+              <div class="item-name">${escapeHtml(item.name)}</div>
+              ${item.details.map(detail => `<div class="item-detail">${escapeHtml(detail)}</div>`).join('')}
+            </td>
+            <td class="num">${item.quantity}</td>
+            <td class="num">${escapeHtml(item.unitPrice)}</td>
+            <td class="num">${escapeHtml(item.amount)}</td>
+          </tr>`).join('');
+
+  const totalRows = receipt.totals.map(line => `
+          <tr${line.muted ? ' class="muted"' : ''}><td>${escapeHtml(line.label)}</td><td class="num">${escapeHtml(line.value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${receipt.language}" dir="${receipt.direction}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(labels.receipt)} #${escapeHtml(receipt.orderNumber)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; color: #333; margin: 0; padding: 24px; background: #f4f4f4; }
+    .receipt { max-width: 420px; margin: 0 auto; background: white; padding: 24px; border-radius: 8px; }
+    h1 { font-size: 20px; margin: 0 0 4px; text-align: center; }
+    .restaurant { text-align: center; font-size: 12px; color: #666; margin-bottom: 16px; }
+    .meta { font-size: 13px; margin-bottom: 16px; }
+    .meta div { margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: ${start}; border-bottom: 1px solid #ddd; padding: 6px 0; }
+    td { padding: 6px 0; vertical-align: top; text-align: ${start}; }
+    .num { text-align: ${end}; white-space: nowrap; direction: ltr; unicode-bidi: isolate; }
+    .item-name { font-weight: 600; }
+    .item-detail { font-size: 11px; color: #666; }
+    .totals { margin-top: 12px; border-top: 1px solid #ddd; }
+    .muted td { color: #888; font-size: 12px; }
+    .grand-total td { font-weight: 700; font-size: 16px; border-top: 1px solid #333; padding-top: 8px; }
+    .thanks { text-align: center; margin-top: 20px; font-size: 13px; }
+    .print { display: block; margin: 16px auto 0; padding: 8px 16px; }
+    @media print { body { background: white; padding: 0; } .receipt { border-radius: 0; } .print { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="receipt">
+    <h1>${escapeHtml(receipt.restaurant.name)}</h1>
+    <div class="restaurant">
+      ${[receipt.restaurant.taxId, receipt.restaurant.address, receipt.restaurant.phone, receipt.restaurant.email, receipt.restaurant.website]
+    .filter(Boolean).map(escapeHtml).join('<br>')}
+    </div>
+    <div class="meta">
+      <div><strong>${escapeHtml(labels.receipt)}</strong> · ${escapeHtml(labels.order)} <span dir="ltr">#${escapeHtml(receipt.orderNumber)}</span></div>
+      ${receipt.invoiceNumber ? `<div>${escapeHtml(labels.invoice)}: <span dir="ltr">${escapeHtml(receipt.invoiceNumber)}</span></div>` : ''}
+      <div>${escapeHtml(labels.date)}: ${escapeHtml(receipt.date)}</div>
+      ${receipt.customer ? `<div>${escapeHtml(labels.customer)}: ${escapeHtml(receipt.customer)}</div>` : ''}
+      <div>${escapeHtml(labels.deliveryType)}: ${escapeHtml(receipt.deliveryType)}</div>
+      ${receipt.deliveryAddress ? `<div>${escapeHtml(labels.deliveryAddress)}: ${escapeHtml(receipt.deliveryAddress)}</div>` : ''}
+      <div>${escapeHtml(labels.paymentMethod)}: ${escapeHtml(receipt.paymentMethod)}</div>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>${escapeHtml(labels.item)}</th>
+          <th class="num">${escapeHtml(labels.quantity)}</th>
+          <th class="num">${escapeHtml(labels.unitPrice)}</th>
+          <th class="num">${escapeHtml(labels.amount)}</th>
+        </tr>
+      </thead>
+      <tbody>${itemRows}
+      </tbody>
+    </table>
+    <table class="totals">
+      <tbody>${totalRows}
+        <tr class="grand-total"><td>${escapeHtml(receipt.total.label)}</td><td class="num">${escapeHtml(receipt.total.value)}</td></tr>
+        ${receipt.refunded ? `<tr class="muted"><td>${escapeHtml(receipt.refunded.label)}</td><td class="num">${escapeHtml(receipt.refunded.value)}</td></tr>` : ''}
+      </tbody>
+    </table>
+    <div class="thanks">${escapeHtml(receipt.thankYou)}</div>
+    <button class="print" onclick="window.print()">${escapeHtml(labels.print)}</button>
+  </div>
+</body>
+</html>`;
+};
+
+// Built-in PDF fonts only cover Latin text; Arabic needs a TTF set in RECEIPT_PDF_FONT
+const getPdfFont = () => {
+  const fontPath = process.env.RECEIPT_PDF_FONT;
+  return fontPath && fs.existsSync(fontPath) ? fontPath : null;
+};
+
+const canRenderPdf = (receipt) => receipt.direction !== 'rtl' || Boolean(getPdfFont());
+
+/**
+ * Render a receipt as an A5-sized PDF
+ * Labels, names and amounts are drawn as separate runs so right-to-left text
+ * never reorders numbers.
+ * @param {Object} receipt - Result of buildReceipt
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const fontPath = getPdfFont();
+  if (fontPath) {
+    doc.registerFont('receipt', fontPath);
+    doc.font('receipt');
+  } else {
+    doc.font('Helvetica');
+  }
+
+  const rtl = receipt.direction === 'rtl';
+  const { labels } = receipt;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const align = rtl ? 'right' : 'left';
+
+  // Columns are mirrored for right-to-left receipts
+  const column = (offset, size) => (rtl ? left + width - offset - size : left + offset);
+
+  const row = (text, value, options = {}) => {
+    const y = doc.y;
+    doc.fontSize(options.size || 9).fillColor(options.color || '#333333');
+    doc.text(text, column(0, width * 0.7), y, { width: width * 0.7, align });
+    const textBottom = doc.y;
+    doc.text(value, column(width * 0.7, width * 0.3), y, { width: width * 0.3, align: rtl ? 'left' : 'right' });
+    doc.y = Math.max(textBottom, doc.y);
+    doc.x = left;
+  };
+
+  const rule = () => {
+    doc.moveDown(0.3);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#dddddd').stroke();
+    doc.moveDown(0.3);
+  };
+
+  doc.fontSize(14).fillColor('#333333').text(receipt.restaurant.name, { align: 'center' });
+  doc.fontSize(8).fillColor('#666666');
+  [receipt.restaurant.taxId, receipt.restaurant.address, receipt.restaurant.phone, receipt.restaurant.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { align: 'center' }));
+  doc.moveDown();
+
+  row(`${labels.receipt} · ${labels.order}`, `#${receipt.orderNumber}`, { size: 10 });
+  if (receipt.invoiceNumber) row(labels.invoice, receipt.invoiceNumber);
+  row(labels.date, receipt.date);
+  if (receipt.customer) row(labels.customer, receipt.customer);
+  row(labels.deliveryType, receipt.deliveryType);
+  if (receipt.deliveryAddress) {
+    doc.fontSize(9).text(`${labels.deliveryAddress}: ${receipt.deliveryAddress}`, left, doc.y, { width, align });
+  }
+  row(labels.paymentMethod, receipt.paymentMethod);
+  rule();
+
+  receipt.items.forEach(item => {
+    row(item.name, item.amount, { size: 10 });
+    row(`${item.quantity} × ${item.unitPrice}`, '', { color: '#666666' });
+    item.details.forEach(detail => {
+      doc.fontSize(8).fillColor('#666666').text(detail, left, doc.y, { width, align });
+    });
+    doc.moveDown(0.3);
+  });
+  rule();
+
+  receipt.totals.forEach(line => row(line.label, line.value, { color: line.muted ? '#888888' : '#333333' }));
+  rule();
+  row(receipt.total.label, receipt.total.value, { size: 12 });
+  if (receipt.refunded) row(receipt.refunded.label, receipt.refunded.value, { color: '#888888' });
+
+  doc.moveDown();
+  doc.fontSize(9).fillColor('#333333').text(receipt.thankYou, left, doc.y, { width, align: 'center' });
+
+  doc.end();
+});
+
+/**
+ * Email the receipt of a delivered order, when enabled in orderSettings
+ * Never throws: a mail problem must not affect the delivery update.
+ * @param {Object} order - Order document
+ */
+const emailReceiptOnDelivery = async (order) => {
+  try {
+    const settings = await Setting.findOne();
+    if (!settings?.orderSettings?.emailReceiptOnDelivery) return false;
+
+    // A separate copy, so the caller's document is not populated under it
+    const receiptOrder = await order.constructor.findById(order._id).populate([
+      { path: 'userId', select: 'firstName lastName email preferredLanguage preferences' },
+      { path: 'items.foodItem', select: 'name' }
+    ]);
+
+    const customer = receiptOrder?.userId;
+    if (!customer?.email || customer.preferences?.notifications?.email === false) return false;
+
+    const receipt = buildReceipt(receiptOrder, settings, customer.preferredLanguage || settings.language);
+    await sendReceiptEmail(customer.email, {
+      subject: `${receipt.labels.receipt} #${receiptOrder.orderNumber} · ${receipt.restaurant.name}`,
+      html: renderReceiptHtml(receipt),
+      pdf: canRenderPdf(receipt) ? await renderReceiptPdf(receipt) : null,
+      orderNumber: receiptOrder.orderNumber
+    });
+    return true;
+  } catch (error) {
+    console.error('Error emailing receipt:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  localizedText,
+  buildTaxBreakdown,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  canRenderPdf,
+  emailReceiptOnDelivery
+};
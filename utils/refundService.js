@@ -0,0 +1,229 @@
+const Order = require('../models/Order');
+const { releaseStock } = require('./stockService');
+const { roundCurrency } = require('./pricingService');
+const { issueRefundInvoice } = require('./invoiceService');
+const { refundOrderPayment } = require('./paymentService');
+const { creditWallet } = require('./walletService');
+
+const REFUND_REASON_CODES = Order.schema.path('refunds').schema.path('reasonCode').enumValues;
+
+// Payment statuses under which the order total has actually been collected
+const PAID_STATUSES = ['paid', 'partially-refunded', 'refunded'];
+
+class RefundError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Amount collected for the order that can be given back in total
+const getPaidAmount = (order) => (PAID_STATUSES.includes(order.paymentStatus) ? order.total : 0);
+
+const getRefundedAmount = (order) =>
+  roundCurrency((order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0));
+
+const getRefundableAmount = (order) => roundCurrency(getPaidAmount(order) - getRefundedAmount(order));
+
+// Part of the payment taken outside the wallet and gift card that has not been given back yet
+const getExternalRefundableAmount = (order) => {
+  const externalPaid = getPaidAmount(order) - (order.walletAmount || 0) - (order.giftCardAmount || 0);
+  const externalRefunded = (order.refunds || [])
+    .reduce((sum, refund) => sum + refund.amount - (refund.walletAmount || 0), 0);
+  return Math.max(0, roundCurrency(externalPaid - externalRefunded));
+};
+
+// Units of a cart line already refunded by earlier ledger entries
+const getRefundedQuantity = (order, itemId) => (order.refunds || []).reduce((sum, refund) =>
+  sum + refund.items
+    .filter(item => item.itemId.toString() === itemId.toString())
+    .reduce((lineSum, item) => lineSum + item.quantity, 0), 0);
+
+// What a paying customer actually spent per unit, after discount and tax
+const paidShareOfSubtotal = (order) => {
+  if (!order.subtotal) return 0;
+  const goodsTotal = Math.max(0, order.total - (order.deliveryFee || 0));
+  return goodsTotal / order.subtotal;
+};
+
+// Resolve requested cart lines into ledger lines with amounts
+const resolveRefundItems = (order, requestedItems) => {
+  const share = paidShareOfSubtotal(order);
+  const requestedByLine = new Map();
+
+  for (const { itemId, quantity } of requestedItems) {
+    const key = itemId.toString();
+    requestedByLine.set(key, (requestedByLine.get(key) || 0) + quantity);
+  }
+
+  const lines = [];
+  for (const [itemId, quantity] of requestedByLine) {
+    const cartItem = order.items.id(itemId);
+
+    if (!cartItem) {
+      throw new RefundError('Item not found in this order', 400, { itemId });
+    }
+
+    const remaining = cartItem.quantity - getRefundedQuantity(order, itemId);
+    if (quantity > remaining) {
+      throw new RefundError(`Only ${remaining} unit(s) of this item can still be refunded`, 400, {
+        itemId,
+        requested: quantity,
+        refundable: remaining
+      });
+    }
+
+    lines.push({
+      itemId: cartItem._id,
+      foodItem: cartItem.foodItem?._id || cartItem.foodItem,
+      quantity,
+      amount: roundCurrency(cartItem.unitPrice * quantity * share)
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Add a refund to the order's ledger
+ * A refund targets cart lines (itemId + quantity) or a free-form amount, and
+ * can never take the refunded total above what was paid. Concurrent refunds
+ * on the same order fail with a mongoose VersionError instead of both landing.
+ * Money goes back the way it came: the original payment first, then the
+ * wallet for what was paid from it. Gift card money comes back as wallet
+ * credit too, since the card may have lapsed. toWallet sends all of it to the wallet.
+ * refundedAtProvider records a refund the provider already made (e.g. from its
+ * dashboard): it only goes in the ledger and the provider is not called.
+ * @param {Object} order - Order document
+ * @param {Object} request - { items, amount, reasonCode, note, restock, gatewayRef, refundedAtProvider, toWallet }
+ * @param {Object} actor - { userId } of the staff member
+ * @returns {Promise<Object>} The ledger entry
+ */
+const createRefund = async (order, request, actor = {}) => {
+  const { items = [], reasonCode, note, restock = false, gatewayRef, refundedAtProvider = false, toWallet = false } = request;
+
+  // A refund recorded before the ledger existed still counts towards the total
+  if (order.refunds.length === 0 && order.refund?.amount) {
+    order.refunds.push({
+      amount: order.refund.amount,
+      reasonCode: 'other',
+      note: order.refund.reason,
+      gatewayRef: order.refund.refundId,
+      processedAt: order.refund.processedAt
+    });
+  }
+
+  const paid = getPaidAmount(order);
+  if (paid <= 0) {
+    throw new RefundError('Nothing has been paid for this order', 409, { paymentStatus: order.paymentStatus });
+  }
+
+  const refundable = getRefundableAmount(order);
+  const lines = items.length > 0 ? resolveRefundItems(order, items) : [];
+  // Per-line rounding may leave the last items a cent above what is left
+  const amount = lines.length > 0
+    ? Math.min(roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)), refundable)
+    : roundCurrency(request.amount);
+
+  if (!(amount > 0)) {
+    throw new RefundError('Refund amount must be greater than zero', 400, { refundable });
+  }
+
+  if (amount > refundable + 0.001) {
+    throw new RefundError(`Refund exceeds the refundable amount of ${refundable.toFixed(2)}`, 400, {
+      requested: amount,
+      refundable,
+      paid
+    });
+  }
+
+  // Stock of a cancelled order has already gone back to the shelf
+  const shouldRestock = Boolean(restock) && lines.length > 0 && order.stockReservation?.status !== 'released';
+
+  // A refund made at the provider has already gone back to the card, and only the card
+  const madeAtProvider = !toWallet && (refundedAtProvider || Boolean(gatewayRef));
+  if (madeAtProvider && amount > getExternalRefundableAmount(order) + 0.001) {
+    throw new RefundError('A refund made at the provider cannot exceed what was paid through it', 409, {
+      requested: amount,
+      refundable: getExternalRefundableAmount(order)
+    });
+  }
+
+  let walletAmount = 0;
+  if (toWallet) {
+    walletAmount = amount;
+  } else if (!madeAtProvider) {
+    walletAmount = Math.max(0, roundCurrency(amount - getExternalRefundableAmount(order)));
+  }
+  const externalAmount = roundCurrency(amount - walletAmount);
+
+  // Online payments are given back at the provider first. The key is the ledger
+  // position, so a retry after a conflicting save does not refund twice.
+  const refundKey = `${order._id}:refund:${order.refunds.length}`;
+  const providerRefund = madeAtProvider || externalAmount <= 0 ? null : await refundOrderPayment(order, {
+    amount: externalAmount,
+    reason: reasonCode,
+    idempotencyKey: refundKey
+  });
+
+  if (walletAmount > 0) {
+    await creditWallet(order.userId._id || order.userId, walletAmount, {
+      type: 'refund',
+      orderId: order._id,
+      reference: refundKey,
+      note: note || `Refund for order ${order.orderNumber}`,
+      createdBy: actor.userId,
+      idempotencyKey: `${refundKey}:wallet`
+    });
+  }
+
+  order.refunds.push({
+    amount,
+    items: lines,
+    reasonCode,
+    note,
+    restock: shouldRestock,
+    gatewayRef: gatewayRef || providerRefund?.id,
+    walletAmount,
+    processedBy: actor.userId,
+    processedAt: new Date()
+  });
+
+  const refundedTotal = getRefundedAmount(order);
+  order.paymentStatus = refundedTotal >= paid - 0.001 ? 'refunded' : 'partially-refunded';
+
+  if (order.paymentStatus === 'refunded' && order.cancellation?.reason) {
+    order.cancellation.refundProcessed = true;
+  }
+
+  // Two staff refunding at once must not both pass the checks above
+  order.increment();
+  await order.save();
+
+  if (shouldRestock) {
+    await releaseStock(lines);
+  }
+
+  const refund = order.refunds[order.refunds.length - 1];
+
+  // Invoices are never edited; the refund is booked as a rectifying invoice
+  try {
+    await issueRefundInvoice(order, refund, actor);
+  } catch (error) {
+    console.error('❌ Error issuing rectifying invoice:', error);
+  }
+
+  return refund;
+};
+
+module.exports = {
+  REFUND_REASON_CODES,
+  RefundError,
+  createRefund,
+  getPaidAmount,
+  getRefundedAmount,
+  getRefundableAmount,
+  getExternalRefundableAmount
+};
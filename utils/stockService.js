@@ -0,0 +1,178 @@
+const { FoodItem } = require('../models/Category');
+
+class StockError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'StockError';
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+// Sum quantities per food item so an item ordered on several lines is checked once
+const quantitiesByFoodItem = (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const id = (item.foodItem?._id || item.foodItem).toString();
+    quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+  }
+  return quantities;
+};
+
+const releaseQuantities = async (quantities) => {
+  if (quantities.size === 0) return;
+
+  const operations = [];
+  for (const [id, quantity] of quantities) {
+    operations.push(
+      { updateOne: { filter: { _id: id, trackStock: true }, update: { $inc: { stockQuantity: quantity } } } },
+      { updateOne: { filter: { _id: id }, update: { $inc: { totalSold: -quantity } } } }
+    );
+  }
+
+  await FoodItem.bulkWrite(operations, { ordered: false });
+};
+
+/**
+ * Reserve stock for every cart line, all or nothing.
+ * Each item is decremented with a conditional update so concurrent orders
+ * can never take stock below zero; if any line fails, what was already
+ * reserved is put back and a StockError lists every short item.
+ * @param {Array} items - Cart lines with foodItem and quantity
+ */
+const reserveStock = async (items) => {
+  const quantities = quantitiesByFoodItem(items);
+  const reserved = new Map();
+  const shortages = [];
+
+  for (const [id, quantity] of quantities) {
+    const tracked = await FoodItem.updateOne(
+      { _id: id, trackStock: true, stockQuantity: { $gte: quantity } },
+      { $inc: { stockQuantity: -quantity, totalSold: quantity } }
+    );
+
+    if (tracked.modifiedCount === 1) {
+      reserved.set(id, quantity);
+      continue;
+    }
+
+    const untracked = await FoodItem.updateOne(
+      { _id: id, trackStock: { $ne: true } },
+      { $inc: { totalSold: quantity } }
+    );
+
+    if (untracked.modifiedCount === 1) {
+      reserved.set(id, quantity);
+      continue;
+    }
+
+    const foodItem = await FoodItem.findById(id).select('name stockQuantity');
+    shortages.push({
+      foodItem: id,
+      name: foodItem?.name,
+      requested: quantity,
+      available: Math.max(0, foodItem?.stockQuantity || 0),
+      message: 'Insufficient stock'
+    });
+  }
+
+  if (shortages.length > 0) {
+    await releaseQuantities(reserved);
+    throw new StockError('Insufficient stock for one or more items', shortages);
+  }
+};
+
+// Put stock back for cart lines that were reserved
+const releaseStock = (items) => releaseQuantities(quantitiesByFoodItem(items));
+
+/**
+ * Move a reservation from one set of cart lines to another.
+ * Only the difference per food item is reserved or released, and nothing
+ * changes if the extra stock is not available.
+ * @param {Array} previousItems - Lines currently reserved
+ * @param {Array} nextItems - Lines that should be reserved instead
+ */
+const adjustStock = async (previousItems, nextItems) => {
+  const previous = quantitiesByFoodItem(previousItems);
+  const next = quantitiesByFoodItem(nextItems);
+  const extra = [];
+  const freed = new Map();
+
+  for (const id of new Set([...previous.keys(), ...next.keys()])) {
+    const delta = (next.get(id) || 0) - (previous.get(id) || 0);
+    if (delta > 0) extra.push({ foodItem: id, quantity: delta });
+    if (delta < 0) freed.set(id, -delta);
+  }
+
+  await reserveStock(extra);
+  await releaseQuantities(freed);
+};
+
+/**
+ * Change an item's stock level by hand, e.g. for a delivery or waste.
+ * The change is a single $inc, so it adds to or takes from whatever checkouts
+ * reserved meanwhile instead of overwriting it, and stock that is not on the
+ * shelf cannot be taken away.
+ * @param {string} foodItemId - Food item to change
+ * @param {number} change - Units to add (positive) or remove (negative)
+ * @returns {Promise<number|null>} The new stock level, or null if there is no such item
+ */
+const changeStockLevel = async (foodItemId, change) => {
+  const result = await FoodItem.updateOne(
+    change < 0 ? { _id: foodItemId, stockQuantity: { $gte: -change } } : { _id: foodItemId },
+    { $inc: { stockQuantity: change } }
+  );
+
+  const foodItem = await FoodItem.findById(foodItemId).select('name stockQuantity');
+  if (!foodItem) return null;
+
+  if (result.modifiedCount !== 1) {
+    throw new StockError('Not enough stock to remove', [{
+      foodItem: foodItemId,
+      name: foodItem.name,
+      requested: -change,
+      available: Math.max(0, foodItem.stockQuantity || 0),
+      message: 'Insufficient stock'
+    }]);
+  }
+
+  return foodItem.stockQuantity;
+};
+
+/**
+ * Release an order's reservation exactly once.
+ * The reservation flag is flipped atomically first, so a cancel racing a
+ * payment failure (or two instances cancelling) restocks only once.
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} Whether stock was released by this call
+ */
+const releaseOrderStock = async (order) => {
+  const releasedAt = new Date();
+  const result = await order.constructor.updateOne(
+    {
+      _id: order._id,
+      $or: [
+        { 'stockReservation.status': 'reserved' },
+        // Orders placed before reservations were recorded still hold their stock
+        { 'stockReservation.status': { $exists: false } }
+      ]
+    },
+    { $set: { 'stockReservation.status': 'released', 'stockReservation.releasedAt': releasedAt } }
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  await releaseStock(order.items);
+  order.set('stockReservation.status', 'released');
+  order.set('stockReservation.releasedAt', releasedAt);
+  return true;
+};
+
+module.exports = {
+  StockError,
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  changeStockLevel,
+  releaseOrderStock
+};
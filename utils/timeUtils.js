@@ -0,0 +1,68 @@
+// Calendar fields of a moment as seen in the given IANA timezone
+exports.getZonedParts = (date, timeZone = 'UTC') => {
+  const options = {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  };
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone });
+  } catch (error) {
+    // Unknown timezone in settings: fall back to UTC rather than failing the request
+    formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' });
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    weekday: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// Format a date for customer-facing messages in the restaurant timezone
+exports.formatLocalDateTime = (date, timeZone = 'UTC', locale = 'en-GB') => {
+  const options = { dateStyle: 'medium', timeStyle: 'short' };
+  try {
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(date);
+  } catch (error) {
+    return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date);
+  }
+};
+
+// The moment a calendar day (YYYY-MM-DD) starts in the given IANA timezone
+exports.startOfLocalDay = (day, timeZone = 'UTC') => {
+  const [year, month, date] = day.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, date);
+
+  // Shift by the zone's offset; a second pass settles days where the offset changes
+  let result = utcMidnight;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const parts = exports.getZonedParts(new Date(result), timeZone);
+    const [hour, minute] = parts.time.split(':').map(Number);
+    const localAsUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), hour, minute);
+    result = utcMidnight - (localAsUtc - result);
+  }
+
+  return new Date(result);
+};
+
+// Parse a date filter; a bare calendar day means its start (or with endOfDay, its last moment) in the timezone
+exports.parseLocalDate = (value, timeZone = 'UTC', { endOfDay = false } = {}) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value);
+  if (!endOfDay) return exports.startOfLocalDay(value, timeZone);
+
+  const nextDay = new Date(Date.parse(value) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return new Date(exports.startOfLocalDay(nextDay, timeZone).getTime() - 1);
+};
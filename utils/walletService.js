@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { roundCurrency } = require('./pricingService');
+const { getActivePaymentProvider } = require('./paymentService');
+
+const TOP_UP_LIMITS = { min: 5, max: 500 };
+// Attempts at a debit when the wallet changed between reading and writing it
+const MAX_DEBIT_ATTEMPTS = 5;
+// Top-up intents carry the owner so a payment can only ever credit one wallet
+const TOP_UP_REFERENCE_PREFIX = 'wallet:';
+
+class WalletError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'WalletError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toAmount = (value) => {
+  const amount = roundCurrency(value);
+  if (!(amount > 0)) {
+    throw new WalletError('Amount must be greater than zero', 400);
+  }
+  return amount;
+};
+
+// The user's wallet, created empty on first use
+const getWallet = async (userId) => {
+  try {
+    return await Wallet.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { userId } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first uses at once: the other one created it
+    if (error.code === 11000) return Wallet.findOne({ userId });
+    throw error;
+  }
+};
+
+// Balances are kept rounded to the cent inside the update, so $gte guards compare exact values
+const balanceChange = (amount) => ({ $round: [{ $add: ['$balance', amount] }, 2] });
+
+// Spend the soonest-expiring credits first, so customers lose as little as possible
+const consumeExpiringCredits = (credits, amount) => {
+  let left = amount;
+  return [...credits]
+    .sort((a, b) => a.expiresAt - b.expiresAt)
+    .map(credit => {
+      const used = Math.min(credit.remaining, left);
+      left = roundCurrency(left - used);
+      return { transactionId: credit.transactionId, remaining: roundCurrency(credit.remaining - used), expiresAt: credit.expiresAt };
+    })
+    .filter(credit => credit.remaining > 0);
+};
+
+const findByKey = (idempotencyKey) =>
+  (idempotencyKey ? WalletTransaction.findOne({ idempotencyKey }) : null);
+
+// Write the ledger entry for a balance change already made, undoing the change if it cannot be written
+const recordTransaction = async (entry, undo) => {
+  try {
+    return await WalletTransaction.create(entry);
+  } catch (error) {
+    await undo();
+    // The same operation ran twice at once; the other run's entry stands
+    if (error.code === 11000 && entry.idempotencyKey) {
+      return WalletTransaction.findOne({ idempotencyKey: entry.idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add money to a user's wallet
+ * @param {string} userId - Wallet owner
+ * @param {number} value - Amount to credit
+ * @param {Object} details - { type, orderId, reference, note, expiresAt, createdBy, idempotencyKey }
+ * @returns {Promise<Object>} The ledger entry
+ */
+const creditWallet = async (userId, value, details = {}) => {
+  const amount = toAmount(value);
+  const { type, orderId, reference, note, expiresAt, createdBy, idempotencyKey } = details;
+
+  const existing = await findByKey(idempotencyKey);
+  if (existing) return existing;
+
+  const wallet = await getWallet(userId);
+  const transactionId = new mongoose.Types.ObjectId();
+  const credit = expiresAt ? [{ transactionId, remaining: amount, expiresAt }] : [];
+
+  const updated = await Wallet.findOneAndUpdate({ _id: wallet._id }, [{
+    $set: {
+      balance: balanceChange(amount),
+      expiringCredits: { $concatArrays: ['$expiringCredits', { $literal: credit }] },
+      revision: { $add: ['$revision', 1] }
+    }
+  }], { new: true });
+
+  return recordTransaction({
+    _id: transactionId,
+    walletId: wallet._id,
+    userId,
+    type,
+    amount,
+    balanceAfter: updated.balance,
+    orderId,
+    reference,
+    note,
+    expiresAt,
+    createdBy,
+    idempotencyKey
+  }, () => Wallet.updateOne({ _id: wallet._id, balance: { $gte: amount } }, [{
+    $set: {
+      balance: balanceChange(-amount),
+      expiringCredits: {
+        $filter: { input: '$expiringCredits', cond: { $ne: ['$$this.transactionId', transactionId] } }
+      },
+      revision: { $add: ['$revision', 1] }
+    }
+  }]));
+};
+
+/**
+ * Take money from a user's wallet
+ * The balance is checked and reduced in one conditional update, so concurrent
+ * debits can never take it below zero.
+ * @param {string} userId - Wallet owner
+ * @param {number} value - Amount to debit
+ * @param {Object} details - { type, orderId, reference, note, createdBy, idempotencyKey }
+ * @returns {Promise<Object>} The ledger entry
+ */
+const debitWallet = async (userId, value, details = {}) => {
+  const amount = toAmount(value);
+  const { type = 'spend', orderId, reference, note, createdBy, idempotencyKey } = details;
+
+  const existing = await findByKey(idempotencyKey);
+  if (existing) return existing;
+
+  for (let attempt = 0; attempt < MAX_DEBIT_ATTEMPTS; attempt += 1) {
+    const wallet = await Wallet.findOne({ userId });
+    const balance = wallet?.balance || 0;
+
+    if (balance < amount) {
+      throw new WalletError(`Insufficient wallet balance of ${balance.toFixed(2)}`, 409, {
+        balance,
+        requested: amount
+      });
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, revision: wallet.revision, balance: { $gte: amount } },
+      [{
+        $set: {
+          balance: balanceChange(-amount),
+          expiringCredits: { $literal: consumeExpiringCredits(wallet.expiringCredits, amount) },
+          revision: { $add: ['$revision', 1] }
+        }
+      }],
+      { new: true }
+    );
+
+    // Someone else changed the wallet since it was read; look again
+    if (!updated) continue;
+
+    return recordTransaction({
+      walletId: wallet._id,
+      userId,
+      type,
+      amount: -amount,
+      balanceAfter: updated.balance,
+      orderId,
+      reference,
+      note,
+      createdBy,
+      idempotencyKey
+    }, () => Wallet.updateOne({ _id: wallet._id }, [{
+      // The consumed credits are not restored; what comes back no longer expires
+      $set: { balance: balanceChange(amount), revision: { $add: ['$revision', 1] } }
+    }]));
+  }
+
+  throw new WalletError('The wallet is busy, please try again', 409);
+};
+
+/**
+ * Remove unspent credit whose expiry has passed
+ * @param {Date} now - Expiry cut-off
+ * @returns {Promise<number>} Wallets with credit expired
+ */
+const expireWalletCredits = async (now = new Date()) => {
+  const wallets = await Wallet.find({ 'expiringCredits.expiresAt': { $lte: now } }).select('_id');
+  let expired = 0;
+
+  for (const { _id } of wallets) {
+    for (let attempt = 0; attempt < MAX_DEBIT_ATTEMPTS; attempt += 1) {
+      const wallet = await Wallet.findById(_id);
+      const lapsed = wallet.expiringCredits.filter(credit => credit.expiresAt <= now);
+      if (lapsed.length === 0) break;
+
+      const amount = Math.min(roundCurrency(lapsed.reduce((sum, credit) => sum + credit.remaining, 0)), wallet.balance);
+      const updated = await Wallet.findOneAndUpdate(
+        { _id, revision: wallet.revision, balance: { $gte: amount } },
+        [{
+          $set: {
+            balance: balanceChange(-amount),
+            expiringCredits: { $literal: wallet.expiringCredits.filter(credit => credit.expiresAt > now).map(credit => credit.toObject()) },
+            revision: { $add: ['$revision', 1] }
+          }
+        }],
+        { new: true }
+      );
+      if (!updated) continue;
+
+      if (amount > 0) {
+        await recordTransaction({
+          walletId: _id,
+          userId: wallet.userId,
+          type: 'expiry',
+          amount: -amount,
+          balanceAfter: updated.balance,
+          reference: lapsed.map(credit => credit.transactionId.toString()).join(','),
+          note: `${lapsed.length} credit(s) expired`
+        }, () => Wallet.updateOne({ _id }, [{
+          $set: { balance: balanceChange(amount), revision: { $add: ['$revision', 1] } }
+        }]));
+        expired += 1;
+      }
+      break;
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Start a top-up paid through the active payment gateway
+ * @param {string} userId - Wallet owner
+ * @param {number} value - Amount to add
+ * @returns {Promise<Object>} { gateway, intent }
+ */
+const startTopUp = async (userId, value) => {
+  const amount = roundCurrency(value);
+  if (amount < TOP_UP_LIMITS.min || amount > TOP_UP_LIMITS.max) {
+    throw new WalletError(`Top-ups must be between ${TOP_UP_LIMITS.min} and ${TOP_UP_LIMITS.max}`, 400, TOP_UP_LIMITS);
+  }
+
+  const { gateway, provider, currency } = await getActivePaymentProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    reference: `${TOP_UP_REFERENCE_PREFIX}${userId}`,
+    captureMethod: 'automatic',
+    idempotencyKey: `${TOP_UP_REFERENCE_PREFIX}${userId}:${new mongoose.Types.ObjectId()}`
+  });
+
+  return { gateway, intent };
+};
+
+// Credit the wallet a succeeded top-up intent belongs to; once per intent
+const completeTopUp = async (intent) => {
+  if (intent.status !== 'succeeded' || !intent.reference?.startsWith(TOP_UP_REFERENCE_PREFIX)) return null;
+
+  return creditWallet(intent.reference.slice(TOP_UP_REFERENCE_PREFIX.length), intent.amountCaptured ?? intent.amount, {
+    type: 'top-up',
+    reference: intent.id,
+    idempotencyKey: `top-up:${intent.id}`
+  });
+};
+
+/**
+ * Pay for a top-up and credit the wallet
+ * @param {string} userId - Wallet owner, who must have started the top-up
+ * @param {string} intentId - Intent from startTopUp
+ * @param {Object} options - { paymentToken }
+ * @returns {Promise<Object>} { intent, transaction } with no transaction when the payment failed
+ */
+const confirmTopUp = async (userId, intentId, { paymentToken } = {}) => {
+  const { provider } = await getActivePaymentProvider();
+  const current = await provider.getIntent(intentId);
+
+  if (current.reference !== `${TOP_UP_REFERENCE_PREFIX}${userId}`) {
+    throw new WalletError('Top-up not found', 404);
+  }
+
+  const intent = current.status === 'succeeded'
+    ? current
+    : await provider.confirmIntent(intentId, { paymentToken });
+
+  return { intent, transaction: await completeTopUp(intent) };
+};
+
+// Wallet part of an order that was never paid for in full goes back to the customer
+const releaseOrderWalletAmount = async (order) => {
+  if (!(order.walletAmount > 0) || ['paid', 'partially-refunded', 'refunded'].includes(order.paymentStatus)) {
+    return null;
+  }
+
+  return creditWallet(order.userId._id || order.userId, order.walletAmount, {
+    type: 'refund',
+    orderId: order._id,
+    note: `Order ${order.orderNumber} was cancelled before it was paid for`,
+    idempotencyKey: `order:${order._id}:release`
+  });
+};
+
+module.exports = {
+  TOP_UP_LIMITS,
+  WalletError,
+  getWallet,
+  creditWallet,
+  debitWallet,
+  expireWalletCredits,
+  startTopUp,
+  completeTopUp,
+  confirmTopUp,
+  releaseOrderWalletAmount
+};